@@ -0,0 +1,231 @@
+// In-memory stand-in for the estimates backend's POST /api/estimates. It
+// checks the payload built by buildSubmissionData, keeps the leads it
+// receives (staff log in with POST /api/staff/sessions and look them up again
+// with GET /api/estimates/<referenceNumber>, sending "Authorization: Bearer
+// <session token>"), and can be told to answer the next requests with an error status
+// or not at all, so success and failure flows can be exercised offline.
+// Requests with photos arrive as multipart form data: the JSON payload in a
+// "submission" field plus up to MAX_PHOTOS "photos" files.
+//
+// Shared by the dev server (server.js) and the Jest fetch interceptor
+// (fetchInterceptor.js), so it is plain CommonJS with no dependencies.
+
+const { randomBytes } = require('crypto');
+
+const ESTIMATES_PATH = '/api/estimates';
+const LEAD_PATH = /^\/api\/estimates\/([^/]+)$/;
+const STAFF_SESSIONS_PATH = '/api/staff/sessions';
+
+// Staff sessions last a working day
+const SESSION_LENGTH = 12 * 60 * 60 * 1000;
+
+const PROJECT_TYPES = ['interior', 'exterior', 'both'];
+
+const MAX_PHOTOS = 10;
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+// Photos are compressed in the browser, so anything bigger than this wasn't
+const MAX_PHOTO_SIZE = 5 * 1024 * 1024;
+
+// Simulated response that never arrives; the client's own timeout has to give up
+const TIMEOUT = 'timeout';
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  404: 'Not Found',
+  408: 'Request Timeout',
+  422: 'Unprocessable Entity',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable'
+};
+
+const isString = (value) => typeof value === 'string';
+const isNonEmptyString = (value) => isString(value) && value.trim().length > 0;
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isFormData = (value) => isObject(value) && typeof value.getAll === 'function';
+
+const FIELD_CHECKS = {
+  referenceNumber: [isNonEmptyString, 'a non-empty string'],
+  clientName: [isNonEmptyString, 'a non-empty string'],
+  email: [(value) => isString(value) && /^[^@\s]+@[^@\s]+$/.test(value), 'an email address'],
+  phone: [isString, 'a string'],
+  address: [isNonEmptyString, 'a non-empty string'],
+  addressParts: [(value) => isObject(value) && ['street', 'city', 'state', 'zip'].every(key => isString(value[key])), '{ street, city, state, zip }'],
+  travelZone: [(value) => value === null || isNonEmptyString(value), 'null or a travel zone'],
+  outOfServiceArea: [(value) => typeof value === 'boolean', 'a boolean'],
+  projectType: [(value) => PROJECT_TYPES.includes(value), `one of ${PROJECT_TYPES.join(', ')}`],
+  squareFootage: [(value) => isNumber(value) && value > 0, 'a positive number'],
+  paintTier: [isNonEmptyString, 'a non-empty string'],
+  surfaces: [(value) => Array.isArray(value) && value.every(isString), 'an array of strings'],
+  rooms: [(value) => Array.isArray(value) && value.every(isObject), 'an array of rooms'],
+  coats: [(value) => Number.isInteger(value) && value >= 1 && value <= 3, 'an integer from 1 to 3'],
+  materials: [(value) => value === null || (isObject(value) && Array.isArray(value.paint) && Array.isArray(value.sundries)), 'null or { paint, sundries }'],
+  addOns: [(value) => Array.isArray(value) && value.every(item => isObject(item) && isNonEmptyString(item.id) && isNumber(item.quantity) && item.quantity > 0), 'an array of { id, quantity }'],
+  promoCode: [isString, 'a string'],
+  difficultyLevel: [isNonEmptyString, 'a non-empty string'],
+  // Missing from submissions queued before the difficulty questionnaire
+  difficultyAssessment: [(value) => value === undefined || (isObject(value) && isObject(value.answers) && isNumber(value.score) && typeof value.overridden === 'boolean'), '{ answers, score, assessedLevel, overridden }'],
+  additionalNotes: [isString, 'a string'],
+  submittedAt: [(value) => isString(value) && !Number.isNaN(Date.parse(value)), 'an ISO date string']
+};
+
+const BOTH_FIELD_CHECKS = {
+  interiorSquareFootage: [(value) => isNumber(value) && value >= 0, 'a non-negative number'],
+  exteriorSquareFootage: [(value) => isNumber(value) && value > 0, 'a positive number'],
+  exteriorPaintTier: [isNonEmptyString, 'a non-empty string']
+};
+
+const ROOM_AREA_FIELDS = ['floorArea', 'ceilingArea', 'wallArea'];
+
+const checkFields = (payload, checks) => Object.entries(checks)
+  .filter(([field, [isValid]]) => !isValid(payload[field]))
+  .map(([field, [, expected]]) => `${field} must be ${expected}`);
+
+// Returns a list of problems with a submission payload; empty when it is valid
+const validateSubmission = (payload) => {
+  if (!isObject(payload)) {
+    return ['Body must be a JSON object'];
+  }
+
+  const problems = checkFields(payload, FIELD_CHECKS);
+
+  if (payload.projectType === 'both') {
+    problems.push(...checkFields(payload, BOTH_FIELD_CHECKS));
+  }
+  if (Array.isArray(payload.rooms)) {
+    payload.rooms.forEach((room, index) => {
+      if (isObject(room) && !ROOM_AREA_FIELDS.every(field => isNumber(room[field]))) {
+        problems.push(`rooms[${index}] must include ${ROOM_AREA_FIELDS.join(', ')}`);
+      }
+    });
+  }
+
+  return problems;
+};
+
+const validatePhotos = (photos) => {
+  const problems = photos.length > MAX_PHOTOS ? [`At most ${MAX_PHOTOS} photos are accepted`] : [];
+
+  photos.forEach((photo, index) => {
+    if (!isObject(photo) || !PHOTO_TYPES.includes(photo.type)) {
+      problems.push(`photos[${index}] must be one of ${PHOTO_TYPES.join(', ')}`);
+    } else if (!(photo.size > 0 && photo.size <= MAX_PHOTO_SIZE)) {
+      problems.push(`photos[${index}] must be at most ${MAX_PHOTO_SIZE / (1024 * 1024)} MB`);
+    }
+  });
+
+  return problems;
+};
+
+const respond = (status, body) => ({ status, statusText: STATUS_TEXT[status] || '', body });
+
+// Staff can only log in when staffPassword is set
+const createEstimatesApi = ({ staffPassword } = {}) => {
+  const leads = [];
+  const simulated = [];
+  const sessions = new Map();
+
+  const startSession = (body) => {
+    let password;
+    try {
+      ({ password } = isString(body) ? JSON.parse(body) : body);
+    } catch (error) {
+      return respond(400, { errors: ['Body must be valid JSON'] });
+    }
+    if (!staffPassword || password !== staffPassword) {
+      return respond(401, { error: 'Incorrect staff password' });
+    }
+
+    const token = randomBytes(24).toString('hex');
+    const expiresAt = Date.now() + SESSION_LENGTH;
+    sessions.set(token, expiresAt);
+    return respond(201, { token, expiresAt: new Date(expiresAt).toISOString() });
+  };
+
+  const hasSession = (authorization = '') => {
+    const token = authorization.replace(/^Bearer /, '');
+    return sessions.has(token) && sessions.get(token) > Date.now();
+  };
+
+  return {
+    leads,
+
+    // Answers the next `count` requests with an HTTP status (e.g. 503) or
+    // 'timeout' instead of handling them
+    simulate(response, count = 1) {
+      for (let i = 0; i < count; i += 1) {
+        simulated.push(response);
+      }
+    },
+
+    reset() {
+      leads.length = 0;
+      simulated.length = 0;
+      sessions.clear();
+    },
+
+    // Returns { status, statusText, body }, or null for a simulated timeout.
+    // Header names are lower case, as Node gives them.
+    handle({ method, path, headers = {}, body }) {
+      if (method === 'POST' && path === STAFF_SESSIONS_PATH) {
+        return startSession(body);
+      }
+
+      const leadPath = method === 'GET' && LEAD_PATH.exec(path);
+      if (!leadPath && (method !== 'POST' || path !== ESTIMATES_PATH)) {
+        return respond(404, { error: `No mock route for ${method} ${path}` });
+      }
+      if (leadPath && !hasSession(headers.authorization)) {
+        return respond(401, { error: 'Looking up leads needs a staff session' });
+      }
+
+      const simulatedResponse = simulated.shift();
+      if (simulatedResponse === TIMEOUT) {
+        return null;
+      }
+      if (simulatedResponse) {
+        return respond(simulatedResponse, { error: `Simulated ${simulatedResponse} response` });
+      }
+
+      if (leadPath) {
+        const referenceNumber = decodeURIComponent(leadPath[1]);
+        const lead = leads.find(item => item.referenceNumber === referenceNumber);
+        return lead ? respond(200, lead) : respond(404, { error: `No lead with reference ${referenceNumber}` });
+      }
+
+      let payload;
+      let photos = [];
+      try {
+        if (isFormData(body)) {
+          photos = body.getAll('photos');
+          payload = JSON.parse(body.get('submission'));
+        } else {
+          payload = isString(body) ? JSON.parse(body) : body;
+        }
+      } catch (error) {
+        return respond(400, { errors: ['Body must be valid JSON'] });
+      }
+
+      const problems = [...validateSubmission(payload), ...validatePhotos(photos)];
+      if (problems.length > 0) {
+        return respond(422, { errors: problems });
+      }
+
+      const lead = {
+        id: leads.length + 1,
+        receivedAt: new Date().toISOString(),
+        ...payload,
+        photos: photos.map(({ name, type, size }) => ({ name, type, size }))
+      };
+      leads.push(lead);
+      return respond(201, { id: lead.id, referenceNumber: lead.referenceNumber, receivedAt: lead.receivedAt });
+    }
+  };
+};
+
+module.exports = { createEstimatesApi, validateSubmission, validatePhotos, ESTIMATES_PATH, STAFF_SESSIONS_PATH, MAX_PHOTOS, TIMEOUT };
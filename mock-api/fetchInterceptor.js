@@ -0,0 +1,58 @@
+const { createEstimatesApi } = require('./estimatesApi');
+
+// Replaces global.fetch in Jest tests so every request is answered by an
+// in-memory mock estimates API instead of the network. Returns the api (to
+// inspect leads or simulate failures) and a restore function for afterEach.
+// Pass createEstimatesApi({ staffPassword }) to test staff logins and lead lookups.
+//
+//   const { api, restore } = interceptFetch();
+//   api.simulate(503);
+//   ...
+//   restore();
+const interceptFetch = (api = createEstimatesApi()) => {
+  const originalFetch = global.fetch;
+
+  global.fetch = (input, init = {}) => {
+    const url = new URL(typeof input === 'string' ? input : input.url, 'http://localhost');
+    const result = api.handle({
+      method: (init.method || 'GET').toUpperCase(),
+      path: url.pathname,
+      headers: Object.fromEntries(Object.entries(init.headers || {}).map(([name, value]) => [name.toLowerCase(), value])),
+      body: init.body
+    });
+
+    if (result === null) {
+      // Simulated timeout: only settles if the caller aborts the request
+      return new Promise((resolve, reject) => {
+        const abort = () => {
+          const error = new Error('The operation was aborted.');
+          error.name = 'AbortError';
+          reject(error);
+        };
+
+        if (init.signal && init.signal.aborted) {
+          abort();
+        } else if (init.signal) {
+          init.signal.addEventListener('abort', abort);
+        }
+      });
+    }
+
+    return Promise.resolve({
+      ok: result.status >= 200 && result.status < 300,
+      status: result.status,
+      statusText: result.statusText,
+      json: () => Promise.resolve(result.body),
+      text: () => Promise.resolve(JSON.stringify(result.body))
+    });
+  };
+
+  return {
+    api,
+    restore: () => {
+      global.fetch = originalFetch;
+    }
+  };
+};
+
+module.exports = { interceptFetch };
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+// Local mock of the estimates backend for development:
+//
+//   npm run mock-api -- --port 4000 --simulate 503 --staff-password <password>
+//   REACT_APP_ESTIMATES_API_URL=http://localhost:4000/api/estimates npm start
+//
+// Staff log in with POST /api/staff/sessions { "password": ... }, checked
+// against --staff-password (or STAFF_PASSWORD), and send the session token
+// they get back to GET /api/estimates/<referenceNumber>. Besides the estimates
+// and staff routes it offers control routes:
+//   GET    /__mock/leads      leads received so far
+//   DELETE /__mock/leads      forget leads and pending simulations
+//   POST   /__mock/simulate   { "response": 503 | "timeout", "count": 2 }
+
+const http = require('http');
+const { createEstimatesApi, TIMEOUT } = require('./estimatesApi');
+
+const getArg = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : process.argv[index + 1];
+};
+
+const parseSimulatedResponse = (value) => (value === TIMEOUT ? TIMEOUT : parseInt(value));
+
+const port = parseInt(getArg('port', process.env.MOCK_API_PORT || 4000));
+const api = createEstimatesApi({ staffPassword: getArg('staff-password', process.env.STAFF_PASSWORD) });
+
+if (getArg('simulate')) {
+  api.simulate(parseSimulatedResponse(getArg('simulate')), parseInt(getArg('count', 1)));
+}
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  const chunks = [];
+  request.on('data', chunk => { chunks.push(chunk); });
+  request.on('end', () => resolve(Buffer.concat(chunks)));
+  request.on('error', reject);
+});
+
+// Multipart requests (estimates with photos) are parsed with the built-in
+// Fetch API so the mock stays dependency-free
+const parseBody = (buffer, contentType = '') => (contentType.startsWith('multipart/form-data')
+  ? new Response(buffer, { headers: { 'Content-Type': contentType } }).formData()
+  : buffer.toString());
+
+const send = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const handleControlRoute = (method, path, body, response) => {
+  if (path === '/__mock/leads' && method === 'GET') {
+    send(response, 200, api.leads);
+  } else if (path === '/__mock/leads' && method === 'DELETE') {
+    api.reset();
+    send(response, 204);
+  } else if (path === '/__mock/simulate' && method === 'POST') {
+    const { response: simulated, count = 1 } = JSON.parse(body || '{}');
+    api.simulate(parseSimulatedResponse(String(simulated)), count);
+    send(response, 200, { simulated, count });
+  } else {
+    send(response, 404, { error: `No mock route for ${method} ${path}` });
+  }
+};
+
+const server = http.createServer(async (request, response) => {
+  // The calculator runs on another port, so allow cross-origin requests
+  response.setHeader('Access-Control-Allow-Origin', '*');
+  response.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (request.method === 'OPTIONS') {
+    send(response, 204);
+    return;
+  }
+
+  const path = new URL(request.url, `http://localhost:${port}`).pathname;
+  try {
+    const body = await parseBody(await readBody(request), request.headers['content-type']);
+
+    if (path.startsWith('/__mock/')) {
+      handleControlRoute(request.method, path, body, response);
+      return;
+    }
+
+    const result = api.handle({ method: request.method, path, headers: request.headers, body });
+    if (result === null) {
+      console.log(`${request.method} ${path} -> simulated timeout (no response)`);
+      return;
+    }
+
+    console.log(`${request.method} ${path} -> ${result.status}`);
+    send(response, result.status, result.body);
+  } catch (error) {
+    send(response, 400, { error: error.message });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Mock estimates API listening on http://localhost:${port}/api/estimates`);
+});
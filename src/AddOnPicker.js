@@ -0,0 +1,71 @@
+import React from 'react';
+import { ADD_ONS } from './pricing';
+import { useI18n } from './LocaleContext';
+
+// Optional add-on services, each with a quantity in its own unit. addOns is
+// the form's [{ id, quantity }] list of selected services.
+const AddOnPicker = ({ addOns, rates, error, onChange }) => {
+  const { t, formatRange } = useI18n();
+  const getSelected = (id) => addOns.find(addOn => addOn.id === id);
+
+  const toggleAddOn = (id) => {
+    onChange(getSelected(id)
+      ? addOns.filter(addOn => addOn.id !== id)
+      : [...addOns, { id, quantity: '' }]);
+  };
+
+  const updateQuantity = (id, quantity) => {
+    onChange(addOns.map(addOn => (addOn.id === id ? { ...addOn, quantity } : addOn)));
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {Object.entries(ADD_ONS).map(([id, addOn]) => {
+          const selected = getSelected(id);
+          const rate = rates.addOnRates[id];
+          const label = t(`addOns.services.${id}`);
+
+          return (
+            <div
+              key={id}
+              className={`p-4 bg-white border-2 rounded-lg transition-all ${
+                selected ? 'border-lime-500 bg-lime-50' : 'border-gray-200'
+              }`}
+            >
+              <label className="flex items-center cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={Boolean(selected)}
+                  onChange={() => toggleAddOn(id)}
+                  className="mr-3 scale-125"
+                />
+                <span className="font-medium flex-1">{label}</span>
+                <span className="text-sm text-gray-600">
+                  {t('addOns.perUnit', { range: formatRange(rate), unit: t(`addOns.units.${id}`, { count: 1 }) })}
+                </span>
+              </label>
+              {selected && (
+                <label className="flex items-center gap-2 mt-3 text-sm">
+                  <input
+                    type="number"
+                    value={selected.quantity}
+                    onChange={(e) => updateQuantity(id, e.target.value)}
+                    min="0"
+                    step={addOn.unit === 'item' ? '1' : '10'}
+                    aria-label={t('addOns.quantityLabel', { service: label })}
+                    className="w-28 p-2 border-2 border-gray-200 rounded-lg focus:border-lime-500 focus:outline-none transition-colors"
+                  />
+                  <span className="text-gray-600">{t(`addOns.units.${id}`, { count: parseFloat(selected.quantity) || 0 })}</span>
+                </label>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+    </div>
+  );
+};
+
+export default AddOnPicker;
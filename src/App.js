@@ -1,122 +1,209 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import './App.css';
+import { calculateEstimate as calculateProjectEstimate, getExteriorAreas, getServiceArea, DEFAULT_RATES, EXTERIOR_SIDING } from './pricing';
+import { loadPricingConfig } from './pricingConfig';
+import { buildProject, buildSubmissionData, getEvenSurfaceShares, isMeasuredExterior, leadToFormData, usesRooms, withoutDifficultyOverride, INITIAL_FORM_DATA } from './projectForm';
+import { formatAddress } from './address';
+import { clearDraft, loadDraft, saveDraft } from './draftStorage';
+import { buildShareUrl, parseShareParams } from './shareLink';
+import { getClientInfoErrors } from './validation';
+import { getFirstIncompleteStep, getFormErrors, getStepErrors, WIZARD_STEPS } from './wizardSteps';
+import EstimateBreakdown from './EstimateBreakdown';
+import RoomBuilder, { restoreRooms } from './RoomBuilder';
+import MaterialsTakeoff from './MaterialsTakeoff';
+import SubmissionStatus from './SubmissionStatus';
+import WizardProgress from './WizardProgress';
+import ReviewSummary from './ReviewSummary';
+import LiveEstimatePanel from './LiveEstimatePanel';
+import AddOnPicker from './AddOnPicker';
+import ExteriorMeasurements from './ExteriorMeasurements';
+import DifficultyQuestionnaire from './DifficultyQuestionnaire';
+import PhotoUploader from './PhotoUploader';
+import WhatIfComparison from './WhatIfComparison';
+import LeadLoader from './LeadLoader';
+import QuoteBuilder from './QuoteBuilder';
+import StaffLogin from './StaffLogin';
+import { calculateMaterials } from './materials';
+import { getDifficultyLevel } from './difficultyAssessment';
+import { compressPhoto, MAX_PHOTOS, validatePhotoFiles } from './photos';
+import { calculateLabor, formatSchedule } from './labor';
+import RateAdmin from './RateAdmin';
+import { buildEstimateSummary, createReferenceNumber } from './estimateSummary';
+import { downloadFile } from './download';
+import { processSubmissionQueue, submitEstimate, SUBMISSION_STATUS } from './submissionService';
+import { createI18n, LOCALES } from './i18n';
+import { LocaleProvider, useI18n } from './LocaleContext';
 
-const PaintingCalculator = () => {
-  const [formData, setFormData] = useState({
-    clientName: '',
-    email: '',
-    phone: '',
-    address: '',
-    projectType: '',
-    squareFootage: '',
-    paintTier: '',
-    surfaces: [],
-    difficultyLevel: 'basic',
-    additionalNotes: ''
+// How often to check the submission queue for retries that are due
+const SUBMISSION_RETRY_INTERVAL = 15000;
+
+const REVIEW_STEP = WIZARD_STEPS.length - 1;
+
+// Price, materials and labor for the form as it stands; null until the project is complete
+const getProjectEstimate = (formData, rates) => {
+  const project = buildProject(formData);
+  const result = calculateProjectEstimate(project, rates);
+
+  return result && {
+    ...result,
+    materials: calculateMaterials(project),
+    labor: calculateLabor(project, rates)
+  };
+};
+
+// staffMode adds the internal controls: overriding the assessed difficulty,
+// loading a submitted lead and turning it into a formal quote. staffToken is
+// the session the estimates API issued at login, for looking leads up.
+const PaintingCalculator = ({ staffMode = false, staffToken }) => {
+  const i18n = useI18n();
+  const { t, formatCurrency, formatNumber, formatRange } = i18n;
+  const [savedDraft] = useState(() => loadDraft(INITIAL_FORM_DATA));
+  const [sharedLink] = useState(() => parseShareParams(window.location.search, INITIAL_FORM_DATA));
+  const [formData, setFormData] = useState(() => {
+    const restored = savedDraft
+      ? { ...savedDraft.formData, rooms: restoreRooms(savedDraft.formData.rooms) }
+      : INITIAL_FORM_DATA;
+
+    if (!sharedLink) {
+      return staffMode ? restored : withoutDifficultyOverride(restored);
+    }
+
+    // A shared link replaces the project details but keeps any saved contact info
+    const { clientName, email, phone, street, city, state, zip } = restored;
+    return {
+      ...INITIAL_FORM_DATA,
+      ...sharedLink.fields,
+      rooms: restoreRooms(sharedLink.fields.rooms || []),
+      clientName,
+      email,
+      phone,
+      street,
+      city,
+      state,
+      zip
+    };
   });
+  const [showDraftBanner, setShowDraftBanner] = useState(Boolean(savedDraft) && !sharedLink);
+  const [showSharedLinkNotice, setShowSharedLinkNotice] = useState(Boolean(sharedLink));
+  const [shareStatus, setShareStatus] = useState('');
 
   const [errors, setErrors] = useState({});
-  const [estimate, setEstimate] = useState(null);
-  const [showEstimationFields, setShowEstimationFields] = useState(false);
-  const [isClientInfoComplete, setIsClientInfoComplete] = useState(false);
-
-  // ==================== BASE RATES & MULTIPLIERS SECTION ====================
-  
-  // Base rates per square foot
-  const BASE_RATES = {
-    min: 1.75,    // Minimum base rate per sq ft
-    max: 3.0     // Maximum base rate per sq ft
-  };
-  
-  // Paint tier multipliers
-  const PAINT_MULTIPLIERS = {
-    'standard': 1.0,     // Standard paint: 1.0x base rate (baseline)
-    'premium': 1.3,      // Premium paint: 1.3x base rate
-    'designer': 1.6      // Designer/specialty paint: 1.6x base rate
-  };
+  const [submission, setSubmission] = useState(null);
+  const [submissionStatus, setSubmissionStatus] = useState(null);
+  const [showBreakdown, setShowBreakdown] = useState(false);
+  // A restored draft resumes at the first step that still needs input
+  const [currentStep, setCurrentStep] = useState(() =>
+    (savedDraft && !sharedLink ? getFirstIncompleteStep(savedDraft.formData) : 0)
+  );
+  // Compressed photos stay in memory only; they are too large for the saved draft
+  const [photos, setPhotos] = useState([]);
+  const [isProcessingPhotos, setIsProcessingPhotos] = useState(false);
+  const [rates, setRates] = useState(DEFAULT_RATES);
+  const [pricingWarning, setPricingWarning] = useState(null);
+  // The submitted lead staff loaded, if any; it is already in, so it isn't submitted again
+  const [lead, setLead] = useState(null);
 
-  // Project difficulty multipliers
-  const DIFFICULTY_MULTIPLIERS = {
-    'basic': 1.0,           // Basic (new construction, minimal prep): 1.0x
-    'standard': 1.2,        // Standard (good condition, light prep): 1.2x
-    'moderate': 1.5,        // Moderate (some repairs, medium prep): 1.5x
-    'complex': 2.0,         // Complex (extensive prep, repairs, intricate details): 2.0x
-    'high_difficulty': 2.5  // High difficulty (historical restoration, specialty techniques): 2.5x
-  };
+  // Recalculated on every change so the range is visible before anything is submitted
+  const estimate = useMemo(() => getProjectEstimate(formData, rates), [formData, rates]);
 
-  // Surface difficulty multipliers
-  const SURFACE_MULTIPLIERS = {
-    // Interior surfaces (additive - multiple surfaces in same space)
-    interior: {
-      'walls': 1.0,        // Base interior work
-      'ceilings': 0.4,     // Additional work when added to walls
-      'trim': 0.3          // Additional detail work
-    },
-    
-    // Exterior surfaces (highest base multiplier + trim if selected)
-    exterior: {
-      'wood_siding': 1.0,    // Standard surface, easy to paint
-      'vinyl_siding': 1.1,   // Requires specific primer/paint, slight prep work
-      'cement': 1.3,         // Requires masonry primer, surface preparation
-      'stucco': 1.5,         // Textured surface, more paint needed, difficult coverage
-      'brick': 1.6,          // Most labor-intensive, masonry primer, high absorption
-      'trim': 0.2            // Additional detail work for exterior trim
+  useEffect(() => {
+    let cancelled = false;
+
+    loadPricingConfig().then(config => {
+      if (!cancelled) {
+        setRates(config.rates);
+        setPricingWarning(config.warning);
+      }
+    });
+
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    // Keep retrying queued submissions (including ones from earlier visits),
+    // and retry straight away when the connection comes back
+    const retryQueued = async (force) => {
+      const results = await processSubmissionQueue({ force });
+      setSubmissionStatus(prev => (prev && results.find(result => result.referenceNumber === prev.referenceNumber)) || prev);
+    };
+    const handleOnline = () => retryQueued(true);
+
+    retryQueued(false);
+    const timer = setInterval(() => retryQueued(false), SUBMISSION_RETRY_INTERVAL);
+    window.addEventListener('online', handleOnline);
+
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', handleOnline);
+    };
+  }, []);
+
+  useEffect(() => {
+    // Drop the share parameters so a refresh resumes the draft instead of the link
+    if (sharedLink) {
+      window.history.replaceState(null, '', `${window.location.pathname}${window.location.hash}`);
     }
+  }, [sharedLink]);
+
+  useEffect(() => {
+    // A loaded lead is already on the server; saving it as a draft could get it submitted twice
+    if (formData === INITIAL_FORM_DATA || lead) {
+      return;
+    }
+    const timer = setTimeout(() => saveDraft(formData), 500);
+    return () => clearTimeout(timer);
+  }, [formData, lead]);
+
+  const handleStartOver = () => {
+    clearDraft();
+    setFormData(INITIAL_FORM_DATA);
+    setPhotos([]);
+    setErrors({});
+    setCurrentStep(0);
+    setSubmission(null);
+    setSubmissionStatus(null);
+    setShowBreakdown(false);
+    setShowDraftBanner(false);
+    setShowSharedLinkNotice(false);
+    setShareStatus('');
+    setLead(null);
   };
 
-  // Minimum pricing thresholds
-  const MINIMUM_PRICING = {
-    absoluteMin: 3000,     // Absolute minimum project cost
-    rangeSpread: 3000      // Minimum spread between low and high estimates
+  const handleLeadLoad = (loadedLead) => {
+    const leadFormData = leadToFormData(loadedLead);
+    setFormData({ ...leadFormData, rooms: restoreRooms(leadFormData.rooms) });
+    setLead(loadedLead);
+    setPhotos([]);
+    setErrors({});
+    setSubmission(null);
+    setSubmissionStatus(null);
+    setShowDraftBanner(false);
+    setShowSharedLinkNotice(false);
+    setCurrentStep(REVIEW_STEP);
   };
 
-  // ==================== END BASE RATES & MULTIPLIERS SECTION ====================
+  const handleCopyShareLink = async () => {
+    const url = buildShareUrl(formData);
 
-  const validateEmail = (email) => {
-    const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
-    return emailRegex.test(email);
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareStatus('notices.shareLinkCopied');
+    } catch (error) {
+      window.prompt(t('notices.shareLinkPrompt'), url);
+    }
   };
 
-  const validatePhoneNumber = (phone) => {
-    if (!phone) return true;
-    const phoneRegex = /^(\+1[-.\s]?)?\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})$/;
-    return phoneRegex.test(phone);
-  };
+  const formatMultiplier = (multiplier) => `${formatNumber(multiplier, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}x`;
 
   useEffect(() => {
     const timer = setTimeout(() => {
       validateClientInfo();
     }, 300);
     return () => clearTimeout(timer);
-  }, [formData.clientName, formData.email, formData.address]);
-
-  useEffect(() => {
-    const clientComplete = 
-      formData.clientName.trim().length >= 2 &&
-      validateEmail(formData.email) &&
-      formData.address.trim().length > 0;
-    
-    setIsClientInfoComplete(clientComplete);
-    setShowEstimationFields(clientComplete);
-  }, [formData.clientName, formData.email, formData.address]);
+  }, [formData.clientName, formData.email, formData.zip]);
 
   const validateClientInfo = () => {
-    const newErrors = {};
-
-    if (formData.clientName.trim().length > 0 && formData.clientName.trim().length < 2) {
-      newErrors.clientName = 'Name must be at least 2 characters';
-    } else if (formData.clientName.trim().length > 100) {
-      newErrors.clientName = 'Name cannot exceed 100 characters';
-    }
-
-    if (formData.email.trim().length > 0 && !validateEmail(formData.email)) {
-      newErrors.email = 'Please enter a valid email address';
-    }
-
-    if (formData.phone.trim().length > 0 && !validatePhoneNumber(formData.phone)) {
-      newErrors.phone = 'Please enter a valid phone number (e.g., (555) 123-4567)';
-    }
-
+    const newErrors = getClientInfoErrors(formData, t);
     setErrors(prev => ({ ...prev, ...newErrors }));
   };
 
@@ -135,464 +222,726 @@ const PaintingCalculator = () => {
     }
   };
 
+  // Changing which sidings are selected starts their shares over from an even split
   const handleSurfaceChange = (surface) => {
+    setFormData(prev => {
+      const surfaces = prev.surfaces.includes(surface)
+        ? prev.surfaces.filter(s => s !== surface)
+        : [...prev.surfaces, surface];
+
+      return {
+        ...prev,
+        surfaces,
+        surfaceShares: EXTERIOR_SIDING.includes(surface) ? getEvenSurfaceShares(surfaces) : prev.surfaceShares
+      };
+    });
+
+    if (errors.surfaceShares) {
+      setErrors(prev => ({ ...prev, surfaceShares: '' }));
+    }
+  };
+
+  const handleSurfaceShareChange = (siding, share) => {
     setFormData(prev => ({
       ...prev,
-      surfaces: prev.surfaces.includes(surface)
-        ? prev.surfaces.filter(s => s !== surface)
-        : [...prev.surfaces, surface]
+      surfaceShares: { ...prev.surfaceShares, [siding]: share }
+    }));
+
+    if (errors.surfaceShares) {
+      setErrors(prev => ({ ...prev, surfaceShares: '' }));
+    }
+  };
+
+  const handleRoomsChange = (rooms) => {
+    setFormData(prev => ({
+      ...prev,
+      rooms
     }));
+
+    if (Object.keys(errors).some(key => key.startsWith('room'))) {
+      setErrors(prev => Object.fromEntries(
+        Object.entries(prev).filter(([key]) => !key.startsWith('room'))
+      ));
+    }
   };
 
-  const handleTierSelect = (tier) => {
+  // Errors from the other way of sizing the exterior no longer apply
+  const handleExteriorMeasurementChange = (e) => {
+    const { value } = e.target;
     setFormData(prev => ({
       ...prev,
-      paintTier: tier
+      exteriorMeasurement: value
     }));
+    setErrors(prev => ({ ...prev, exteriorMeasurement: '', exteriorDimensions: '', squareFootage: '' }));
   };
 
-  const getInteriorSurfaces = () => [
-    { id: 'walls', label: 'Walls' },
-    { id: 'ceilings', label: 'Ceilings' },
-    { id: 'trim', label: 'Trim' }
-  ];
-
-  const getExteriorSurfaces = () => [
-    { id: 'wood_siding', label: 'Wood Siding' },
-    { id: 'trim', label: 'Trim' },
-    { id: 'stucco', label: 'Stucco' },
-    { id: 'cement', label: 'Cement' },
-    { id: 'vinyl_siding', label: 'Vinyl Siding' },
-    { id: 'brick', label: 'Brick' }
-  ];
+  const handleExteriorDimensionsChange = (exteriorDimensions) => {
+    setFormData(prev => ({
+      ...prev,
+      exteriorDimensions
+    }));
 
-  const validateForm = () => {
-    const newErrors = {};
-
-    if (!formData.clientName.trim()) {
-      newErrors.clientName = 'Name is required';
-    } else if (formData.clientName.trim().length < 2) {
-      newErrors.clientName = 'Name must be at least 2 characters';
-    } else if (formData.clientName.trim().length > 100) {
-      newErrors.clientName = 'Name cannot exceed 100 characters';
+    if (errors.exteriorDimensions) {
+      setErrors(prev => ({ ...prev, exteriorDimensions: '' }));
     }
+  };
 
-    if (!formData.email.trim()) {
-      newErrors.email = 'Email is required';
-    } else if (!validateEmail(formData.email)) {
-      newErrors.email = 'Please enter a valid email address';
-    }
+  const handleAddOnsChange = (addOns) => {
+    setFormData(prev => ({
+      ...prev,
+      addOns
+    }));
 
-    if (!formData.address.trim()) {
-      newErrors.address = 'Address is required (street address, city, state, ZIP code)';
+    if (errors.addOns) {
+      setErrors(prev => ({ ...prev, addOns: '' }));
     }
+  };
 
-    if (formData.phone.trim().length > 0 && !validatePhoneNumber(formData.phone)) {
-      newErrors.phone = 'Please enter a valid phone number';
-    }
+  // The pricing level follows the answers unless staff have overridden it
+  const handleDifficultyAnswer = (question, answer) => {
+    setFormData(prev => {
+      const difficultyAnswers = { ...prev.difficultyAnswers, [question]: answer };
+      return {
+        ...prev,
+        difficultyAnswers,
+        difficultyLevel: getDifficultyLevel(difficultyAnswers, prev.difficultyOverride)
+      };
+    });
 
-    if (!formData.projectType) {
-      newErrors.projectType = 'Please select a project type';
-    }
-    if (!formData.squareFootage.trim()) {
-      newErrors.squareFootage = 'Please enter square footage';
-    } else if (parseInt(formData.squareFootage) < 100) {
-      newErrors.squareFootage = 'Square footage must be at least 100';
-    }
-    if (!formData.paintTier) {
-      newErrors.paintTier = 'Please select a paint tier';
+    if (errors.difficultyAnswers) {
+      setErrors(prev => ({ ...prev, difficultyAnswers: '' }));
     }
+  };
 
-    setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
+  const handleDifficultyOverride = (difficultyOverride) => {
+    setFormData(prev => ({
+      ...prev,
+      difficultyOverride,
+      difficultyLevel: getDifficultyLevel(prev.difficultyAnswers, difficultyOverride)
+    }));
+    setErrors(prev => ({ ...prev, difficultyAnswers: '', difficultyOverride: '' }));
   };
 
-  const calculateEstimate = () => {
-    if (!formData.projectType || !formData.squareFootage || !formData.paintTier) {
+  const withoutPhotoErrors = (prev) => Object.fromEntries(
+    Object.entries(prev).filter(([key]) => !/^photos?\d*$/.test(key))
+  );
+
+  const handleAddPhotos = async (files) => {
+    const { accepted, errors: fileErrors } = validatePhotoFiles(files, photos.length, t);
+    setErrors(prev => ({ ...withoutPhotoErrors(prev), ...fileErrors }));
+
+    if (accepted.length === 0) {
       return;
     }
 
-    const sqftNum = parseInt(formData.squareFootage);
-    
-    let baseMin = BASE_RATES.min;
-    let baseMax = BASE_RATES.max;
+    setIsProcessingPhotos(true);
+    const compressed = await Promise.all(accepted.map(file => compressPhoto(file).catch(() => {
+      setErrors(prev => ({ ...prev, [`photo${files.indexOf(file)}`]: t('photos.errors.unreadable', { name: file.name }) }));
+      return null;
+    })));
+    setPhotos(prev => [...prev, ...compressed.filter(Boolean)].slice(0, MAX_PHOTOS));
+    setIsProcessingPhotos(false);
+  };
 
-    const paintMultiplier = PAINT_MULTIPLIERS[formData.paintTier] || 1.0;
-    baseMin *= paintMultiplier;
-    baseMax *= paintMultiplier;
+  const handleRemovePhoto = (id) => {
+    setPhotos(prev => prev.filter(photo => photo.id !== id));
+    setErrors(withoutPhotoErrors);
+  };
 
-    const difficultyMultiplier = DIFFICULTY_MULTIPLIERS[formData.difficultyLevel] || 1.0;
-    baseMin *= difficultyMultiplier;
-    baseMax *= difficultyMultiplier;
+  const handleTierSelect = (tier, field = 'paintTier') => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: tier
+    }));
+  };
 
-    let surfaceMultiplier = 1.0;
-    
-    if (formData.surfaces.length > 0) {
-      if (formData.projectType === 'interior') {
-        surfaceMultiplier = 0;
-        
-        if (formData.surfaces.includes('walls')) {
-          surfaceMultiplier += SURFACE_MULTIPLIERS.interior.walls;
-        }
-        if (formData.surfaces.includes('ceilings')) {
-          surfaceMultiplier += SURFACE_MULTIPLIERS.interior.ceilings;
-        }
-        if (formData.surfaces.includes('trim')) {
-          surfaceMultiplier += SURFACE_MULTIPLIERS.interior.trim;
-        }
-        
-        if (!formData.surfaces.includes('walls') && surfaceMultiplier > 0) {
-          surfaceMultiplier += 0.8;
-        }
-        
-      } else if (formData.projectType === 'exterior' || formData.projectType === 'both') {
-        const exteriorSurfaces = formData.surfaces.filter(surface => 
-          ['wood_siding', 'vinyl_siding', 'cement', 'stucco', 'brick'].includes(surface)
-        );
-        
-        if (exteriorSurfaces.length > 0) {
-          const exteriorMultipliers = exteriorSurfaces.map(surface => 
-            SURFACE_MULTIPLIERS.exterior[surface] || 1.0
-          );
-          surfaceMultiplier = Math.max(...exteriorMultipliers);
-          
-          if (formData.surfaces.includes('trim')) {
-            surfaceMultiplier += SURFACE_MULTIPLIERS.exterior.trim;
-          }
-        } else if (formData.surfaces.includes('trim')) {
-          surfaceMultiplier = 1.0 + SURFACE_MULTIPLIERS.exterior.trim;
-        }
-      }
-      
-      if (formData.projectType === 'both') {
-        let interiorMultiplier = 0;
-        let exteriorMultiplier = 1.0;
-        
-        const interiorSurfaces = formData.surfaces.filter(surface => 
-          ['walls', 'ceilings'].includes(surface)
-        );
-        
-        if (interiorSurfaces.length > 0) {
-          if (formData.surfaces.includes('walls')) {
-            interiorMultiplier += SURFACE_MULTIPLIERS.interior.walls;
-          }
-          if (formData.surfaces.includes('ceilings')) {
-            interiorMultiplier += SURFACE_MULTIPLIERS.interior.ceilings;
-          }
-        }
-        
-        const exteriorSurfaces = formData.surfaces.filter(surface => 
-          ['wood_siding', 'vinyl_siding', 'cement', 'stucco', 'brick'].includes(surface)
-        );
-        
-        if (exteriorSurfaces.length > 0) {
-          const exteriorMultipliers = exteriorSurfaces.map(surface => 
-            SURFACE_MULTIPLIERS.exterior[surface] || 1.0
-          );
-          exteriorMultiplier = Math.max(...exteriorMultipliers);
-        }
-        
-        if (formData.surfaces.includes('trim')) {
-          if (interiorSurfaces.length > 0) {
-            interiorMultiplier += SURFACE_MULTIPLIERS.interior.trim;
-          }
-          if (exteriorSurfaces.length > 0) {
-            exteriorMultiplier += SURFACE_MULTIPLIERS.exterior.trim;
-          }
-        }
-        
-        surfaceMultiplier = (Math.max(interiorMultiplier, 1.0) + exteriorMultiplier) / 2;
-      }
-    }
+  // Choosing a column in the comparison applies that tier to the whole project
+  const handleComparisonTierSelect = (tier) => {
+    setFormData(prev => ({
+      ...prev,
+      paintTier: tier,
+      ...(prev.projectType === 'both' && { exteriorPaintTier: tier })
+    }));
+    setErrors(prev => ({ ...prev, paintTier: '', exteriorPaintTier: '' }));
+  };
 
-    baseMin *= surfaceMultiplier;
-    baseMax *= surfaceMultiplier;
+  const getPaintTiers = () => ['standard', 'premium', 'designer'].map(id => ({
+    id,
+    title: t(`tierCards.${id}.title`),
+    features: t(`tierCards.${id}.features`)
+  }));
 
-    let minPrice = sqftNum * baseMin;
-    let maxPrice = sqftNum * baseMax;
+  // "Both" projects pick a separate paint tier for each scope
+  const getPaintTierFields = () => (formData.projectType === 'both'
+    ? [
+      { name: 'paintTier', title: t('paint.interiorTitle') },
+      { name: 'exteriorPaintTier', title: t('paint.exteriorTitle') }
+    ]
+    : [{ name: 'paintTier', title: t('paint.title') }]);
 
-    if (maxPrice - minPrice < MINIMUM_PRICING.rangeSpread) {
-      maxPrice = minPrice + MINIMUM_PRICING.rangeSpread;
-    }
+  const getInteriorSurfaces = () => ['walls', 'ceilings', 'trim']
+    .map(id => ({ id, label: t(`surfaces.interior.${id}`) }));
 
-    if (minPrice < MINIMUM_PRICING.absoluteMin) {
-      minPrice = MINIMUM_PRICING.absoluteMin;
-      maxPrice = Math.max(maxPrice, MINIMUM_PRICING.absoluteMin + MINIMUM_PRICING.rangeSpread);
-    }
+  const getExteriorSurfaces = () => ['wood_siding', 'trim', 'stucco', 'cement', 'vinyl_siding', 'brick']
+    .map(id => ({ id, label: t(`surfaces.exterior.${id}`) }));
 
-    const tierNames = {
-      'standard': 'Standard Paint',
-      'premium': 'Premium Paint',
-      'designer': 'Designer/Specialty Paint'
-    };
+  // Errors already on screen are re-worded in the new language
+  const handleLocaleChange = (e) => {
+    const { t: translate } = createI18n(e.target.value);
+    const translated = { ...getClientInfoErrors(formData, translate), ...getFormErrors(formData, translate) };
 
-    const result = {
-      min: Math.round(minPrice),
-      max: Math.round(maxPrice),
-      tierName: tierNames[formData.paintTier]
-    };
+    i18n.setLocale(e.target.value);
+    setErrors(prev => Object.fromEntries(
+      Object.entries(prev).map(([key, error]) => [key, error && translated[key] ? translated[key] : error])
+    ));
+  };
+
+  const validateForm = () => {
+    const newErrors = getFormErrors(formData, t);
 
-    setEstimate(result);
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleNext = () => {
+    const stepErrors = getStepErrors(currentStep, formData, t);
+
+    setErrors(stepErrors);
+    if (Object.keys(stepErrors).length === 0) {
+      setCurrentStep(step => step + 1);
+    }
+  };
+
+  const handleBack = () => {
+    setErrors({});
+    setCurrentStep(step => step - 1);
+  };
+
+  const handleStepClick = (stepIndex) => {
+    setErrors({});
+    setCurrentStep(stepIndex);
   };
 
   const handleSubmit = async () => {
     if (!validateForm()) {
+      setCurrentStep(getFirstIncompleteStep(formData));
       return;
     }
 
-    calculateEstimate();
+    // The summary is built from what was sent, not from the live form, so it
+    // still matches the lead if the customer keeps editing afterwards
+    const submissionData = { ...buildSubmissionData(formData, rates), referenceNumber: createReferenceNumber() };
+    setSubmission({ data: submissionData, estimate });
 
-    try {
-      const submissionData = {
-        clientName: formData.clientName,
-        email: formData.email,
-        phone: formData.phone || '',
-        address: formData.address,
-        projectType: formData.projectType,
-        squareFootage: parseInt(formData.squareFootage),
-        paintTier: formData.paintTier,
-        surfaces: formData.surfaces,
-        difficultyLevel: formData.difficultyLevel,
-        additionalNotes: formData.additionalNotes || '',
-        submittedAt: new Date().toISOString()
-      };
+    setSubmissionStatus({ status: SUBMISSION_STATUS.SENDING, referenceNumber: submissionData.referenceNumber });
+    const result = await submitEstimate(submissionData, { photos });
+    setSubmissionStatus(result);
 
-      const response = await fetch('https://painting-calculator-back-end.onrender.com/api/estimates', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(submissionData)
-      });
-
-      if (response.ok) {
-        const result = await response.json();
-        console.log('Form submitted successfully:', result);
-        alert('Form submitted successfully! You will be contacted soon for a detailed consultation.');
-      } else {
-        console.error('API Error:', response.status, response.statusText);
-        alert('There was an issue submitting your form. Please try again or contact us directly.');
-      }
-    } catch (error) {
-      console.error('Network Error:', error);
-      alert('There was a network error submitting your form. Please check your internet connection and try again.');
+    if (result.status === SUBMISSION_STATUS.SENT) {
+      clearDraft();
+      setShowDraftBanner(false);
+    }
+  };
+
+  const handleDownloadSummary = () => {
+    downloadFile(
+      `lime-painting-estimate-${submission.data.referenceNumber}.html`,
+      buildEstimateSummary(submission.data, submission.estimate, i18n),
+      'text/html'
+    );
+  };
+
+  const getExteriorAreaText = () => {
+    if (!isMeasuredExterior(formData)) {
+      return t('review.squareFeet', { value: formData.squareFootage });
     }
+
+    const { wallArea, trimLength } = getExteriorAreas(formData.exteriorDimensions);
+    return t('review.measuredArea', { value: formatNumber(Math.round(wallArea)), trim: formatNumber(Math.round(trimLength)) });
+  };
+
+  const getReviewSections = () => {
+    const tierTitle = (tierId) => getPaintTiers().find(tier => tier.id === tierId)?.title;
+    const stepIndex = (stepId) => WIZARD_STEPS.findIndex(step => step.id === stepId);
+
+    return [
+      {
+        step: stepIndex('contact'),
+        title: t('review.sections.contact'),
+        rows: [
+          [t('review.rows.name'), formData.clientName],
+          [t('review.rows.email'), formData.email],
+          [t('review.rows.phone'), formData.phone],
+          [t('review.rows.address'), formatAddress(formData)]
+        ]
+      },
+      {
+        step: stepIndex('project'),
+        title: t('review.sections.project'),
+        rows: [
+          [t('review.rows.projectType'), formData.projectType && t(`projectTypes.${formData.projectType}`)],
+          [t('review.rows.exteriorSquareFootage'), formData.projectType !== 'interior' && getExteriorAreaText()],
+          [t('review.rows.coats'), formData.coats]
+        ]
+      },
+      {
+        step: stepIndex('paint'),
+        title: t('review.sections.paint'),
+        rows: formData.projectType === 'both'
+          ? [
+            [t('review.rows.interior'), tierTitle(formData.paintTier)],
+            [t('review.rows.exterior'), tierTitle(formData.exteriorPaintTier)]
+          ]
+          : [[t('review.rows.paintQuality'), tierTitle(formData.paintTier)]]
+      },
+      {
+        step: stepIndex('surfaces'),
+        title: t('review.sections.surfaces'),
+        rows: [
+          [t('review.rows.rooms'), usesRooms(formData.projectType) && formData.rooms
+            .map((room, index) => room.name || t('rooms.defaultName', { number: index + 1 }))
+            .join(', ')],
+          [t('review.rows.exteriorSurfaces'), shouldShowSurfaces && (getExteriorSurfaces()
+            .filter(surface => formData.surfaces.includes(surface.id))
+            .map(surface => (selectedSidings.length > 1 && EXTERIOR_SIDING.includes(surface.id)
+              ? t('surfaces.withShare', { surface: surface.label, share: formData.surfaceShares[surface.id] })
+              : surface.label))
+            .join(', ') || t('review.noneSelected'))]
+        ]
+      },
+      {
+        step: stepIndex('addOns'),
+        title: t('review.sections.addOns'),
+        rows: formData.addOns.length > 0
+          ? formData.addOns.map(({ id, quantity }) => [
+            t(`addOns.services.${id}`),
+            t('review.quantity', { quantity, unit: t(`addOns.units.${id}`, { count: parseFloat(quantity) || 0 }) })
+          ])
+          : [[t('review.rows.addOns'), t('review.none')]]
+      },
+      {
+        step: stepIndex('difficulty'),
+        title: t('review.sections.difficulty'),
+        rows: [
+          [t('review.rows.difficulty'), t(`difficulty.levels.${formData.difficultyLevel}.label`)],
+          [t('review.rows.notes'), formData.additionalNotes],
+          [t('review.rows.photos'), photos.length > 0 && t('photos.count', { count: photos.length })]
+        ]
+      }
+    ];
   };
 
   const shouldShowSurfaces = formData.projectType === 'exterior' || formData.projectType === 'both';
 
+  const selectedSidings = getExteriorSurfaces()
+    .filter(surface => EXTERIOR_SIDING.includes(surface.id) && formData.surfaces.includes(surface.id));
+
+  const stepId = WIZARD_STEPS[currentStep].id;
+
+  const errorMessages = Object.entries(errors).filter(([, error]) => error);
+
+  const serviceArea = getServiceArea(formData.zip, rates);
+  const isOutOfServiceArea = Boolean(serviceArea) && !serviceArea.zone;
+
+  // Promotions with a code only apply once the customer has entered it
+  const isPromoCodeApplied = Boolean(estimate && estimate.promotions && estimate.promotions.some(promotion => promotion.code));
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-lime-400 to-green-600 p-5">
-      <div className="max-w-4xl mx-auto bg-white rounded-2xl shadow-2xl overflow-hidden">
-        <div className="bg-gradient-to-r from-green-800 to-green-700 text-white p-10 text-center">
+      <div className="max-w-4xl mx-auto bg-white rounded-2xl shadow-2xl overflow-clip">
+        <div className="relative bg-gradient-to-r from-green-800 to-green-700 text-white p-10 text-center">
+          <label className="absolute top-4 right-4 text-sm">
+            <span className="sr-only">{t('language.label')}</span>
+            <select
+              value={i18n.locale}
+              onChange={handleLocaleChange}
+              className="p-1 bg-green-900/60 border border-white/40 rounded-lg focus:outline-none focus:border-lime-300"
+            >
+              {Object.entries(LOCALES).map(([locale, { name }]) => (
+                <option key={locale} value={locale}>{name}</option>
+              ))}
+            </select>
+          </label>
           <a href="https://limepainting.com/northern-colorado/" target="_blank" rel="noopener noreferrer">
             <div className="text-4xl font-bold mb-4 hover:scale-105 transition-transform">
               🎨 LIME PAINTING
             </div>
-            <div className="text-xl opacity-90">OF NORTHERN COLORADO</div>
+            <div className="text-xl opacity-90">{t('header.region')}</div>
           </a>
-          <h1 className="text-3xl font-light mt-4">Painting Cost Calculator</h1>
-          <p className="text-lime-200 text-lg mt-2">Get a ballpark range for planning your project</p>
+          <h1 className="text-3xl font-light mt-4">{t('header.title')}</h1>
+          <p className="text-lime-200 text-lg mt-2">{t('header.subtitle')}</p>
+          {staffMode && (
+            <span className="inline-block mt-3 px-3 py-1 bg-yellow-400 text-green-900 text-sm font-semibold rounded-full">
+              {t('header.staffMode')}
+            </span>
+          )}
         </div>
 
         <div className="p-10">
-          <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
-            <h3 className="text-xl font-semibold text-green-800 mb-5">📋 Contact Information</h3>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
-              <div>
-                <label className="block text-green-800 font-semibold mb-2">
-                  Full Name <span className="text-red-500">*</span>
-                </label>
-                <input
-                  type="text"
-                  name="clientName"
-                  value={formData.clientName}
-                  onChange={handleInputChange}
-                  minLength="2"
-                  maxLength="100"
-                  required
-                  className={`w-full p-3 border-2 rounded-lg focus:outline-none transition-colors ${
-                    errors.clientName ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
-                  }`}
-                />
-                {errors.clientName && <p className="text-red-500 text-sm mt-1">{errors.clientName}</p>}
-              </div>
+          {showDraftBanner && (
+            <div className="mb-6 p-4 bg-lime-50 border-l-4 border-lime-500 rounded-lg flex flex-wrap items-center gap-4">
+              <p className="text-green-800 text-sm flex-1">
+                <strong>{t('notices.welcomeBack')}</strong>{' '}
+                {t('notices.draftRestoredText', { date: i18n.formatDate(new Date(savedDraft.savedAt)) })}
+              </p>
+              <button
+                type="button"
+                onClick={() => setShowDraftBanner(false)}
+                className="px-4 py-2 bg-green-700 text-white text-sm font-semibold rounded-lg hover:bg-green-800 transition-colors"
+              >
+                {t('nav.continue')}
+              </button>
+              <button
+                type="button"
+                onClick={handleStartOver}
+                className="px-4 py-2 border-2 border-green-700 text-green-800 text-sm font-semibold rounded-lg hover:bg-lime-100 transition-colors"
+              >
+                {t('nav.startOver')}
+              </button>
+            </div>
+          )}
+
+          {showSharedLinkNotice && (
+            <div className="mb-6 p-4 bg-lime-50 border-l-4 border-lime-500 rounded-lg">
+              <p className="text-green-800 text-sm">
+                <strong>{t('notices.sharedLinkTitle')}</strong> {t('notices.sharedLinkText')}
+              </p>
+              {sharedLink.rejected.length > 0 && (
+                <p className="text-red-700 text-sm mt-2">
+                  {t('notices.sharedLinkRejected', {
+                    fields: sharedLink.rejected.map(field => t(`shareLink.fields.${field}`)).join(', ')
+                  })}
+                </p>
+              )}
+            </div>
+          )}
+
+          {pricingWarning && (
+            <div className="mb-6 p-4 bg-yellow-50 border-l-4 border-yellow-400 rounded-lg">
+              <p className="text-yellow-800 text-sm">
+                <strong>{t('notices.notice')}</strong> {t('notices.pricingFallback')}
+              </p>
+            </div>
+          )}
+
+          {staffMode && <LeadLoader token={staffToken} onLoad={handleLeadLoad} />}
+
+          <WizardProgress currentStep={currentStep} onStepClick={handleStepClick} />
+
+          {stepId !== 'review' && <LiveEstimatePanel estimate={estimate} />}
+
+          {stepId === 'contact' && (
+            <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
+              <h3 className="text-xl font-semibold text-green-800 mb-5">{t('contact.title')}</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+                <div>
+                  <label className="block text-green-800 font-semibold mb-2">
+                    {t('contact.fullName')} <span className="text-red-500">*</span>
+                  </label>
+                  <input
+                    type="text"
+                    name="clientName"
+                    value={formData.clientName}
+                    onChange={handleInputChange}
+                    minLength="2"
+                    maxLength="100"
+                    required
+                    className={`w-full p-3 border-2 rounded-lg focus:outline-none transition-colors ${
+                      errors.clientName ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
+                    }`}
+                  />
+                  {errors.clientName && <p className="text-red-500 text-sm mt-1">{errors.clientName}</p>}
+                </div>
               
-              <div>
-                <label className="block text-green-800 font-semibold mb-2">
-                  Email Address <span className="text-red-500">*</span>
-                </label>
-                <input
-                  type="email"
-                  name="email"
-                  value={formData.email}
-                  onChange={handleInputChange}
-                  required
-                  className={`w-full p-3 border-2 rounded-lg focus:outline-none transition-colors ${
-                    errors.email ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
-                  }`}
-                />
-                {errors.email && <p className="text-red-500 text-sm mt-1">{errors.email}</p>}
-              </div>
+                <div>
+                  <label className="block text-green-800 font-semibold mb-2">
+                    {t('contact.email')} <span className="text-red-500">*</span>
+                  </label>
+                  <input
+                    type="email"
+                    name="email"
+                    value={formData.email}
+                    onChange={handleInputChange}
+                    required
+                    className={`w-full p-3 border-2 rounded-lg focus:outline-none transition-colors ${
+                      errors.email ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
+                    }`}
+                  />
+                  {errors.email && <p className="text-red-500 text-sm mt-1">{errors.email}</p>}
+                </div>
               
-              <div>
-                <label className="block text-green-800 font-semibold mb-2">
-                  Phone Number <span className="text-sm text-gray-600">(Recommended)</span>
-                </label>
-                <input
-                  type="tel"
-                  name="phone"
-                  value={formData.phone}
-                  onChange={handleInputChange}
-                  placeholder="(555) 123-4567"
-                  className={`w-full p-3 border-2 rounded-lg focus:outline-none transition-colors ${
-                    errors.phone ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
-                  }`}
-                />
-                {errors.phone && <p className="text-red-500 text-sm mt-1">{errors.phone}</p>}
-              </div>
+                <div>
+                  <label className="block text-green-800 font-semibold mb-2">
+                    {t('contact.phone')} <span className="text-sm text-gray-600">{t('contact.recommended')}</span>
+                  </label>
+                  <input
+                    type="tel"
+                    name="phone"
+                    value={formData.phone}
+                    onChange={handleInputChange}
+                    placeholder={t('contact.phonePlaceholder')}
+                    className={`w-full p-3 border-2 rounded-lg focus:outline-none transition-colors ${
+                      errors.phone ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
+                    }`}
+                  />
+                  {errors.phone && <p className="text-red-500 text-sm mt-1">{errors.phone}</p>}
+                </div>
               
-              <div>
-                <label className="block text-green-800 font-semibold mb-2">
-                  Property Address <span className="text-red-500">*</span>
-                </label>
-                <textarea
-                  name="address"
-                  value={formData.address}
-                  onChange={handleInputChange}
-                  rows="2"
-                  placeholder="Street address, City, State, ZIP code"
-                  required
-                  className={`w-full p-3 border-2 rounded-lg focus:outline-none transition-colors ${
-                    errors.address ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
-                  }`}
-                />
-                {errors.address && <p className="text-red-500 text-sm mt-1">{errors.address}</p>}
-              </div>
-            </div>
-          </div>
+                <div>
+                  <label className="block text-green-800 font-semibold mb-2">
+                    {t('contact.street')} <span className="text-red-500">*</span>
+                  </label>
+                  <input
+                    type="text"
+                    name="street"
+                    value={formData.street}
+                    onChange={handleInputChange}
+                    autoComplete="street-address"
+                    placeholder={t('contact.streetPlaceholder')}
+                    required
+                    className={`w-full p-3 border-2 rounded-lg focus:outline-none transition-colors ${
+                      errors.street ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
+                    }`}
+                  />
+                  {errors.street && <p className="text-red-500 text-sm mt-1">{errors.street}</p>}
+                </div>
 
-          {showEstimationFields && (
-            <>
-              <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
-                <h3 className="text-xl font-semibold text-green-800 mb-5">🎨 Project Details</h3>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+                <div>
+                  <label className="block text-green-800 font-semibold mb-2">
+                    {t('contact.city')} <span className="text-red-500">*</span>
+                  </label>
+                  <input
+                    type="text"
+                    name="city"
+                    value={formData.city}
+                    onChange={handleInputChange}
+                    autoComplete="address-level2"
+                    required
+                    className={`w-full p-3 border-2 rounded-lg focus:outline-none transition-colors ${
+                      errors.city ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
+                    }`}
+                  />
+                  {errors.city && <p className="text-red-500 text-sm mt-1">{errors.city}</p>}
+                </div>
+
+                <div className="grid grid-cols-3 gap-4">
                   <div>
                     <label className="block text-green-800 font-semibold mb-2">
-                      Project Type <span className="text-red-500">*</span>
+                      {t('contact.state')} <span className="text-red-500">*</span>
                     </label>
-                    <select
-                      name="projectType"
-                      value={formData.projectType}
+                    <input
+                      type="text"
+                      name="state"
+                      value={formData.state}
                       onChange={handleInputChange}
+                      autoComplete="address-level1"
+                      maxLength="2"
                       required
-                      className={`w-full p-3 border-2 rounded-lg focus:outline-none transition-colors ${
-                        errors.projectType ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
+                      className={`w-full p-3 border-2 rounded-lg uppercase focus:outline-none transition-colors ${
+                        errors.state ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
                       }`}
-                    >
-                      <option value="">Select Project Type</option>
-                      <option value="interior">Interior Painting</option>
-                      <option value="exterior">Exterior Painting</option>
-                      <option value="both">Both Interior & Exterior</option>
-                    </select>
-                    {errors.projectType && <p className="text-red-500 text-sm mt-1">{errors.projectType}</p>}
+                    />
                   </div>
-                  
-                  <div>
+                  <div className="col-span-2">
                     <label className="block text-green-800 font-semibold mb-2">
-                      Square Footage <span className="text-red-500">*</span>
+                      {t('contact.zip')} <span className="text-red-500">*</span>
                     </label>
                     <input
-                      type="number"
-                      name="squareFootage"
-                      value={formData.squareFootage}
+                      type="text"
+                      name="zip"
+                      value={formData.zip}
                       onChange={handleInputChange}
-                      min="100"
-                      max="50000"
+                      autoComplete="postal-code"
+                      inputMode="numeric"
+                      maxLength="10"
+                      placeholder="80521"
                       required
                       className={`w-full p-3 border-2 rounded-lg focus:outline-none transition-colors ${
-                        errors.squareFootage ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
+                        errors.zip ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
                       }`}
                     />
-                    {errors.squareFootage && <p className="text-red-500 text-sm mt-1">{errors.squareFootage}</p>}
                   </div>
+                  {(errors.state || errors.zip) && (
+                    <p className="col-span-3 text-red-500 text-sm">{errors.state || errors.zip}</p>
+                  )}
                 </div>
               </div>
 
-              <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
-                <h3 className="text-xl font-semibold text-green-800 mb-5">
-                  🎨 Paint Quality Selection <span className="text-red-500">*</span>
-                </h3>
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                  {[
-                    { id: 'standard', title: '⭐ Standard', multiplier: '1.0x', features: ['Good durability', 'Easy application', 'Wide color selection'] },
-                    { id: 'premium', title: '🥇 Premium', multiplier: '1.3x', features: ['Excellent durability', 'Superior coverage', 'Advanced colors'] },
-                    { id: 'designer', title: '💎 Designer', multiplier: '1.6x', features: ['Specialty finishes', 'Custom colors', 'Premium formulas'] }
-                  ].map((tier) => (
-                    <div
-                      key={tier.id}
-                      onClick={() => handleTierSelect(tier.id)}
-                      className={`p-4 border-2 rounded-xl cursor-pointer transition-all hover:scale-105 hover:shadow-lg ${
-                        formData.paintTier === tier.id
-                          ? 'border-lime-500 bg-gradient-to-br from-green-50 to-lime-50'
-                          : errors.paintTier
-                          ? 'border-red-300 bg-red-50 hover:border-red-400'
-                          : 'border-gray-200 bg-gray-50 hover:border-lime-300'
-                      }`}
-                    >
-                      <input
-                        type="radio"
-                        name="paintTier"
-                        value={tier.id}
-                        checked={formData.paintTier === tier.id}
-                        onChange={() => handleTierSelect(tier.id)}
-                        className="float-right scale-125"
-                      />
-                      <h5 className="text-lg font-semibold text-green-800 mb-1">{tier.title}</h5>
-                      <p className="text-sm font-semibold text-gray-600 mb-2">{tier.multiplier} base rate</p>
-                      <ul className="text-xs text-gray-600 space-y-1">
-                        {tier.features.map((feature, index) => (
-                          <li key={index}>• {feature}</li>
+              {isOutOfServiceArea && (
+                <p role="alert" className="mt-5 p-4 bg-yellow-50 border-l-4 border-yellow-400 rounded-lg text-yellow-800 text-sm">
+                  <strong>{t('contact.outOfAreaTitle', { zip: serviceArea.zip })}</strong> {t('contact.outOfAreaText')}
+                </p>
+              )}
+            </div>
+          )}
+
+          {stepId === 'project' && (
+            <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
+              <h3 className="text-xl font-semibold text-green-800 mb-5">{t('project.title')}</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+                <div>
+                  <label className="block text-green-800 font-semibold mb-2">
+                    {t('project.type')} <span className="text-red-500">*</span>
+                  </label>
+                  <select
+                    name="projectType"
+                    value={formData.projectType}
+                    onChange={handleInputChange}
+                    required
+                    className={`w-full p-3 border-2 rounded-lg focus:outline-none transition-colors ${
+                      errors.projectType ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
+                    }`}
+                  >
+                    <option value="">{t('project.selectType')}</option>
+                    {['interior', 'exterior', 'both'].map(type => (
+                      <option key={type} value={type}>{t(`projectTypes.${type}`)}</option>
+                    ))}
+                  </select>
+                  {errors.projectType && <p className="text-red-500 text-sm mt-1">{errors.projectType}</p>}
+                </div>
+                  
+                {formData.projectType !== 'interior' && (
+                  <div className="md:col-span-2">
+                    <fieldset className="mb-4">
+                      <legend className="block text-green-800 font-semibold mb-2">{t('project.measurement')}</legend>
+                      <div className="flex flex-wrap gap-3">
+                        {['footprint', 'area'].map(measurement => (
+                          <label
+                            key={measurement}
+                            className={`flex items-center px-4 py-2 bg-white border-2 rounded-lg cursor-pointer text-sm transition-all ${
+                              formData.exteriorMeasurement === measurement ? 'border-lime-500 bg-lime-50' : 'border-gray-200 hover:border-lime-500'
+                            }`}
+                          >
+                            <input
+                              type="radio"
+                              name="exteriorMeasurement"
+                              value={measurement}
+                              checked={formData.exteriorMeasurement === measurement}
+                              onChange={handleExteriorMeasurementChange}
+                              className="mr-2"
+                            />
+                            {t(`project.measurementOptions.${measurement}`)}
+                          </label>
                         ))}
-                      </ul>
-                    </div>
-                  ))}
+                      </div>
+                    </fieldset>
+
+                    {formData.exteriorMeasurement === 'footprint' ? (
+                      <ExteriorMeasurements
+                        dimensions={formData.exteriorDimensions}
+                        error={errors.exteriorDimensions}
+                        onChange={handleExteriorDimensionsChange}
+                      />
+                    ) : (
+                      <div>
+                        <label className="block text-green-800 font-semibold mb-2">
+                          {formData.projectType === 'both' ? t('project.exteriorSquareFootage') : t('project.squareFootage')} <span className="text-red-500">*</span>
+                        </label>
+                        <input
+                          type="number"
+                          name="squareFootage"
+                          value={formData.squareFootage}
+                          onChange={handleInputChange}
+                          min="100"
+                          max="50000"
+                          required
+                          className={`w-full p-3 border-2 rounded-lg focus:outline-none transition-colors ${
+                            errors.squareFootage ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
+                          }`}
+                        />
+                        {errors.squareFootage && <p className="text-red-500 text-sm mt-1">{errors.squareFootage}</p>}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                <div>
+                  <label className="block text-green-800 font-semibold mb-2">{t('project.coats')}</label>
+                  <select
+                    name="coats"
+                    value={formData.coats}
+                    onChange={handleInputChange}
+                    className="w-full p-3 border-2 border-gray-200 rounded-lg focus:border-lime-500 focus:outline-none transition-colors"
+                  >
+                    {['1', '2', '3'].map(coats => (
+                      <option key={coats} value={coats}>{t(`project.coatOptions.${coats}`)}</option>
+                    ))}
+                  </select>
                 </div>
-                {errors.paintTier && <p className="text-red-500 text-sm mt-2">{errors.paintTier}</p>}
               </div>
+            </div>
+          )}
 
-              {formData.projectType === 'interior' && (
-                <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
+          {stepId === 'paint' && (
+            <>
+              {getPaintTierFields().map((field) => (
+                <div key={field.name} className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
                   <h3 className="text-xl font-semibold text-green-800 mb-5">
-                    🏠 Interior Surface Types (Check all that apply)
+                    {field.title} <span className="text-red-500">*</span>
                   </h3>
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                    {getInteriorSurfaces().map((surface) => (
-                      <label
-                        key={surface.id}
-                        className={`flex items-center p-4 bg-white border-2 rounded-lg cursor-pointer transition-all hover:border-lime-300 ${
-                          formData.surfaces.includes(surface.id) 
-                            ? 'border-lime-500 bg-lime-50' 
-                            : 'border-gray-200'
+                    {getPaintTiers().map((tier) => (
+                      <div
+                        key={tier.id}
+                        onClick={() => handleTierSelect(tier.id, field.name)}
+                        className={`p-4 border-2 rounded-xl cursor-pointer transition-all hover:scale-105 hover:shadow-lg ${
+                          formData[field.name] === tier.id
+                            ? 'border-lime-500 bg-gradient-to-br from-green-50 to-lime-50'
+                            : errors[field.name]
+                            ? 'border-red-300 bg-red-50 hover:border-red-400'
+                            : 'border-gray-200 bg-gray-50 hover:border-lime-300'
                         }`}
                       >
                         <input
-                          type="checkbox"
-                          checked={formData.surfaces.includes(surface.id)}
-                          onChange={() => handleSurfaceChange(surface.id)}
-                          className="mr-3 scale-125"
+                          type="radio"
+                          name={field.name}
+                          value={tier.id}
+                          checked={formData[field.name] === tier.id}
+                          onChange={() => handleTierSelect(tier.id, field.name)}
+                          className="float-right scale-125"
                         />
-                        <span className="font-medium">{surface.label}</span>
-                      </label>
+                        <h5 className="text-lg font-semibold text-green-800 mb-1">{tier.title}</h5>
+                        <p className="text-sm font-semibold text-gray-600 mb-2">{t('paint.baseRate', { multiplier: formatMultiplier(rates.paintMultipliers[tier.id]) })}</p>
+                        <ul className="text-xs text-gray-600 space-y-1">
+                          {tier.features.map((feature, index) => (
+                            <li key={index}>• {feature}</li>
+                          ))}
+                        </ul>
+                      </div>
                     ))}
                   </div>
+                  {errors[field.name] && <p className="text-red-500 text-sm mt-2">{errors[field.name]}</p>}
+                </div>
+              ))}
+
+              <WhatIfComparison
+                project={buildProject(formData)}
+                rates={rates}
+                onSelectTier={handleComparisonTierSelect}
+              />
+            </>
+          )}
+
+          {stepId === 'surfaces' && (
+            <>
+              {usesRooms(formData.projectType) && (
+                <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
+                  <h3 className="text-xl font-semibold text-green-800 mb-5">
+                    {formData.projectType === 'both' ? t('surfaces.interiorRoomsTitle') : t('surfaces.roomsTitle')} <span className="text-red-500">*</span>
+                  </h3>
+                  <RoomBuilder
+                    rooms={formData.rooms}
+                    surfaceOptions={getInteriorSurfaces()}
+                    errors={errors}
+                    onChange={handleRoomsChange}
+                  />
                 </div>
               )}
 
               {shouldShowSurfaces && (
                 <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
                   <h3 className="text-xl font-semibold text-green-800 mb-5">
-                    🏠 Exterior Surface Types (Check all that apply)
+                    {t('surfaces.exteriorTitle')}
                   </h3>
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                     {getExteriorSurfaces().map((surface) => (
@@ -614,94 +963,336 @@ const PaintingCalculator = () => {
                       </label>
                     ))}
                   </div>
+
+                  {selectedSidings.length > 1 && (
+                    <div className="mt-6">
+                      <h4 className="text-green-800 font-semibold mb-1">{t('surfaces.sharesTitle')}</h4>
+                      <p className="text-gray-600 text-sm mb-4">{t('surfaces.sharesIntro')}</p>
+                      <div className="flex flex-wrap items-end gap-4">
+                        {selectedSidings.map((surface) => (
+                          <label key={surface.id} className="block text-sm">
+                            <span className="block text-gray-700 mb-1">{surface.label}</span>
+                            <input
+                              type="number"
+                              value={formData.surfaceShares[surface.id] || ''}
+                              onChange={(e) => handleSurfaceShareChange(surface.id, e.target.value)}
+                              min="1"
+                              max="100"
+                              step="1"
+                              aria-label={t('surfaces.shareLabel', { surface: surface.label })}
+                              className={`w-24 p-2 border-2 rounded-lg focus:outline-none transition-colors ${
+                                errors.surfaceShares ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
+                              }`}
+                            />
+                          </label>
+                        ))}
+                        <span className="text-sm text-gray-600 pb-2">
+                          {t('surfaces.sharesTotal', {
+                            total: selectedSidings.reduce((total, surface) => total + (parseInt(formData.surfaceShares[surface.id]) || 0), 0)
+                          })}
+                        </span>
+                      </div>
+                      {errors.surfaceShares && <p className="text-red-500 text-sm mt-2">{errors.surfaceShares}</p>}
+                    </div>
+                  )}
                 </div>
               )}
+            </>
+          )}
 
+          {stepId === 'addOns' && (
+            <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
+              <h3 className="text-xl font-semibold text-green-800 mb-2">{t('addOns.title')}</h3>
+              <p className="text-gray-600 text-sm mb-5">{t('addOns.intro')}</p>
+              <AddOnPicker
+                addOns={formData.addOns}
+                rates={rates}
+                error={errors.addOns}
+                onChange={handleAddOnsChange}
+              />
+            </div>
+          )}
+
+          {stepId === 'difficulty' && (
+            <>
               <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
-                <h3 className="text-xl font-semibold text-green-800 mb-5">🔧 Project Difficulty</h3>
-                <select
-                  name="difficultyLevel"
-                  value={formData.difficultyLevel}
-                  onChange={handleInputChange}
-                  className="w-full p-3 border-2 border-gray-200 rounded-lg focus:border-lime-500 focus:outline-none transition-colors"
-                >
-                  <option value="basic">Basic (1.0x) - New construction, minimal prep</option>
-                  <option value="standard">Standard (1.2x) - Good condition, light prep</option>
-                  <option value="moderate">Moderate (1.5x) - Some repairs, medium prep</option>
-                  <option value="complex">Complex (2.0x) - Extensive prep, repairs, intricate details</option>
-                  <option value="high_difficulty">High Difficulty (2.5x) - Historical restoration, specialty techniques</option>
-                </select>
+                <h3 className="text-xl font-semibold text-green-800 mb-2">{t('difficulty.title')}</h3>
+                <DifficultyQuestionnaire
+                  answers={formData.difficultyAnswers}
+                  override={formData.difficultyOverride}
+                  rates={rates}
+                  staffMode={staffMode}
+                  error={errors.difficultyAnswers || errors.difficultyOverride}
+                  onAnswer={handleDifficultyAnswer}
+                  onOverrideChange={handleDifficultyOverride}
+                />
               </div>
 
               <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
-                <h3 className="text-xl font-semibold text-green-800 mb-5">📝 Additional Details</h3>
+                <h3 className="text-xl font-semibold text-green-800 mb-5">{t('difficulty.detailsTitle')}</h3>
                 <div>
-                  <label className="block text-green-800 font-semibold mb-2">Additional Notes</label>
+                  <label className="block text-green-800 font-semibold mb-2">{t('difficulty.notes')}</label>
                   <textarea
                     name="additionalNotes"
                     value={formData.additionalNotes}
                     onChange={handleInputChange}
                     rows="3"
-                    placeholder="Any specific requirements, concerns, or details about your project..."
+                    placeholder={t('difficulty.notesPlaceholder')}
                     className="w-full p-3 border-2 border-gray-200 rounded-lg focus:border-lime-500 focus:outline-none transition-colors"
                   />
                 </div>
               </div>
+
+              <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
+                <h3 className="text-xl font-semibold text-green-800 mb-2">{t('photos.title')}</h3>
+                <PhotoUploader
+                  photos={photos}
+                  errors={errors}
+                  isProcessing={isProcessingPhotos}
+                  onAdd={handleAddPhotos}
+                  onRemove={handleRemovePhoto}
+                />
+              </div>
             </>
           )}
 
-          {estimate && (
-            <div className="mb-8 p-8 bg-gradient-to-r from-lime-500 to-green-600 text-white rounded-xl text-center shadow-lg">
-              <h3 className="text-2xl font-semibold mb-4">Your Estimated Range</h3>
-              <div className="text-4xl font-bold mb-2">
-                ${estimate.min.toLocaleString()} - ${estimate.max.toLocaleString()}
+          {stepId === 'review' && (
+            <>
+              <ReviewSummary sections={getReviewSections()} onEdit={handleStepClick} />
+
+              <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
+                <label htmlFor="promoCode" className="block text-green-800 font-semibold mb-2">{t('review.promoCode')}</label>
+                <input
+                  id="promoCode"
+                  type="text"
+                  name="promoCode"
+                  value={formData.promoCode}
+                  onChange={handleInputChange}
+                  maxLength="40"
+                  placeholder={t('review.promoCodePlaceholder')}
+                  className="w-full p-3 border-2 border-gray-200 rounded-lg uppercase focus:border-lime-500 focus:outline-none transition-colors"
+                />
+                {formData.promoCode.trim() && (
+                  <p className={`text-sm mt-1 ${isPromoCodeApplied ? 'text-green-700' : 'text-gray-600'}`}>
+                    {isPromoCodeApplied
+                      ? t('review.promoCodeApplied')
+                      : t('review.promoCodeNotApplied')}
+                  </p>
+                )}
               </div>
-              <div className="text-sm opacity-90 mb-4">{estimate.tierName}</div>
-              <p className="text-sm">
-                <strong>This is an unofficial range for planning purposes only.</strong><br />
-                An official estimate requires an on-site consultation with our team.
-              </p>
-              <a
-                href="https://limepainting.com/northern-colorado/"
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-white underline hover:text-lime-200 transition-colors"
-              >
-                Visit Lime Painting Website →
-              </a>
-            </div>
+
+              {estimate && (
+                <div className="mb-8 p-8 bg-gradient-to-r from-lime-500 to-green-600 text-white rounded-xl text-center shadow-lg">
+                  <h3 className="text-2xl font-semibold mb-4">{t('estimate.title')}</h3>
+                  <div className="text-4xl font-bold mb-2">
+                    {formatRange(estimate)}
+                  </div>
+                  <div className="text-sm opacity-90 mb-4">{t(`tiers.${estimate.paintTier || 'mixed'}`)}</div>
+                  {estimate.labor && (
+                    <div className="text-lg font-semibold mb-4">
+                      ⏱ {formatSchedule(estimate.labor, t)}
+                      <span className="block text-sm font-normal opacity-90">
+                        {t('estimate.laborHours', {
+                          min: formatNumber(estimate.labor.hours.min),
+                          max: formatNumber(estimate.labor.hours.max)
+                        })}
+                      </span>
+                    </div>
+                  )}
+                  {estimate.scopes && (
+                    <div className="flex justify-center gap-8 mb-4 text-sm">
+                      {Object.entries(estimate.scopes).map(([scopeType, scope]) => (
+                        <div key={scopeType}>
+                          <div className="font-semibold">{t(`estimate.scopeSubtotal.${scopeType}`)}</div>
+                          <div>{formatRange(scope.subtotal)}</div>
+                          <div className="opacity-90">{t(`tiers.${scope.paintTier}`)}</div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {estimate.promotions && (
+                    <div className="mb-4 text-sm">
+                      <div className="opacity-90">
+                        {t('estimate.beforePromotions', { range: formatRange(estimate.listPrice) })}
+                      </div>
+                      {estimate.promotions.map((promotion) => (
+                        <div key={promotion.id} className="font-semibold">
+                          {t('estimate.promotion', { label: promotion.label, range: formatRange(promotion.discount) })}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {estimate.addOns && (
+                    <div className="mb-4 text-sm">
+                      <div>
+                        {t('estimate.painting', { range: formatRange(estimate.paintingRange) })}
+                      </div>
+                      {estimate.addOns.map((addOn) => (
+                        <div key={addOn.id}>
+                          {t('estimate.addOn', {
+                            label: t(`addOns.services.${addOn.id}`),
+                            quantity: formatNumber(addOn.quantity),
+                            unit: t(`addOns.units.${addOn.id}`, { count: addOn.quantity }),
+                            range: formatRange(addOn)
+                          })}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {estimate.travel && (
+                    <div className="mb-4 text-sm">
+                      {t('estimate.travel', {
+                        amount: formatCurrency(estimate.travel.surcharge),
+                        zone: t(`travelZones.${estimate.travel.zone}`),
+                        zip: estimate.travel.zip
+                      })}
+                    </div>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => setShowBreakdown(prev => !prev)}
+                    className="mb-4 text-sm underline hover:text-lime-200 transition-colors"
+                  >
+                    {showBreakdown ? t('estimate.hideBreakdown') : t('estimate.showBreakdown')}
+                  </button>
+                  {showBreakdown && (
+                    <div className="mb-4 p-4 bg-white/10 rounded-lg">
+                      <EstimateBreakdown breakdown={estimate.breakdown} />
+                    </div>
+                  )}
+                  {estimate.materials && (
+                    <div className="mb-4 p-4 bg-white/10 rounded-lg">
+                      <MaterialsTakeoff materials={estimate.materials} />
+                    </div>
+                  )}
+                  <p className="text-sm">
+                    <strong>{t('estimate.unofficial')}</strong><br />
+                    {t('estimate.consultation')}
+                  </p>
+                  {submission && (
+                    <div className="my-4">
+                      <button
+                        type="button"
+                        onClick={handleDownloadSummary}
+                        className="px-6 py-2 bg-white text-green-800 font-semibold rounded-full shadow hover:bg-lime-50 transition-colors"
+                      >
+                        {t('estimate.downloadSummary')}
+                      </button>
+                      <div className="text-xs opacity-90 mt-2">
+                        {t('estimate.summaryHint', { reference: submission.data.referenceNumber })}
+                      </div>
+                    </div>
+                  )}
+                  <a
+                    href="https://limepainting.com/northern-colorado/"
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-white underline hover:text-lime-200 transition-colors"
+                  >
+                    {t('estimate.website')}
+                  </a>
+                </div>
+              )}
+
+              <WhatIfComparison
+                project={buildProject(formData)}
+                rates={rates}
+                onSelectTier={handleComparisonTierSelect}
+              />
+
+              {staffMode && (
+                <QuoteBuilder
+                  key={lead ? lead.referenceNumber : 'new'}
+                  project={buildProject(formData)}
+                  rates={rates}
+                  client={{ name: formData.clientName, email: formData.email, phone: formData.phone, address: formatAddress(formData) }}
+                  referenceNumber={lead && lead.referenceNumber}
+                />
+              )}
+
+              {isOutOfServiceArea && (
+                <p className="mb-4 p-4 bg-yellow-50 border-l-4 border-yellow-400 rounded-lg text-yellow-800 text-sm">
+                  <strong>{t('review.headsUp')}</strong> {t('review.outOfAreaText', { zip: serviceArea.zip })}
+                </p>
+              )}
+
+              {!lead && (
+                <>
+                  <p className="text-center text-gray-600 mb-4">
+                    {t('review.leadCapture')}
+                  </p>
+                  <button
+                    onClick={handleSubmit}
+                    className="w-full bg-gradient-to-r from-lime-500 to-green-600 text-white text-xl font-semibold py-4 px-8 rounded-full shadow-lg hover:from-lime-600 hover:to-green-700 hover:shadow-xl transform hover:-translate-y-1 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    disabled={Boolean(submissionStatus) && submissionStatus.status !== SUBMISSION_STATUS.FAILED}
+                  >
+                    {t('review.submit')}
+                  </button>
+                </>
+              )}
+
+              {submissionStatus && <SubmissionStatus {...submissionStatus} />}
+            </>
           )}
 
-          {Object.keys(errors).length > 0 && !isClientInfoComplete && (
+          {errorMessages.length > 0 && (
             <div className="mb-6 p-4 bg-red-50 border-l-4 border-red-500 rounded-lg">
-              <h4 className="font-semibold text-red-800 mb-2">Please complete the required fields:</h4>
+              <h4 className="font-semibold text-red-800 mb-2">{t('notices.errorSummary')}</h4>
               <ul className="text-red-700 text-sm space-y-1">
-                {Object.entries(errors).map(([field, error]) => (
+                {errorMessages.map(([field, error]) => (
                   <li key={field}>• {error}</li>
                 ))}
               </ul>
             </div>
           )}
 
-          <button
-            onClick={handleSubmit}
-            className="w-full bg-gradient-to-r from-lime-500 to-green-600 text-white text-xl font-semibold py-4 px-8 rounded-full shadow-lg hover:from-lime-600 hover:to-green-700 hover:shadow-xl transform hover:-translate-y-1 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-            disabled={!isClientInfoComplete}
-          >
-            Submit for Official Estimate
-          </button>
-
-          {!isClientInfoComplete && (
-            <p className="text-center text-gray-600 mt-4">
-              Complete the contact information above to access the project estimation fields.
-            </p>
+          <div className="flex justify-between mb-6">
+            {currentStep > 0 ? (
+              <button
+                type="button"
+                onClick={handleBack}
+                className="px-6 py-3 border-2 border-green-700 text-green-800 font-semibold rounded-full hover:bg-lime-50 transition-colors"
+              >
+                {t('nav.back')}
+              </button>
+            ) : <span />}
+            {currentStep < REVIEW_STEP && (
+              <button
+                type="button"
+                onClick={handleNext}
+                className="px-8 py-3 bg-gradient-to-r from-lime-500 to-green-600 text-white font-semibold rounded-full shadow-lg hover:from-lime-600 hover:to-green-700 transition-all"
+              >
+                {t('nav.next', { step: t(`steps.${WIZARD_STEPS[currentStep + 1].id}`) })}
+              </button>
+            )}
+          </div>
+
+
+          {formData !== INITIAL_FORM_DATA && (
+            <div className="flex justify-center gap-6 mt-4">
+              {formData.projectType && (
+                <button
+                  type="button"
+                  onClick={handleCopyShareLink}
+                  className="text-sm text-gray-600 underline hover:text-green-800 transition-colors"
+                >
+                  {t('nav.copyShareLink')}
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={handleStartOver}
+                className="text-sm text-gray-600 underline hover:text-green-800 transition-colors"
+              >
+                {t('nav.startOver')}
+              </button>
+            </div>
           )}
+          {shareStatus && <p className="text-center text-green-800 text-sm mt-2">{t(shareStatus)}</p>}
 
           <div className="mt-6 p-5 bg-yellow-50 border-l-4 border-yellow-400 rounded-lg">
             <p className="text-yellow-800 text-sm">
-              <strong>Important:</strong> This calculator provides unofficial pricing ranges for planning purposes only. 
-              Actual costs may vary significantly based on surface preparation requirements, access challenges, 
-              material choices, and specific project conditions. An official estimate requires an on-site consultation.
+              <strong>{t('notices.important')}</strong> {t('disclaimer')}
             </p>
           </div>
         </div>
@@ -710,10 +1301,62 @@ const PaintingCalculator = () => {
   );
 };
 
+// Staff mode loads other customers' leads, which the estimates API only hands
+// out to a staff session, so staff log in against the API before any of it
+// renders. The quote's default costs and margin ship with the page like the
+// rest of the code, so they are not secret.
+const StaffCalculator = () => {
+  const { t } = useI18n();
+  const [token, setToken] = useState(null);
+
+  if (token) {
+    return <PaintingCalculator staffMode staffToken={token} />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-lime-400 to-green-600 p-5">
+      <div className="max-w-4xl mx-auto bg-white rounded-2xl shadow-2xl overflow-hidden">
+        <div className="bg-gradient-to-r from-green-800 to-green-700 text-white p-10 text-center">
+          <div className="text-4xl font-bold mb-4">🎨 LIME PAINTING</div>
+          <h1 className="text-3xl font-light">{t('staff.title')}</h1>
+          <a href={window.location.pathname} className="inline-block mt-4 text-lime-200 underline hover:text-white transition-colors">
+            {t('staff.back')}
+          </a>
+        </div>
+
+        <div className="p-10">
+          <StaffLogin onLogin={setToken} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// #admin edits the rates; #staff is the calculator with the internal controls
+const getRoute = () => ({ '#admin': 'admin', '#staff': 'staff' })[window.location.hash] || 'calculator';
+
 function App() {
+  const [route, setRoute] = useState(getRoute);
+
+  useEffect(() => {
+    const handleHashChange = () => setRoute(getRoute());
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
   return (
     <div className="App">
-      <PaintingCalculator />
+      {route === 'admin' && <RateAdmin />}
+      {route === 'staff' && (
+        <LocaleProvider>
+          <StaffCalculator />
+        </LocaleProvider>
+      )}
+      {route === 'calculator' && (
+        <LocaleProvider>
+          <PaintingCalculator />
+        </LocaleProvider>
+      )}
     </div>
   );
 }
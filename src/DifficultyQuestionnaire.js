@@ -0,0 +1,107 @@
+import React from 'react';
+import { ASSESSMENT_QUESTIONS, assessDifficulty, DIFFICULTY_SCORE_LEVELS } from './difficultyAssessment';
+import { useI18n } from './LocaleContext';
+
+// Questions about the home that set the project difficulty, with the level
+// they add up to and the answers behind it. In staff mode the level can be
+// overridden; override is '' when the questionnaire result applies.
+const DifficultyQuestionnaire = ({ answers, override, rates, staffMode, error, onAnswer, onOverrideChange }) => {
+  const { t, formatNumber } = useI18n();
+  const assessment = assessDifficulty(answers);
+  const level = override || assessment.level;
+  const getLevelLabel = (id) => t(`difficulty.levels.${id}.label`);
+  const formatMultiplier = (multiplier) => `${formatNumber(multiplier, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}x`;
+
+  return (
+    <div>
+      <p className="text-gray-600 text-sm mb-5">{t('difficulty.intro')}</p>
+
+      <div className="space-y-5">
+        {ASSESSMENT_QUESTIONS.map((question) => (
+          <fieldset key={question.id}>
+            <legend className="text-green-800 font-semibold mb-2">{t(`difficulty.questions.${question.id}.label`)}</legend>
+            <div className="flex flex-wrap gap-3">
+              {question.options.map((option) => (
+                <label
+                  key={option.value}
+                  className={`flex items-center px-4 py-2 bg-white border-2 rounded-lg cursor-pointer text-sm transition-all ${
+                    answers[question.id] === option.value ? 'border-lime-500 bg-lime-50' : 'border-gray-200 hover:border-lime-500'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name={`difficulty-${question.id}`}
+                    value={option.value}
+                    checked={answers[question.id] === option.value}
+                    onChange={() => onAnswer(question.id, option.value)}
+                    className="mr-2"
+                  />
+                  {t(`difficulty.questions.${question.id}.options.${option.value}`)}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+        ))}
+      </div>
+      {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+
+      <div className="mt-6 p-4 bg-white border-2 border-gray-200 rounded-lg" aria-live="polite">
+        {assessment.complete || override ? (
+          <>
+            <p className="font-semibold text-green-800">
+              {t('difficulty.result', { label: getLevelLabel(level), multiplier: formatMultiplier(rates.difficultyMultipliers[level]) })}
+            </p>
+            {override && (
+              <p className="text-sm text-gray-600 mt-1">{t('difficulty.staff.overridden', { label: getLevelLabel(assessment.level) })}</p>
+            )}
+            {assessment.reasons.length > 0 ? (
+              <>
+                <p className="text-sm text-gray-600 mt-3">{t('difficulty.reasonsTitle', { score: assessment.score })}</p>
+                <ul className="list-disc list-inside text-sm text-gray-600 mt-1">
+                  {assessment.reasons.map((reason) => (
+                    <li key={reason.question}>
+                      {t('difficulty.reason', {
+                        question: t(`difficulty.questions.${reason.question}.label`),
+                        answer: t(`difficulty.questions.${reason.question}.options.${reason.answer}`),
+                        points: reason.points
+                      })}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            ) : (
+              assessment.complete && <p className="text-sm text-gray-600 mt-3">{t('difficulty.noReasons')}</p>
+            )}
+          </>
+        ) : (
+          <p className="text-sm text-gray-600">{t('difficulty.pending')}</p>
+        )}
+      </div>
+
+      {staffMode && (
+        <label className="block mt-6">
+          <span className="block text-green-800 font-semibold mb-2">{t('difficulty.staff.title')}</span>
+          <select
+            name="difficultyOverride"
+            value={override}
+            onChange={(e) => onOverrideChange(e.target.value)}
+            className="w-full p-3 border-2 border-gray-200 rounded-lg focus:border-lime-500 focus:outline-none transition-colors"
+          >
+            <option value="">{t('difficulty.staff.useAssessment')}</option>
+            {DIFFICULTY_SCORE_LEVELS.map(({ level: id }) => (
+              <option key={id} value={id}>
+                {t('difficulty.option', {
+                  label: getLevelLabel(id),
+                  multiplier: formatMultiplier(rates.difficultyMultipliers[id]),
+                  description: t(`difficulty.levels.${id}.description`)
+                })}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default DifficultyQuestionnaire;
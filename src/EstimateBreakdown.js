@@ -0,0 +1,123 @@
+import React from 'react';
+import { useI18n } from './LocaleContext';
+
+// Steps are described from their structured fields rather than the English
+// label/detail the pricing engine attaches, so the table follows the language
+const getStepLabel = (step, { t }) => {
+  if (step.roomIndex !== undefined) {
+    return step.name || t('rooms.defaultName', { number: step.roomIndex + 1 });
+  }
+  if (step.addOnId) {
+    return t(`addOns.services.${step.addOnId}`);
+  }
+  if (step.promotion) {
+    return step.label;
+  }
+
+  switch (step.key) {
+    case 'paint':
+      return t('breakdown.paint', { tier: t(`tiers.${step.paintTier}`) });
+    case 'interior':
+    case 'exterior':
+      return t(`estimate.scopeSubtotal.${step.key}`);
+    case 'travel':
+      return t('breakdown.travel', { zone: t(`travelZones.${step.zone}`) });
+    default:
+      return t(`breakdown.${step.key}`);
+  }
+};
+
+const describePromotion = ({ type, amount, scope }, { t, formatCurrency }) => {
+  const value = type === 'percent' ? amount : formatCurrency(amount);
+  const key = type === 'percent' ? 'percentOff' : 'flatOff';
+
+  return scope
+    ? t(`breakdown.${key}Scope`, { amount: value, scope: t(`breakdown.scopes.${scope}`) })
+    : t(`breakdown.${key}`, { amount: value });
+};
+
+const getItemDetail = (step, i18n) => {
+  const { t, formatNumber, formatCurrency } = i18n;
+
+  if (step.roomIndex !== undefined) {
+    return t('breakdown.roomDetail', {
+      area: formatNumber(Math.round(step.weightedArea)),
+      tier: t(`tiers.${step.paintTier}`)
+    });
+  }
+  if (step.addOnId) {
+    return t('breakdown.addOnDetail', {
+      quantity: formatNumber(step.quantity),
+      unit: t(`addOns.units.${step.addOnId}`, { count: step.quantity }),
+      min: formatCurrency(step.rate.min),
+      max: formatCurrency(step.rate.max)
+    });
+  }
+  if (step.promotion) {
+    return describePromotion(step.promotion, i18n);
+  }
+  if (step.key === 'travel') {
+    return t('breakdown.travelDetail', { zip: step.zip });
+  }
+  return t('breakdown.scopeDetail', {
+    squareFootage: formatNumber(step.squareFootage),
+    tier: t(`tiers.${step.paintTier}`)
+  });
+};
+
+const describeStep = (step, i18n) => {
+  const { t, formatNumber, formatCurrency } = i18n;
+  const formatRate = (rate) => formatNumber(rate, { style: 'currency', currency: 'USD', minimumFractionDigits: 2 });
+
+  if (step.key === 'base') {
+    return t('breakdown.baseDetail', {
+      min: formatRate(step.rate.min),
+      max: formatRate(step.rate.max),
+      squareFootage: formatNumber(step.squareFootage)
+    });
+  }
+  if (step.detail) {
+    // Line items add to the range, promotions take off it
+    const sign = step.itemMax < 0 ? '−' : '+';
+    return `${getItemDetail(step, i18n)}: ${sign}${formatCurrency(Math.abs(step.itemMin))} - ${formatCurrency(Math.abs(step.itemMax))}`;
+  }
+  if (step.factor !== undefined) {
+    return `× ${formatNumber(Number(step.factor.toFixed(2)))}`;
+  }
+  return step.applied
+    ? t('breakdown.applied', { amount: formatCurrency(step.amount) })
+    : t('breakdown.notNeeded', { amount: formatCurrency(step.amount) });
+};
+
+const EstimateBreakdown = ({ breakdown }) => {
+  const i18n = useI18n();
+  const { t, formatCurrency } = i18n;
+
+  return (
+    <table className="w-full text-left text-sm">
+      <thead>
+        <tr className="border-b border-white/40">
+          <th className="py-2 font-semibold">{t('breakdown.step')}</th>
+          <th className="py-2 font-semibold">{t('breakdown.adjustment')}</th>
+          <th className="py-2 font-semibold text-right">{t('breakdown.runningRange')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {breakdown.map((step) => (
+          <tr
+            key={step.key}
+            className={`border-b border-white/20 ${step.applied === false ? 'opacity-60' : ''}`}
+          >
+            <td className="py-2 pr-2">{getStepLabel(step, i18n)}</td>
+            <td className="py-2 pr-2">{describeStep(step, i18n)}</td>
+            <td className="py-2 text-right whitespace-nowrap">
+              {formatCurrency(step.min)} - {formatCurrency(step.max)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default EstimateBreakdown;
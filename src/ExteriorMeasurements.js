@@ -0,0 +1,49 @@
+import React from 'react';
+import { getExteriorAreas } from './pricing';
+import { HOUSE_FIELDS } from './projectForm';
+import { useI18n } from './LocaleContext';
+
+// House measurements the exterior's paintable area is derived from, with the
+// resulting wall area and trim shown so the customer can sanity-check them.
+// dimensions is the form's exteriorDimensions object.
+const ExteriorMeasurements = ({ dimensions, error, onChange }) => {
+  const { t, formatNumber } = useI18n();
+  const { wallArea, trimLength } = getExteriorAreas(dimensions);
+
+  return (
+    <div>
+      <p className="text-gray-600 text-sm mb-4">{t('project.house.intro')}</p>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+        {HOUSE_FIELDS.map((field) => (
+          <label key={field} className="block text-sm">
+            <span className="block text-green-800 font-semibold mb-1">{t(`project.house.${field}`)}</span>
+            <input
+              type="number"
+              name={field}
+              value={dimensions[field]}
+              onChange={(e) => onChange({ ...dimensions, [field]: e.target.value })}
+              min={field === 'stories' ? '1' : '0'}
+              max={field === 'stories' ? '4' : undefined}
+              step={field === 'perimeter' ? 'any' : '1'}
+              className={`w-full p-2 border-2 rounded-lg focus:outline-none transition-colors ${
+                error ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
+              }`}
+            />
+          </label>
+        ))}
+      </div>
+      {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+
+      {!error && wallArea > 0 && (
+        <div className="mt-4 p-3 bg-lime-50 border-l-4 border-lime-500 rounded-lg text-sm text-green-800" aria-live="polite">
+          <p className="font-semibold">
+            {t('project.house.derived', { area: formatNumber(Math.round(wallArea)), trim: formatNumber(Math.round(trimLength)) })}
+          </p>
+          <p>{t('project.house.derivedHint')}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExteriorMeasurements;
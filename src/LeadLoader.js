@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { fetchLead } from './submissionService';
+import { useI18n } from './LocaleContext';
+
+// Staff lookup of a submitted lead by its reference number; token is the staff
+// session fetchLead sends, and onLoad gets the lead as the estimates API
+// stored it
+const LeadLoader = ({ token, onLoad }) => {
+  const { t } = useI18n();
+  const [referenceNumber, setReferenceNumber] = useState('');
+  const [status, setStatus] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const reference = referenceNumber.trim().toUpperCase();
+    if (!reference) {
+      return;
+    }
+
+    setStatus({ loading: true });
+    const result = await fetchLead(reference, { token });
+
+    if (result.ok) {
+      try {
+        onLoad(result.lead);
+        setStatus({ message: t('quote.lead.loaded', { reference, name: result.lead.clientName }) });
+      } catch (error) {
+        // A lead the form can't be rebuilt from shouldn't fail without a word
+        setStatus({ error: t('quote.lead.unreadable', { reference }) });
+      }
+    } else {
+      let error = t('quote.lead.failed', { error: result.error });
+      if (result.notFound) {
+        error = t('quote.lead.notFound', { reference });
+      } else if (result.unauthorized) {
+        error = t('quote.lead.unauthorized');
+      }
+      setStatus({ error });
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-6 p-4 bg-yellow-50 border-l-4 border-yellow-400 rounded-lg">
+      <label className="block text-green-800 font-semibold mb-2" htmlFor="leadReference">{t('quote.lead.title')}</label>
+      <div className="flex flex-wrap gap-3">
+        <input
+          id="leadReference"
+          type="text"
+          name="leadReference"
+          value={referenceNumber}
+          onChange={(e) => setReferenceNumber(e.target.value)}
+          placeholder={t('quote.lead.label')}
+          className="flex-1 p-2 border-2 border-gray-200 rounded-lg focus:border-lime-500 focus:outline-none transition-colors"
+        />
+        <button
+          type="submit"
+          disabled={Boolean(status && status.loading)}
+          className="px-4 py-2 bg-green-700 text-white text-sm font-semibold rounded-lg hover:bg-green-800 transition-colors disabled:opacity-50"
+        >
+          {status && status.loading ? t('quote.lead.loading') : t('quote.lead.load')}
+        </button>
+      </div>
+      {status && status.message && <p className="text-green-800 text-sm mt-2">{status.message}</p>}
+      {status && status.error && <p className="text-red-500 text-sm mt-2">{status.error}</p>}
+    </form>
+  );
+};
+
+export default LeadLoader;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { formatSchedule } from './labor';
+import { useI18n } from './LocaleContext';
+
+// Sticky running estimate shown while the customer fills in the wizard. It
+// updates on every change and needs no contact details or submission.
+const LiveEstimatePanel = ({ estimate }) => {
+  const { t, formatRange } = useI18n();
+
+  return (
+    <div
+      aria-live="polite"
+      className="sticky top-0 z-10 mb-6 p-4 bg-green-800/95 text-white rounded-xl shadow-lg flex flex-wrap items-center justify-between gap-2"
+    >
+      <span className="text-sm uppercase tracking-wide opacity-90">{t('estimate.live')}</span>
+      {estimate ? (
+        <>
+          <span className="text-2xl font-bold">
+            {formatRange(estimate)}
+          </span>
+          <span className="text-sm opacity-90">
+            {t(`tiers.${estimate.paintTier || 'mixed'}`)}
+            {estimate.labor && ` · ${formatSchedule(estimate.labor, t)}`}
+            {estimate.promotions && ` · ${t('estimate.promotionApplied')}`}
+          </span>
+        </>
+      ) : (
+        <span className="text-sm opacity-90">
+          {t('estimate.livePlaceholder')}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default LiveEstimatePanel;
@@ -0,0 +1,23 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { createI18n, DEFAULT_I18N, loadLocale, saveLocale } from './i18n';
+
+// Active language for the calculator. Components read messages and formatters
+// with useI18n(); outside a provider they get English.
+
+const LocaleContext = createContext({ ...DEFAULT_I18N, setLocale: () => {} });
+
+export const LocaleProvider = ({ children }) => {
+  const [locale, setLocale] = useState(loadLocale);
+  const i18n = useMemo(() => createI18n(locale), [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = i18n.locale;
+    saveLocale(i18n.locale);
+  }, [i18n.locale]);
+
+  const value = useMemo(() => ({ ...i18n, setLocale }), [i18n]);
+
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+};
+
+export const useI18n = () => useContext(LocaleContext);
@@ -0,0 +1,48 @@
+import React from 'react';
+import { useI18n } from './LocaleContext';
+
+const MaterialsTakeoff = ({ materials }) => {
+  const { t, formatNumber } = useI18n();
+
+  return (
+    <div className="text-left text-sm">
+      <h4 className="font-semibold mb-2">
+        {t('materials.title', {
+          area: formatNumber(materials.totalArea),
+          coats: t('materials.coats', { count: materials.coats })
+        })}
+      </h4>
+      <table className="w-full mb-3">
+        <thead>
+          <tr className="border-b border-white/40">
+            <th className="py-1 font-semibold">{t('materials.paint')}</th>
+            <th className="py-1 font-semibold text-right">{t('materials.primer')}</th>
+            <th className="py-1 font-semibold text-right">{t('materials.finish')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {materials.paint.map((tier) => (
+            <tr key={tier.paintTier} className="border-b border-white/20">
+              <td className="py-1">{t(`tiers.${tier.paintTier}`)}</td>
+              <td className="py-1 text-right">{t('materials.gallons', { gallons: formatNumber(tier.primerGallons) })}</td>
+              <td className="py-1 text-right">{t('materials.gallons', { gallons: formatNumber(tier.finishGallons) })}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <ul className="space-y-1">
+        {materials.sundries.map((item) => (
+          <li key={item.id}>
+            {t('materials.sundry', {
+              label: t(`materials.sundries.${item.id}`),
+              quantity: formatNumber(item.quantity),
+              unit: t(`materials.units.${item.unit}`, { count: item.quantity })
+            })}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default MaterialsTakeoff;
@@ -0,0 +1,88 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ACCEPTED_PHOTO_TYPES, MAX_PHOTOS } from './photos';
+import { useI18n } from './LocaleContext';
+
+const PhotoThumbnail = ({ photo, onRemove }) => {
+  const { t } = useI18n();
+  const [previewUrl, setPreviewUrl] = useState(null);
+
+  useEffect(() => {
+    const url = URL.createObjectURL(photo.blob);
+    setPreviewUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [photo.blob]);
+
+  return (
+    <li className="relative">
+      {previewUrl && (
+        <img src={previewUrl} alt={photo.name} className="w-24 h-24 object-cover rounded-lg border-2 border-gray-200" />
+      )}
+      <button
+        type="button"
+        onClick={() => onRemove(photo.id)}
+        aria-label={t('photos.remove', { name: photo.name })}
+        className="absolute -top-2 -right-2 w-6 h-6 bg-red-500 text-white text-sm font-bold rounded-full shadow hover:bg-red-600 transition-colors"
+      >
+        ×
+      </button>
+    </li>
+  );
+};
+
+// Thumbnails of the attached photos with a picker for more. photos is the
+// list from compressPhoto; errors is the form's errors map, of which this
+// shows `photos` and the per-file photo0, photo1, ... entries.
+const PhotoUploader = ({ photos, errors, isProcessing, onAdd, onRemove }) => {
+  const { t } = useI18n();
+  const inputRef = useRef(null);
+  const photoErrors = Object.entries(errors).filter(([key, error]) => error && /^photos?\d*$/.test(key));
+
+  const handleFilesChange = (e) => {
+    onAdd(Array.from(e.target.files));
+    // Allow picking the same file again after removing it
+    e.target.value = '';
+  };
+
+  return (
+    <div>
+      <p className="text-gray-600 text-sm mb-4">{t('photos.intro', { max: MAX_PHOTOS })}</p>
+
+      {photos.length > 0 && (
+        <ul className="flex flex-wrap gap-4 mb-4">
+          {photos.map((photo) => (
+            <PhotoThumbnail key={photo.id} photo={photo} onRemove={onRemove} />
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap items-center gap-4">
+        <button
+          type="button"
+          onClick={() => inputRef.current.click()}
+          disabled={photos.length >= MAX_PHOTOS || isProcessing}
+          className="px-5 py-2 border-2 border-lime-500 text-green-800 font-semibold rounded-lg hover:bg-lime-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {t('photos.add')}
+        </button>
+        <span className="text-sm text-gray-600">
+          {isProcessing ? t('photos.processing') : t('photos.count', { count: photos.length })}
+        </span>
+        <input
+          ref={inputRef}
+          type="file"
+          name="photos"
+          accept={ACCEPTED_PHOTO_TYPES.join(',')}
+          multiple
+          onChange={handleFilesChange}
+          className="hidden"
+        />
+      </div>
+
+      {photoErrors.map(([key, error]) => (
+        <p key={key} className="text-red-500 text-sm mt-2">{error}</p>
+      ))}
+    </div>
+  );
+};
+
+export default PhotoUploader;
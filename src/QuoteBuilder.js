@@ -0,0 +1,264 @@
+import React, { useState } from 'react';
+import { buildQuote, describeQuoteLine, getQuoteNumber, QUOTE_DEFAULTS } from './quote';
+import { buildQuoteDocument, buildQuoteJson } from './quoteDocument';
+import { createReferenceNumber } from './estimateSummary';
+import { validateQuote } from './validation';
+import { downloadFile } from './download';
+import { useI18n } from './LocaleContext';
+
+const inputClassName = 'w-full p-2 border-2 border-gray-200 rounded-lg focus:border-lime-500 focus:outline-none transition-colors';
+
+const createCustomItem = () => ({ description: '', quantity: '1', unit: '', unitCost: '' });
+
+// Staff-only formal quote for the project on the review step. project is
+// buildProject's shape; client is { name, email, phone, address };
+// referenceNumber is the loaded lead's, if any. Quote inputs live here, so
+// render with a key per lead to start each one fresh.
+const QuoteBuilder = ({ project, rates, client, referenceNumber }) => {
+  const i18n = useI18n();
+  const { t, formatCurrency, formatNumber, formatRange, formatDate } = i18n;
+  const [settings, setSettings] = useState(QUOTE_DEFAULTS);
+  const [quantityOverrides, setQuantityOverrides] = useState({});
+  const [priceOverrides, setPriceOverrides] = useState({});
+  const [customItems, setCustomItems] = useState([]);
+  const [terms, setTerms] = useState(() => t('quote.defaultTerms').join('\n'));
+  const [issuedAt] = useState(() => new Date());
+  const [draftQuoteNumber] = useState(() => getQuoteNumber(createReferenceNumber()));
+
+  const quoteNumber = referenceNumber ? getQuoteNumber(referenceNumber) : draftQuoteNumber;
+  const quote = buildQuote(project, rates, { settings, quantityOverrides, priceOverrides, customItems, issuedAt });
+  const errors = Object.values(validateQuote({ settings, quantityOverrides, priceOverrides, customItems, quote }, t));
+
+  const updateSetting = (field, value) => setSettings(prev => ({ ...prev, [field]: value }));
+
+  const updateCustomItem = (index, changes) => {
+    setCustomItems(items => items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const handleExport = (format) => {
+    const details = { quoteNumber, referenceNumber, client, terms };
+    if (format === 'json') {
+      downloadFile(`lime-painting-quote-${quoteNumber}.json`, buildQuoteJson(quote, details, i18n), 'application/json');
+    } else {
+      downloadFile(`lime-painting-quote-${quoteNumber}.html`, buildQuoteDocument(quote, details, i18n), 'text/html');
+    }
+  };
+
+  const renderSetting = (name, label, value, onChange, step = 'any') => (
+    <label key={name} className="block text-sm">
+      <span className="block text-green-800 font-semibold mb-1">{label}</span>
+      <input type="number" name={name} value={value} min="0" step={step} onChange={(e) => onChange(e.target.value)} className={inputClassName} />
+    </label>
+  );
+
+  if (!quote) {
+    return (
+      <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-yellow-400">
+        <h3 className="text-xl font-semibold text-green-800 mb-2">{t('quote.title')}</h3>
+        <p className="text-sm text-gray-600">{t('quote.incomplete')}</p>
+      </div>
+    );
+  }
+
+  const paintTiers = quote.lines.filter(line => line.kind === 'paint').map(line => line.paintTier);
+
+  return (
+    <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-yellow-400">
+      <h3 className="text-xl font-semibold text-green-800 mb-1">{t('quote.title')}</h3>
+      <p className="text-sm font-semibold text-gray-700 mb-2">{t('quote.number', { quoteNumber })}</p>
+      <p className="text-sm text-gray-600 mb-5">{t('quote.intro')}</p>
+
+      <h4 className="font-semibold text-green-800 mb-3">{t('quote.settingsTitle')}</h4>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-6">
+        {renderSetting('laborRate', t('quote.settings.laborRate'), settings.laborRate, value => updateSetting('laborRate', value))}
+        {paintTiers.map(tier => renderSetting(
+          `paintCost-${tier}`,
+          t('quote.settings.paintCost', { tier: t(`tiers.${tier}`) }),
+          settings.paintCosts[tier],
+          value => updateSetting('paintCosts', { ...settings.paintCosts, [tier]: value })
+        ))}
+        {renderSetting('primerCost', t('quote.settings.primerCost'), settings.primerCost, value => updateSetting('primerCost', value))}
+        {Object.keys(settings.sundryCosts).map(id => renderSetting(
+          `sundryCost-${id}`,
+          t('quote.settings.sundryCost', { item: t(`materials.sundries.${id}`) }),
+          settings.sundryCosts[id],
+          value => updateSetting('sundryCosts', { ...settings.sundryCosts, [id]: value })
+        ))}
+        {renderSetting('margin', t('quote.settings.margin'), settings.margin, value => updateSetting('margin', value))}
+        {renderSetting('validDays', t('quote.settings.validDays'), settings.validDays, value => updateSetting('validDays', value), '1')}
+      </div>
+
+      <h4 className="font-semibold text-green-800 mb-3">{t('quote.linesTitle')}</h4>
+      <table className="w-full text-sm mb-4">
+        <thead>
+          <tr className="border-b-2 border-gray-200 text-left">
+            <th className="py-2">{t('quote.columns.item')}</th>
+            <th className="py-2">{t('quote.columns.quantity')}</th>
+            <th className="py-2 text-right">{t('quote.columns.unitCost')}</th>
+            <th className="py-2 text-right">{t('quote.columns.cost')}</th>
+            <th className="py-2 text-right">{t('quote.columns.price')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {quote.lines.filter(line => line.kind !== 'custom' && !line.adjustment).map(line => {
+            const { description, unit } = describeQuoteLine(line, t);
+            const override = quantityOverrides[line.id];
+            const priceOverride = priceOverrides[line.id];
+
+            return (
+              <tr key={line.id} className="border-b border-gray-200">
+                <td className="py-2">{description}</td>
+                <td className="py-2">
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={override !== undefined ? override : line.quantity}
+                      onChange={(e) => setQuantityOverrides(prev => ({ ...prev, [line.id]: e.target.value }))}
+                      aria-label={t('quote.quantityLabel', { item: description })}
+                      className="w-24 p-1 border-2 border-gray-200 rounded-lg focus:border-lime-500 focus:outline-none"
+                    />
+                    <span>{unit}</span>
+                  </div>
+                  {line.takeoffQuantity !== undefined && (
+                    <div className="text-xs text-gray-500 mt-1">{t('quote.takeoff', { quantity: formatNumber(line.takeoffQuantity) })}</div>
+                  )}
+                </td>
+                {line.listPrice ? (
+                  <td className="py-2 text-right">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={priceOverride !== undefined ? priceOverride : line.unitPrice}
+                      onChange={(e) => setPriceOverrides(prev => ({ ...prev, [line.id]: e.target.value }))}
+                      aria-label={t('quote.unitPriceLabel', { item: description })}
+                      className="w-24 p-1 border-2 border-gray-200 rounded-lg text-right focus:border-lime-500 focus:outline-none"
+                    />
+                    {line.listUnitPrice !== undefined && (
+                      <div className="text-xs text-gray-500 mt-1">{t('quote.listUnitPrice', { price: formatCurrency(line.listUnitPrice) })}</div>
+                    )}
+                  </td>
+                ) : (
+                  <td className="py-2 text-right">{formatCurrency(line.unitCost)}</td>
+                )}
+                <td className="py-2 text-right">{line.listPrice ? t('quote.listPrice') : formatCurrency(line.total)}</td>
+                <td className="py-2 text-right">{formatCurrency(line.price)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <h4 className="font-semibold text-green-800 mb-1">{t('quote.custom.title')}</h4>
+      <p className="text-xs text-gray-500 mb-3">{t('quote.custom.hint')}</p>
+      {customItems.map((item, index) => (
+        <div key={index} className="grid grid-cols-2 md:grid-cols-5 gap-2 mb-2 items-end">
+          {['description', 'quantity', 'unit', 'unitCost'].map(field => (
+            <label key={field} className={`block text-xs ${field === 'description' ? 'col-span-2 md:col-span-1' : ''}`}>
+              <span className="block text-gray-600 mb-1">{t(`quote.custom.${field}`)}</span>
+              <input
+                type={field === 'quantity' || field === 'unitCost' ? 'number' : 'text'}
+                step="any"
+                value={item[field]}
+                onChange={(e) => updateCustomItem(index, { [field]: e.target.value })}
+                className={inputClassName}
+              />
+            </label>
+          ))}
+          <button
+            type="button"
+            onClick={() => setCustomItems(items => items.filter((_, i) => i !== index))}
+            className="p-2 text-sm text-red-600 underline hover:text-red-800"
+          >
+            {t('quote.custom.remove')}
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => setCustomItems(items => [...items, createCustomItem()])}
+        className="mb-6 px-4 py-2 border-2 border-green-700 text-green-800 text-sm font-semibold rounded-lg hover:bg-lime-100 transition-colors"
+      >
+        {t('quote.custom.add')}
+      </button>
+
+      <table className="w-full text-sm mb-4">
+        <tbody>
+          {['labor', 'materials', 'other'].map(group => (
+            <tr key={group}>
+              <td className="py-1 text-gray-600">{t(`quote.costs.${group}`)}</td>
+              <td className="py-1 text-right">{formatCurrency(quote.costs[group])}</td>
+            </tr>
+          ))}
+          <tr className="border-t border-gray-300 font-semibold">
+            <td className="py-1">{t('quote.costs.cost')}</td>
+            <td className="py-1 text-right">{formatCurrency(quote.cost)}</td>
+          </tr>
+          <tr>
+            <td className="py-1 text-gray-600">{t('quote.costs.margin', { margin: formatNumber(quote.margin) })}</td>
+            <td className="py-1 text-right">{formatCurrency(quote.total - quote.cost - quote.adjustments - quote.listPriced)}</td>
+          </tr>
+          {quote.lines.filter(line => line.adjustment).map(line => (
+            <tr key={line.id}>
+              <td className="py-1 text-gray-600">{describeQuoteLine(line, t).description}</td>
+              <td className="py-1 text-right">{formatCurrency(line.price)}</td>
+            </tr>
+          ))}
+          {quote.listPriced > 0 && (
+            <tr>
+              <td className="py-1 text-gray-600">{t('quote.costs.listPriced')}</td>
+              <td className="py-1 text-right">{formatCurrency(quote.listPriced)}</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      <div className="p-4 mb-6 bg-lime-50 border-l-4 border-lime-500 rounded-lg text-green-800" aria-live="polite">
+        <div className="text-sm">{t('quote.total')}</div>
+        <div className="text-3xl font-bold">{formatCurrency(quote.total)}</div>
+        <div className="text-sm">{t('quote.validUntil', { date: formatDate(new Date(quote.validUntil)) })}</div>
+        <div className="text-xs text-gray-600 mt-1">{t('quote.ballpark', { range: formatRange(quote.ballpark) })}</div>
+      </div>
+
+      <label className="block mb-6">
+        <span className="block text-green-800 font-semibold mb-2">{t('quote.terms')}</span>
+        <textarea
+          name="quoteTerms"
+          value={terms}
+          onChange={(e) => setTerms(e.target.value)}
+          rows="5"
+          className="w-full p-3 border-2 border-gray-200 rounded-lg focus:border-lime-500 focus:outline-none transition-colors text-sm"
+        />
+      </label>
+
+      {errors.length > 0 && (
+        <ul className="mb-4 text-red-600 text-sm space-y-1">
+          {errors.map(error => <li key={error}>• {error}</li>)}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        <button
+          type="button"
+          onClick={() => handleExport('document')}
+          disabled={errors.length > 0}
+          className="px-6 py-2 bg-green-700 text-white font-semibold rounded-full hover:bg-green-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {t('quote.exportDocument')}
+        </button>
+        <button
+          type="button"
+          onClick={() => handleExport('json')}
+          disabled={errors.length > 0}
+          className="px-6 py-2 border-2 border-green-700 text-green-800 font-semibold rounded-full hover:bg-lime-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {t('quote.exportJson')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default QuoteBuilder;
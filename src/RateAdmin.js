@@ -0,0 +1,329 @@
+import React, { useState, useEffect } from 'react';
+import { ADD_ONS, TRAVEL_ZONE_NAMES, calculateEstimate } from './pricing';
+import { createPricingConfig, loadPricingConfig, validatePricingConfig } from './pricingConfig';
+import { SAMPLE_PROJECTS } from './sampleProjects';
+import { downloadFile } from './download';
+
+// The password only keeps customers out of the editor. Nothing here changes live
+// pricing: the exported file still has to be published as the pricing config.
+const ADMIN_PASSWORD_HASH = process.env.REACT_APP_ADMIN_PASSWORD_HASH;
+
+const RATE_SECTIONS = [
+  { path: 'baseRates', title: 'Base Rates ($ per sq ft)', step: '0.05' },
+  { path: 'paintMultipliers', title: 'Paint Tier Multipliers', step: '0.05' },
+  { path: 'difficultyMultipliers', title: 'Difficulty Multipliers', step: '0.05' },
+  { path: 'surfaceMultipliers.interior', title: 'Interior Surface Multipliers', step: '0.05' },
+  { path: 'surfaceMultipliers.exterior', title: 'Exterior Surface Multipliers', step: '0.05' },
+  { path: 'minimumPricing', title: 'Minimum Pricing ($)', step: '100' },
+  { path: 'labor', title: 'Labor & Crew', step: '1' },
+  { path: 'travelSurcharges', title: 'Travel Surcharges ($ per project)', step: '25' },
+  ...Object.entries(ADD_ONS).map(([id, addOn]) => ({
+    path: `addOnRates.${id}`,
+    title: `Add-on: ${addOn.label} ($ per ${addOn.unitLabel})`,
+    step: addOn.unit === 'item' ? '5' : '0.25'
+  }))
+];
+
+const sha256 = async (text) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+const getSection = (rates, path) => path.split('.').reduce((table, key) => table[key], rates);
+
+// Rebuilds a rate table with every value passed through convert
+const mapRates = (rates, convert) => {
+  const result = {};
+  RATE_SECTIONS.forEach(({ path }) => {
+    const [group, name] = path.split('.');
+    const values = Object.fromEntries(
+      Object.entries(getSection(rates, path)).map(([key, value]) => [key, convert(value)])
+    );
+
+    if (name) {
+      result[group] = { ...result[group], [name]: values };
+    } else {
+      result[group] = values;
+    }
+  });
+  return result;
+};
+
+// Promotions are edited as JSON; returns null when the text doesn't parse
+const parsePromotions = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+};
+
+// ZIP lists are edited as text with one ZIP per line or separated by commas
+const parseZipList = (text) => text.split(/[\s,]+/).filter(Boolean);
+
+const formatKey = (key) => key
+  .replace(/_/g, ' ')
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .replace(/^./, first => first.toUpperCase());
+
+const formatRange = (estimate) => (estimate
+  ? `$${estimate.min.toLocaleString()} - $${estimate.max.toLocaleString()}`
+  : '—');
+
+const formatChange = (before, after) => {
+  if (!before || !after) {
+    return '';
+  }
+  const change = ((after.min + after.max) / (before.min + before.max) - 1) * 100;
+  return `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`;
+};
+
+const AdminLogin = ({ onUnlock }) => {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    let hash;
+    try {
+      hash = await sha256(password);
+    } catch (error) {
+      // Browsers only offer crypto.subtle on secure (HTTPS or localhost) pages
+      setError('The admin page needs a secure HTTPS connection to check the password.');
+      return;
+    }
+
+    if (hash === ADMIN_PASSWORD_HASH) {
+      onUnlock();
+    } else {
+      setError('Incorrect password');
+    }
+  };
+
+  if (!ADMIN_PASSWORD_HASH) {
+    return (
+      <p className="text-gray-700">
+        Rate administration is not enabled. Set REACT_APP_ADMIN_PASSWORD_HASH to the SHA-256 hash of the admin password.
+      </p>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-sm mx-auto">
+      <label className="block text-green-800 font-semibold mb-2">Admin Password</label>
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => { setPassword(e.target.value); setError(''); }}
+        className={`w-full p-3 border-2 rounded-lg focus:outline-none transition-colors ${
+          error ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
+        }`}
+      />
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+      <button
+        type="submit"
+        className="w-full mt-4 bg-gradient-to-r from-lime-500 to-green-600 text-white font-semibold py-3 rounded-full shadow-lg hover:from-lime-600 hover:to-green-700 transition-all"
+      >
+        Unlock
+      </button>
+    </form>
+  );
+};
+
+const RateEditor = () => {
+  const [currentRates, setCurrentRates] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [zipText, setZipText] = useState({});
+  const [promotionsText, setPromotionsText] = useState('');
+  const [configName, setConfigName] = useState('');
+
+  useEffect(() => {
+    loadPricingConfig().then(config => {
+      setCurrentRates(config.rates);
+      setDraft(mapRates(config.rates, String));
+      setZipText(Object.fromEntries(
+        Object.entries(config.rates.serviceAreaZips).map(([zone, zips]) => [zone, zips.join(', ')])
+      ));
+      setPromotionsText(JSON.stringify(config.rates.promotions, null, 2));
+      setConfigName(config.name);
+    });
+  }, []);
+
+  if (!draft) {
+    return <p className="text-gray-600">Loading current rates...</p>;
+  }
+
+  const promotions = parsePromotions(promotionsText);
+  const draftRates = {
+    ...mapRates(draft, value => (value === '' ? NaN : Number(value))),
+    serviceAreaZips: Object.fromEntries(
+      Object.entries(zipText).map(([zone, text]) => [zone, parseZipList(text)])
+    ),
+    promotions: promotions || []
+  };
+  const config = createPricingConfig(draftRates, configName);
+  const problems = promotions
+    ? validatePricingConfig(config)
+    : ['Promotions must be valid JSON', ...validatePricingConfig(config)];
+
+  const handleRateChange = (path, key, value) => {
+    setDraft(prev => {
+      const next = mapRates(prev, rate => rate);
+      getSection(next, path)[key] = value;
+      return next;
+    });
+  };
+
+  const handleExport = () => {
+    downloadFile('pricing-config.json', `${JSON.stringify(config, null, 2)}\n`, 'application/json');
+  };
+
+  return (
+    <>
+      <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
+        <label className="block text-green-800 font-semibold mb-2">Config Name</label>
+        <input
+          type="text"
+          value={configName}
+          onChange={(e) => setConfigName(e.target.value)}
+          placeholder="e.g., Winter 2027 rates"
+          className="w-full p-3 border-2 border-gray-200 rounded-lg focus:border-lime-500 focus:outline-none transition-colors"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-5 mb-8">
+        {RATE_SECTIONS.map((section) => (
+          <div key={section.path} className="p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
+            <h3 className="text-lg font-semibold text-green-800 mb-4">{section.title}</h3>
+            {Object.entries(getSection(draft, section.path)).map(([key, value]) => (
+              <div key={key} className="flex items-center justify-between mb-2">
+                <label className="text-gray-700">{formatKey(key)}</label>
+                <input
+                  type="number"
+                  min="0"
+                  step={section.step}
+                  value={value}
+                  onChange={(e) => handleRateChange(section.path, key, e.target.value)}
+                  className="w-28 p-2 border-2 border-gray-200 rounded-lg text-right focus:border-lime-500 focus:outline-none transition-colors"
+                />
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
+        <h3 className="text-lg font-semibold text-green-800 mb-2">Service Area ZIP Codes</h3>
+        <p className="text-gray-600 text-sm mb-4">
+          ZIP codes in each travel zone, separated by commas. Customers outside every zone are warned
+          and their requests are flagged as out of area.
+        </p>
+        {Object.entries(zipText).map(([zone, text]) => (
+          <div key={zone} className="mb-3">
+            <label className="block text-gray-700 mb-1">{TRAVEL_ZONE_NAMES[zone] || formatKey(zone)}</label>
+            <textarea
+              aria-label={`${formatKey(zone)} ZIP codes`}
+              value={text}
+              onChange={(e) => setZipText(prev => ({ ...prev, [zone]: e.target.value }))}
+              rows="2"
+              spellCheck="false"
+              className="w-full p-3 font-mono text-sm border-2 border-gray-200 rounded-lg focus:border-lime-500 focus:outline-none transition-colors"
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
+        <h3 className="text-lg font-semibold text-green-800 mb-2">Promotions</h3>
+        <p className="text-gray-600 text-sm mb-4">
+          A JSON list of discount rules applied in order after the rate math. Each rule needs an
+          id, label, type ("percent" or "flat") and amount. Optional: code (customer must enter it),
+          scope ("interior" or "exterior"), months (1-12), startsOn / endsOn (YYYY-MM-DD) and
+          floor (lowest price the discount can reach, never below the minimum project price).
+        </p>
+        <textarea
+          aria-label="Promotions"
+          value={promotionsText}
+          onChange={(e) => setPromotionsText(e.target.value)}
+          rows="10"
+          spellCheck="false"
+          className="w-full p-3 font-mono text-sm border-2 border-gray-200 rounded-lg focus:border-lime-500 focus:outline-none transition-colors"
+        />
+      </div>
+
+      <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
+        <h3 className="text-xl font-semibold text-green-800 mb-5">📊 Sample Project Preview</h3>
+        <table className="w-full text-left text-sm">
+          <thead>
+            <tr className="border-b border-gray-300">
+              <th className="py-2">Project</th>
+              <th className="py-2 text-right">Current Rates</th>
+              <th className="py-2 text-right">New Rates</th>
+              <th className="py-2 text-right">Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {SAMPLE_PROJECTS.map((sample) => {
+              const before = calculateEstimate(sample.project, currentRates);
+              const after = problems.length === 0 ? calculateEstimate(sample.project, draftRates) : null;
+
+              return (
+                <tr key={sample.id} className="border-b border-gray-200">
+                  <td className="py-2">{sample.name}</td>
+                  <td className="py-2 text-right whitespace-nowrap">{formatRange(before)}</td>
+                  <td className="py-2 text-right whitespace-nowrap font-semibold">{formatRange(after)}</td>
+                  <td className="py-2 text-right">{formatChange(before, after)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {problems.length > 0 && (
+        <div className="mb-6 p-4 bg-red-50 border-l-4 border-red-500 rounded-lg">
+          <h4 className="font-semibold text-red-800 mb-2">Please fix these rates before exporting:</h4>
+          <ul className="text-red-700 text-sm space-y-1">
+            {problems.map((problem) => (
+              <li key={problem}>• {problem}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <button
+        onClick={handleExport}
+        disabled={problems.length > 0}
+        className="w-full bg-gradient-to-r from-lime-500 to-green-600 text-white text-xl font-semibold py-4 px-8 rounded-full shadow-lg hover:from-lime-600 hover:to-green-700 hover:shadow-xl transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Export Pricing Config
+      </button>
+    </>
+  );
+};
+
+const RateAdmin = () => {
+  const [isUnlocked, setIsUnlocked] = useState(false);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-lime-400 to-green-600 p-5">
+      <div className="max-w-4xl mx-auto bg-white rounded-2xl shadow-2xl overflow-hidden">
+        <div className="bg-gradient-to-r from-green-800 to-green-700 text-white p-10 text-center">
+          <div className="text-4xl font-bold mb-4">🎨 LIME PAINTING</div>
+          <h1 className="text-3xl font-light">Rate Administration</h1>
+          <a href={window.location.pathname} className="inline-block mt-4 text-lime-200 underline hover:text-white transition-colors">
+            ← Back to calculator
+          </a>
+        </div>
+
+        <div className="p-10">
+          {isUnlocked ? <RateEditor /> : <AdminLogin onUnlock={() => setIsUnlocked(true)} />}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RateAdmin;
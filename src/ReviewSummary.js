@@ -0,0 +1,36 @@
+import React from 'react';
+import { useI18n } from './LocaleContext';
+
+// Read-only recap of the wizard's answers; rows without a value are skipped
+const ReviewSummary = ({ sections, onEdit }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="mb-8 grid grid-cols-1 md:grid-cols-2 gap-4">
+      {sections.map((section) => (
+        <div key={section.step} className="p-5 bg-gray-50 rounded-xl border-l-4 border-lime-500">
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="text-lg font-semibold text-green-800">{section.title}</h3>
+            <button
+              type="button"
+              onClick={() => onEdit(section.step)}
+              className="text-sm text-gray-600 underline hover:text-green-800 transition-colors"
+            >
+              {t('review.edit')}
+            </button>
+          </div>
+          <dl className="text-sm space-y-1">
+            {section.rows.filter(([, value]) => value).map(([label, value]) => (
+              <div key={label} className="flex gap-2">
+                <dt className="text-gray-600 whitespace-nowrap">{label}:</dt>
+                <dd className="font-medium break-words">{value}</dd>
+              </div>
+            ))}
+          </dl>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ReviewSummary;
@@ -0,0 +1,154 @@
+import React from 'react';
+import { getRoomAreas, TIER_NAMES } from './pricing';
+import { useI18n } from './LocaleContext';
+
+let nextRoomId = 1;
+
+export const createRoom = () => ({
+  id: nextRoomId++,
+  name: '',
+  length: '',
+  width: '',
+  ceilingHeight: '8',
+  doors: '1',
+  windows: '1',
+  surfaces: ['walls'],
+  paintTier: ''
+});
+
+// Gives rooms loaded from elsewhere (e.g. a saved draft) fresh ids and any missing fields
+export const restoreRooms = (rooms) => rooms
+  .filter(room => room && typeof room === 'object')
+  .map(({ id, ...room }) => {
+    const restored = { ...createRoom(), ...room };
+    return Array.isArray(restored.surfaces) ? restored : { ...restored, surfaces: ['walls'] };
+  });
+
+const inputClassName = 'w-full p-2 border-2 border-gray-200 rounded-lg focus:border-lime-500 focus:outline-none transition-colors';
+
+const RoomBuilder = ({ rooms, surfaceOptions, errors, onChange }) => {
+  const { t, formatNumber } = useI18n();
+
+  const updateRoom = (index, changes) => {
+    onChange(rooms.map((room, i) => (i === index ? { ...room, ...changes } : room)));
+  };
+
+  const toggleSurface = (index, surface) => {
+    const { surfaces } = rooms[index];
+    updateRoom(index, {
+      surfaces: surfaces.includes(surface)
+        ? surfaces.filter(s => s !== surface)
+        : [...surfaces, surface]
+    });
+  };
+
+  const handleFieldChange = (index) => (e) => {
+    const { name, value } = e.target;
+    updateRoom(index, { [name]: value });
+  };
+
+  return (
+    <div>
+      {rooms.length === 0 && (
+        <p className="text-gray-600 mb-4">{t('rooms.empty')}</p>
+      )}
+
+      {rooms.map((room, index) => {
+        const areas = getRoomAreas(room);
+        const error = errors[`room${index}`];
+
+        return (
+          <div
+            key={room.id}
+            className={`mb-4 p-4 bg-white border-2 rounded-lg ${error ? 'border-red-300' : 'border-gray-200'}`}
+          >
+            <div className="flex items-center gap-3 mb-3">
+              <input
+                type="text"
+                name="name"
+                value={room.name}
+                onChange={handleFieldChange(index)}
+                placeholder={t('rooms.namePlaceholder', { number: index + 1 })}
+                className={`${inputClassName} font-semibold`}
+              />
+              <button
+                type="button"
+                onClick={() => onChange(rooms.filter((_, i) => i !== index))}
+                className="text-red-500 hover:text-red-700 text-sm font-semibold whitespace-nowrap"
+              >
+                {t('rooms.remove')}
+              </button>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-3">
+              {[
+                { name: 'length', step: '0.5' },
+                { name: 'width', step: '0.5' },
+                { name: 'ceilingHeight', step: '0.5' },
+                { name: 'doors', step: '1' },
+                { name: 'windows', step: '1' }
+              ].map((field) => (
+                <div key={field.name}>
+                  <label className="block text-green-800 text-sm font-semibold mb-1">{t(`rooms.${field.name}`)}</label>
+                  <input
+                    type="number"
+                    name={field.name}
+                    value={room[field.name]}
+                    onChange={handleFieldChange(index)}
+                    min="0"
+                    step={field.step}
+                    className={inputClassName}
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-4 mb-3">
+              {surfaceOptions.map((surface) => (
+                <label key={surface.id} className="flex items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={room.surfaces.includes(surface.id)}
+                    onChange={() => toggleSurface(index, surface.id)}
+                    className="mr-2 scale-125"
+                  />
+                  <span className="font-medium">{t(`surfaces.interior.${surface.id}`)}</span>
+                </label>
+              ))}
+              <select
+                name="paintTier"
+                value={room.paintTier}
+                onChange={handleFieldChange(index)}
+                className="ml-auto p-2 border-2 border-gray-200 rounded-lg focus:border-lime-500 focus:outline-none transition-colors"
+              >
+                <option value="">{t('rooms.sameAsProject')}</option>
+                {Object.keys(TIER_NAMES).map((id) => (
+                  <option key={id} value={id}>{t(`tiers.${id}`)}</option>
+                ))}
+              </select>
+            </div>
+
+            <p className="text-sm text-gray-600">
+              {t('rooms.areas', {
+                walls: formatNumber(Math.round(areas.wallArea)),
+                ceiling: formatNumber(Math.round(areas.ceilingArea))
+              })}
+            </p>
+            {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+          </div>
+        );
+      })}
+
+      <button
+        type="button"
+        onClick={() => onChange([...rooms, createRoom()])}
+        className="px-5 py-2 border-2 border-lime-500 text-green-800 font-semibold rounded-lg hover:bg-lime-50 transition-colors"
+      >
+        {t('rooms.add')}
+      </button>
+      {errors.rooms && <p className="text-red-500 text-sm mt-2">{errors.rooms}</p>}
+    </div>
+  );
+};
+
+export default RoomBuilder;
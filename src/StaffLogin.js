@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { startStaffSession } from './submissionService';
+import { useI18n } from './LocaleContext';
+
+// Staff password form. The estimates API checks the password, and onLogin gets
+// the session token it issues
+const StaffLogin = ({ onLogin }) => {
+  const { t } = useI18n();
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isLoggingIn, setIsLoggingIn] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password) {
+      return;
+    }
+
+    setIsLoggingIn(true);
+    const result = await startStaffSession(password);
+    setIsLoggingIn(false);
+
+    if (result.ok) {
+      onLogin(result.token);
+    } else {
+      setError(result.unauthorized ? t('staff.incorrect') : t('staff.failed', { error: result.error }));
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-sm mx-auto">
+      <label className="block text-green-800 font-semibold mb-2" htmlFor="staffPassword">{t('staff.password')}</label>
+      <input
+        id="staffPassword"
+        type="password"
+        value={password}
+        onChange={(e) => { setPassword(e.target.value); setError(''); }}
+        className={`w-full p-3 border-2 rounded-lg focus:outline-none transition-colors ${
+          error ? 'border-red-500 focus:border-red-500' : 'border-gray-200 focus:border-lime-500'
+        }`}
+      />
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+      <button
+        type="submit"
+        disabled={isLoggingIn}
+        className="w-full mt-4 bg-gradient-to-r from-lime-500 to-green-600 text-white font-semibold py-3 rounded-full shadow-lg hover:from-lime-600 hover:to-green-700 transition-all disabled:opacity-50"
+      >
+        {isLoggingIn ? t('staff.loggingIn') : t('staff.logIn')}
+      </button>
+    </form>
+  );
+};
+
+export default StaffLogin;
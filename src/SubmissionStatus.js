@@ -0,0 +1,37 @@
+import React from 'react';
+import { SUBMISSION_STATUS } from './submissionService';
+import { useI18n } from './LocaleContext';
+
+const STATUS_DISPLAY = {
+  [SUBMISSION_STATUS.SENDING]: {
+    className: 'bg-gray-50 border-gray-400 text-gray-700',
+    messages: 'submission.sending'
+  },
+  [SUBMISSION_STATUS.SENT]: {
+    className: 'bg-lime-50 border-lime-500 text-green-800',
+    messages: 'submission.sent'
+  },
+  [SUBMISSION_STATUS.PENDING]: {
+    className: 'bg-yellow-50 border-yellow-400 text-yellow-800',
+    messages: 'submission.pending'
+  },
+  [SUBMISSION_STATUS.FAILED]: {
+    className: 'bg-red-50 border-red-500 text-red-800',
+    messages: 'submission.failed'
+  }
+};
+
+const SubmissionStatus = ({ status, referenceNumber }) => {
+  const { t } = useI18n();
+  const display = STATUS_DISPLAY[status];
+
+  return (
+    <div role="status" className={`mt-4 p-4 border-l-4 rounded-lg text-sm ${display.className}`}>
+      <p className="font-semibold">{t(`${display.messages}.title`)}</p>
+      <p>{t(`${display.messages}.message`)}</p>
+      <p className="mt-1 opacity-80">{t('submission.reference', { reference: referenceNumber })}</p>
+    </div>
+  );
+};
+
+export default SubmissionStatus;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { compareScenarios, getProjectPaintTier } from './whatIf';
+import { useI18n } from './LocaleContext';
+
+// Side-by-side ranges for every paint tier (and, on request, the neighbouring
+// difficulty levels). Choosing a column switches the project's paint tier.
+const WhatIfComparison = ({ project, rates, onSelectTier }) => {
+  const { t, formatRange } = useI18n();
+  const [includeDifficulty, setIncludeDifficulty] = useState(false);
+  const comparison = compareScenarios(project, rates, { includeDifficulty });
+
+  if (!comparison) {
+    return null;
+  }
+
+  const currentTier = getProjectPaintTier(project);
+  const cellClassName = (paintTier, difficultyLevel) => {
+    const isCurrentTier = paintTier === currentTier;
+    if (isCurrentTier && difficultyLevel === project.difficultyLevel) {
+      return 'bg-lime-200 font-bold text-green-900';
+    }
+    return isCurrentTier ? 'bg-lime-50' : '';
+  };
+
+  return (
+    <div className="mb-8 p-6 bg-gray-50 rounded-xl border-l-4 border-lime-500">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h3 className="text-xl font-semibold text-green-800">{t('compare.title')}</h3>
+        <label className="flex items-center text-sm cursor-pointer">
+          <input
+            type="checkbox"
+            checked={includeDifficulty}
+            onChange={() => setIncludeDifficulty(prev => !prev)}
+            className="mr-2"
+          />
+          {t('compare.nearbyDifficulty')}
+        </label>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-center">
+          <thead>
+            <tr>
+              <th className="p-2 text-left text-green-800">{t('compare.difficulty')}</th>
+              {comparison.paintTiers.map((paintTier) => (
+                <th key={paintTier} className={`p-2 ${paintTier === currentTier ? 'bg-lime-50' : ''}`}>
+                  <div className="text-green-800">{t(`tiers.${paintTier}`)}</div>
+                  <button
+                    type="button"
+                    onClick={() => onSelectTier(paintTier)}
+                    disabled={paintTier === currentTier}
+                    className="mt-1 px-3 py-1 text-xs font-semibold rounded-full border-2 border-lime-500 text-green-800 hover:bg-lime-100 disabled:bg-lime-500 disabled:text-white disabled:cursor-default transition-colors"
+                  >
+                    {paintTier === currentTier ? t('compare.selected') : t('compare.choose')}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {comparison.rows.map((row) => (
+              <tr key={row.difficultyLevel} className="border-t border-gray-200">
+                <th className="p-2 text-left font-semibold text-green-800">
+                  {t(`difficulty.levels.${row.difficultyLevel}.label`)}
+                  {row.difficultyLevel === project.difficultyLevel && (
+                    <span className="block text-xs font-normal text-gray-600">{t('compare.yourSelection')}</span>
+                  )}
+                </th>
+                {row.cells.map((cell) => (
+                  <td key={cell.paintTier} className={`p-2 ${cellClassName(cell.paintTier, row.difficultyLevel)}`}>
+                    {formatRange(cell)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default WhatIfComparison;
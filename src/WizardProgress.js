@@ -0,0 +1,48 @@
+import React from 'react';
+import { WIZARD_STEPS } from './wizardSteps';
+import { useI18n } from './LocaleContext';
+
+// Progress bar with a label per step; steps before the current one can be
+// clicked to go back to them
+const WizardProgress = ({ currentStep, onStepClick }) => {
+  const { t } = useI18n();
+
+  return (
+    <nav aria-label={t('nav.progress')} className="mb-8">
+      <div className="h-2 bg-gray-200 rounded-full overflow-hidden mb-3">
+        <div
+          className="h-full bg-gradient-to-r from-lime-500 to-green-600 transition-all duration-300"
+          style={{ width: `${((currentStep + 1) / WIZARD_STEPS.length) * 100}%` }}
+        />
+      </div>
+      <ol className="flex justify-between text-xs md:text-sm">
+        {WIZARD_STEPS.map((step, index) => {
+          const isCurrent = index === currentStep;
+          const isDone = index < currentStep;
+
+          return (
+            <li key={step.id}>
+              <button
+                type="button"
+                onClick={() => onStepClick(index)}
+                disabled={!isDone}
+                aria-current={isCurrent ? 'step' : undefined}
+                className={`font-semibold transition-colors ${
+                  isCurrent
+                    ? 'text-green-800'
+                    : isDone
+                    ? 'text-lime-600 hover:text-green-800 underline'
+                    : 'text-gray-400 cursor-default'
+                }`}
+              >
+                {isDone ? '✓' : `${index + 1}.`} {t(`steps.${step.id}`)}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </nav>
+  );
+};
+
+export default WizardProgress;
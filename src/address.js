@@ -0,0 +1,32 @@
+// The property address is collected as street, city, state and ZIP. Older
+// drafts stored it as one free-text line, which parseAddress splits into those
+// parts on a best-effort basis.
+
+export const ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+
+export const STATE_PATTERN = /^[A-Za-z]{2}$/;
+
+export const isValidZip = (zip) => ZIP_PATTERN.test(zip.trim());
+
+// Recognizes "street, city, ST 12345" with commas or line breaks between the
+// parts. Anything else is kept as the street so the customer can fix it up.
+export const parseAddress = (text) => {
+  const trimmed = text.trim();
+  const match = /^([\s\S]*?)[,\s]+([A-Za-z]{2})[,\s]+(\d{5}(?:-\d{4})?)$/.exec(trimmed);
+
+  if (!match) {
+    return { street: trimmed.split(/\s*\n\s*/).join(', '), city: '', state: '', zip: '' };
+  }
+
+  const parts = match[1].split(/\s*[,\n]\s*/).filter(Boolean);
+  const city = parts.length > 1 ? parts.pop() : '';
+
+  return { street: parts.join(', '), city, state: match[2].toUpperCase(), zip: match[3] };
+};
+
+// One-line address for the submission and the printable summary
+export const formatAddress = ({ street, city, state, zip }) => [
+  street.trim(),
+  city.trim(),
+  `${state.trim().toUpperCase()} ${zip.trim()}`.trim()
+].filter(Boolean).join(', ');
@@ -0,0 +1,29 @@
+import { formatAddress, isValidZip, parseAddress } from './address';
+
+test('accepts 5-digit and ZIP+4 codes', () => {
+  expect(isValidZip('80521')).toBe(true);
+  expect(isValidZip(' 80521-1234 ')).toBe(true);
+  expect(isValidZip('8052')).toBe(false);
+  expect(isValidZip('80521-12')).toBe(false);
+});
+
+test('splits a one-line or multi-line address into its parts', () => {
+  const parts = { street: '12 Elm St', city: 'Fort Collins', state: 'CO', zip: '80521' };
+
+  expect(parseAddress('12 Elm St, Fort Collins, CO 80521')).toEqual(parts);
+  expect(parseAddress('12 Elm St\nFort Collins co 80521')).toEqual(parts);
+  expect(parseAddress('12 Elm St, Apt 4, Fort Collins, CO 80521-1234')).toEqual({
+    ...parts,
+    street: '12 Elm St, Apt 4',
+    zip: '80521-1234'
+  });
+});
+
+test('keeps unrecognized addresses as the street', () => {
+  expect(parseAddress('12 Elm St\nFort Collins')).toEqual({ street: '12 Elm St, Fort Collins', city: '', state: '', zip: '' });
+});
+
+test('formats the parts back into one line', () => {
+  expect(formatAddress({ street: ' 12 Elm St ', city: 'Fort Collins', state: 'co', zip: '80521' }))
+    .toBe('12 Elm St, Fort Collins, CO 80521');
+});
@@ -0,0 +1,100 @@
+// Guided difficulty assessment. Instead of picking a difficulty level
+// themselves, customers answer a few questions about the home; each answer
+// carries points, and the total score maps onto one of the
+// DIFFICULTY_MULTIPLIERS levels. Staff can override the result.
+
+// Options are listed from easiest to hardest
+export const ASSESSMENT_QUESTIONS = [
+  {
+    id: 'yearBuilt',
+    options: [
+      { value: 'since2000', points: 0 },
+      { value: '1978to1999', points: 1 },
+      { value: '1940to1977', points: 2 },   // Lead paint likely, many old layers
+      { value: 'before1940', points: 3 }    // Plaster walls, uneven surfaces
+    ]
+  },
+  {
+    id: 'peeling',
+    options: [
+      { value: 'none', points: 0 },
+      { value: 'some', points: 2 },
+      { value: 'widespread', points: 4 }    // Scraping, sanding and spot priming throughout
+    ]
+  },
+  {
+    id: 'wallDamage',
+    options: [
+      { value: 'none', points: 0 },
+      { value: 'minor', points: 1 },        // Nail holes, hairline cracks
+      { value: 'major', points: 3 }         // Large cracks, water damage, rot
+    ]
+  },
+  {
+    id: 'ceilingHeight',
+    options: [
+      { value: 'standard', points: 0 },     // Up to 9 ft
+      { value: 'high', points: 1 },         // 10-14 ft, tall ladders
+      { value: 'vaulted', points: 2 }       // 15 ft and up, scaffolding or lifts
+    ]
+  },
+  {
+    id: 'colorChange',
+    options: [
+      { value: 'no', points: 0 },
+      { value: 'yes', points: 1 }           // Dark to light needs primer and extra coats
+    ]
+  },
+  {
+    id: 'occupancy',
+    options: [
+      { value: 'empty', points: 0 },
+      { value: 'occupied', points: 1 }      // Moving and protecting furniture and belongings
+    ]
+  }
+];
+
+export const EMPTY_ANSWERS = Object.fromEntries(ASSESSMENT_QUESTIONS.map(question => [question.id, '']));
+
+// Lowest score for each level, hardest last
+export const DIFFICULTY_SCORE_LEVELS = [
+  { level: 'basic', minScore: 0 },
+  { level: 'standard', minScore: 2 },
+  { level: 'moderate', minScore: 5 },
+  { level: 'complex', minScore: 8 },
+  { level: 'high_difficulty', minScore: 11 }
+];
+
+const findOption = (question, answers) =>
+  question.options.find(option => option.value === (answers || {})[question.id]);
+
+// Answers limited to the known questions and options, with anything else left unanswered
+export const keepValidAnswers = (answers) => Object.fromEntries(ASSESSMENT_QUESTIONS.map(question => {
+  const option = findOption(question, answers);
+  return [question.id, option ? option.value : ''];
+}));
+
+export const isAssessmentComplete = (answers) =>
+  ASSESSMENT_QUESTIONS.every(question => findOption(question, answers));
+
+// Returns { level, score, complete, reasons } where reasons lists the answers
+// that added points as { question, answer, points }. Unanswered questions
+// count as zero.
+export const assessDifficulty = (answers) => {
+  const reasons = [];
+  let score = 0;
+
+  ASSESSMENT_QUESTIONS.forEach(question => {
+    const option = findOption(question, answers);
+    if (option && option.points > 0) {
+      score += option.points;
+      reasons.push({ question: question.id, answer: option.value, points: option.points });
+    }
+  });
+
+  const { level } = DIFFICULTY_SCORE_LEVELS.filter(entry => score >= entry.minScore).pop();
+  return { level, score, complete: isAssessmentComplete(answers), reasons };
+};
+
+// The level used for pricing: the staff override when set, otherwise the assessed level
+export const getDifficultyLevel = (answers, override) => override || assessDifficulty(answers).level;
@@ -0,0 +1,55 @@
+import { assessDifficulty, DIFFICULTY_SCORE_LEVELS, EMPTY_ANSWERS, getDifficultyLevel, keepValidAnswers } from './difficultyAssessment';
+import { DIFFICULTY_MULTIPLIERS } from './pricing';
+import { INITIAL_FORM_DATA, withoutDifficultyOverride } from './projectForm';
+
+const newHome = {
+  yearBuilt: 'since2000',
+  peeling: 'none',
+  wallDamage: 'none',
+  ceilingHeight: 'standard',
+  colorChange: 'no',
+  occupancy: 'empty'
+};
+
+test('every score level is a pricing difficulty level', () => {
+  expect(DIFFICULTY_SCORE_LEVELS.map(({ level }) => level)).toEqual(Object.keys(DIFFICULTY_MULTIPLIERS));
+});
+
+test('a newer, empty home in good shape is basic', () => {
+  expect(assessDifficulty(newHome)).toEqual({ level: 'basic', score: 0, complete: true, reasons: [] });
+});
+
+test('answers add up to a level and list the ones that added points', () => {
+  const oldHouse = { ...newHome, yearBuilt: 'before1940', peeling: 'some', occupancy: 'occupied' };
+
+  expect(assessDifficulty(oldHouse)).toEqual({
+    level: 'moderate',
+    score: 6,
+    complete: true,
+    reasons: [
+      { question: 'yearBuilt', answer: 'before1940', points: 3 },
+      { question: 'peeling', answer: 'some', points: 2 },
+      { question: 'occupancy', answer: 'occupied', points: 1 }
+    ]
+  });
+  expect(assessDifficulty({ ...oldHouse, peeling: 'widespread', wallDamage: 'major', colorChange: 'yes' }).level).toBe('high_difficulty');
+});
+
+test('unanswered and unknown answers count as zero', () => {
+  const partial = { ...EMPTY_ANSWERS, peeling: 'widespread', wallDamage: 'gaping holes' };
+
+  expect(assessDifficulty(partial)).toMatchObject({ level: 'standard', score: 4, complete: false });
+  expect(keepValidAnswers({ ...partial, pets: 'dog' })).toEqual({ ...EMPTY_ANSWERS, peeling: 'widespread' });
+});
+
+test('a staff override replaces the assessed level', () => {
+  expect(getDifficultyLevel(newHome, '')).toBe('basic');
+  expect(getDifficultyLevel(newHome, 'complex')).toBe('complex');
+});
+
+test('customers get the assessed level back when a draft carries a staff override', () => {
+  const answers = { ...newHome, yearBuilt: 'before1940', peeling: 'widespread' };
+  const draft = { ...INITIAL_FORM_DATA, difficultyAnswers: answers, difficultyOverride: 'basic', difficultyLevel: 'basic' };
+
+  expect(withoutDifficultyOverride(draft)).toMatchObject({ difficultyOverride: '', difficultyLevel: 'moderate' });
+});
@@ -0,0 +1,13 @@
+// Saves generated content as a file from the browser, with no server round trip
+export const downloadFile = (filename, contents, type) => {
+  const blob = contents instanceof Blob ? contents : new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,107 @@
+import { parseAddress } from './address';
+import { EMPTY_ANSWERS } from './difficultyAssessment';
+import { getEvenSurfaceShares } from './projectForm';
+
+// Auto-saves the in-progress calculator form to localStorage so a refresh
+// doesn't lose it. Drafts carry a schema version: older drafts are migrated
+// forward when a migration exists and discarded otherwise.
+
+export const DRAFT_STORAGE_KEY = 'limePaintingCalculatorDraft';
+
+// Bump when the form fields change, and add a migration from the previous version
+export const DRAFT_VERSION = 7;
+
+// migrations[n] upgrades a version n draft's formData to version n + 1
+const migrations = {
+  // v2 added the add-on services list
+  1: (formData) => ({ ...formData, addOns: [] }),
+  // v3 added the promo code
+  2: (formData) => ({ ...formData, promoCode: '' }),
+  // v4 split the free-text address into street, city, state and ZIP
+  3: ({ address, ...formData }) => {
+    const parts = parseAddress(typeof address === 'string' ? address : '');
+    return { ...formData, ...parts, state: parts.state || 'CO' };
+  },
+  // v5 replaced the self-picked difficulty with the questionnaire; the old
+  // level is kept until the questions are answered
+  4: (formData) => ({ ...formData, difficultyAnswers: EMPTY_ANSWERS, difficultyOverride: '' }),
+  // v6 added measuring the exterior from the house footprint; older drafts
+  // entered the square footage directly
+  5: (formData) => ({ ...formData, exteriorMeasurement: 'area' }),
+  // v7 blends mixed sidings by their share of the siding area; older drafts split it evenly
+  6: (formData) => ({ ...formData, surfaceShares: getEvenSurfaceShares(Array.isArray(formData.surfaces) ? formData.surfaces : []) })
+};
+
+const getStorage = () => {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    // Storage can be disabled or blocked (e.g. private browsing)
+    return null;
+  }
+};
+
+// Keeps only the fields the current form knows about, with the same type as the
+// default, so a stale or tampered draft can't put the form into a bad state
+const sanitizeFormData = (formData, defaults) => Object.fromEntries(
+  Object.entries(defaults).map(([field, defaultValue]) => {
+    const value = formData[field];
+    const sameType = Array.isArray(defaultValue)
+      ? Array.isArray(value)
+      : value !== null && typeof value === typeof defaultValue;
+    return [field, sameType ? value : defaultValue];
+  })
+);
+
+export const saveDraft = (formData) => {
+  const storage = getStorage();
+  if (!storage) {
+    return;
+  }
+
+  try {
+    storage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({
+      version: DRAFT_VERSION,
+      savedAt: new Date().toISOString(),
+      formData
+    }));
+  } catch (error) {
+    console.warn('Could not save draft:', error);
+  }
+};
+
+export const clearDraft = () => {
+  const storage = getStorage();
+  if (storage) {
+    storage.removeItem(DRAFT_STORAGE_KEY);
+  }
+};
+
+// Returns { formData, savedAt } or null when there is no usable draft
+export const loadDraft = (defaults) => {
+  const storage = getStorage();
+  const saved = storage && storage.getItem(DRAFT_STORAGE_KEY);
+
+  if (!saved) {
+    return null;
+  }
+
+  try {
+    let { version, savedAt, formData } = JSON.parse(saved);
+
+    while (version < DRAFT_VERSION && migrations[version]) {
+      formData = migrations[version](formData);
+      version += 1;
+    }
+
+    if (version !== DRAFT_VERSION || !formData || typeof formData !== 'object') {
+      clearDraft();
+      return null;
+    }
+
+    return { formData: sanitizeFormData(formData, defaults), savedAt };
+  } catch (error) {
+    clearDraft();
+    return null;
+  }
+};
@@ -0,0 +1,123 @@
+import { clearDraft, DRAFT_STORAGE_KEY, DRAFT_VERSION, loadDraft, saveDraft } from './draftStorage';
+import { EMPTY_ANSWERS } from './difficultyAssessment';
+
+const defaults = { clientName: '', projectType: '', surfaces: [], coats: '2' };
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+test('round-trips the form through localStorage', () => {
+  saveDraft({ ...defaults, clientName: 'Pat Lee', surfaces: ['brick'] });
+
+  const draft = loadDraft(defaults);
+
+  expect(draft.formData).toEqual({ ...defaults, clientName: 'Pat Lee', surfaces: ['brick'] });
+  expect(draft.savedAt).toBeTruthy();
+});
+
+test('returns null when nothing is saved or the draft was cleared', () => {
+  expect(loadDraft(defaults)).toBeNull();
+
+  saveDraft({ ...defaults, clientName: 'Pat Lee' });
+  clearDraft();
+
+  expect(loadDraft(defaults)).toBeNull();
+});
+
+test('drops unknown fields and resets fields whose type changed', () => {
+  localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({
+    version: DRAFT_VERSION,
+    formData: { clientName: 'Pat Lee', surfaces: 'brick', legacyField: true }
+  }));
+
+  expect(loadDraft(defaults).formData).toEqual({ ...defaults, clientName: 'Pat Lee' });
+});
+
+test('discards drafts from unknown versions and unreadable drafts', () => {
+  localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({ version: DRAFT_VERSION + 1, formData: defaults }));
+  expect(loadDraft(defaults)).toBeNull();
+  expect(localStorage.getItem(DRAFT_STORAGE_KEY)).toBeNull();
+
+  localStorage.setItem(DRAFT_STORAGE_KEY, '{not json');
+  expect(loadDraft(defaults)).toBeNull();
+});
+
+test('migrates version 1 drafts to include add-ons', () => {
+  localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({
+    version: 1,
+    formData: { clientName: 'Pat Lee', surfaces: ['brick'] }
+  }));
+
+  expect(loadDraft({ ...defaults, addOns: [] }).formData).toEqual({
+    ...defaults,
+    clientName: 'Pat Lee',
+    surfaces: ['brick'],
+    addOns: []
+  });
+});
+
+test('migrates version 3 drafts to a structured address', () => {
+  localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({
+    version: 3,
+    formData: { clientName: 'Pat Lee', address: '12 Elm St\nFort Collins, CO 80521' }
+  }));
+
+  const addressDefaults = { ...defaults, street: '', city: '', state: 'CO', zip: '' };
+
+  expect(loadDraft(addressDefaults).formData).toEqual({
+    ...addressDefaults,
+    clientName: 'Pat Lee',
+    street: '12 Elm St',
+    city: 'Fort Collins',
+    zip: '80521'
+  });
+});
+
+test('migrates version 4 drafts to an unanswered difficulty questionnaire', () => {
+  localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({
+    version: 4,
+    formData: { clientName: 'Pat Lee', difficultyLevel: 'moderate' }
+  }));
+
+  const difficultyDefaults = { ...defaults, difficultyAnswers: { peeling: '' }, difficultyOverride: '', difficultyLevel: 'basic' };
+
+  expect(loadDraft(difficultyDefaults).formData).toEqual({
+    ...difficultyDefaults,
+    clientName: 'Pat Lee',
+    difficultyAnswers: EMPTY_ANSWERS,
+    difficultyLevel: 'moderate'
+  });
+});
+
+test('migrates version 5 drafts to keep their entered square footage', () => {
+  localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({
+    version: 5,
+    formData: { clientName: 'Pat Lee', squareFootage: '1800' }
+  }));
+
+  const exteriorDefaults = { ...defaults, exteriorMeasurement: 'footprint', squareFootage: '' };
+
+  expect(loadDraft(exteriorDefaults).formData).toEqual({
+    ...exteriorDefaults,
+    clientName: 'Pat Lee',
+    exteriorMeasurement: 'area',
+    squareFootage: '1800'
+  });
+});
+
+test('migrates version 6 drafts to an even split of their sidings', () => {
+  localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({
+    version: 6,
+    formData: { clientName: 'Pat Lee', surfaces: ['stucco', 'brick', 'cement', 'trim'] }
+  }));
+
+  const sharesDefaults = { ...defaults, surfaceShares: {} };
+
+  expect(loadDraft(sharesDefaults).formData).toEqual({
+    ...sharesDefaults,
+    clientName: 'Pat Lee',
+    surfaces: ['stucco', 'brick', 'cement', 'trim'],
+    surfaceShares: { stucco: '34', brick: '33', cement: '33' }
+  });
+});
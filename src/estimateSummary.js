@@ -0,0 +1,194 @@
+import { formatSchedule } from './labor';
+import { DEFAULT_I18N } from './i18n';
+
+// Branded estimate summary built entirely in the browser: a standalone HTML
+// document the customer can keep, print or "Save as PDF" to compare against
+// other bids. The reference number is also sent with the submission so the
+// office copy matches. The summary is written in the customer's language.
+
+// e.g. "LP-20261019-K4Z7Q": the date keeps references sortable, the suffix keeps them unique
+export const createReferenceNumber = (date = new Date()) => {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = Math.random().toString(36).slice(2, 7).toUpperCase().padEnd(5, '0');
+  return `LP-${day}-${suffix}`;
+};
+
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const row = (label, value) => (value === '' || value === undefined
+  ? ''
+  : `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`);
+
+const getScopeRows = (submission, { t, formatNumber }) => {
+  const { projectType } = submission;
+  const rows = [
+    row(t('summary.projectType'), t(`projectTypes.${projectType}`)),
+    row(t('summary.totalArea'), t('summary.squareFeet', { value: formatNumber(submission.squareFootage) }))
+  ];
+
+  if (projectType === 'both') {
+    rows.push(
+      row(t('summary.interiorPaintTier'), t(`tiers.${submission.paintTier}`)),
+      row(t('summary.exteriorPaintTier'), t(`tiers.${submission.exteriorPaintTier}`))
+    );
+  } else {
+    rows.push(row(t('summary.paintTier'), t(`tiers.${submission.paintTier}`)));
+  }
+  if (projectType !== 'interior') {
+    // Shares are listed for a mix of sidings; a single siding is all of it
+    const shares = submission.surfaceShares || {};
+    const isMix = Object.keys(shares).length > 1;
+    const surfaces = submission.surfaces.map(surface => (isMix && shares[surface]
+      ? t('surfaces.withShare', { surface: t(`surfaces.exterior.${surface}`), share: shares[surface] })
+      : t(`surfaces.exterior.${surface}`))).join(', ');
+    rows.push(row(t('summary.exteriorSurfaces'), surfaces || t('summary.noneSelected')));
+  }
+  rows.push(
+    row(t('summary.coats'), submission.coats),
+    row(t('summary.difficulty'), t(`difficulty.levels.${submission.difficultyLevel}.label`))
+  );
+
+  return rows.join('');
+};
+
+const getRoomsTable = (rooms, { t }) => {
+  if (rooms.length === 0) {
+    return '';
+  }
+
+  const roomRows = rooms.map((room, index) => `<tr>
+        <td>${escapeHtml(room.name || t('rooms.defaultName', { number: index + 1 }))}</td>
+        <td>${escapeHtml(t('summary.roomSizeValue', { length: room.length, width: room.width, height: room.ceilingHeight }))}</td>
+        <td>${escapeHtml(room.surfaces.map(surface => t(`surfaces.interior.${surface}`)).join(', '))}</td>
+        <td>${escapeHtml(room.paintTier ? t(`tiers.${room.paintTier}`) : t('summary.projectPaint'))}</td>
+      </tr>`).join('');
+
+  return `<h2>${escapeHtml(t('summary.rooms'))}</h2>
+    <table class="list">
+      <thead><tr><th>${escapeHtml(t('summary.room'))}</th><th>${escapeHtml(t('summary.roomSize'))}</th><th>${escapeHtml(t('summary.surfaces'))}</th><th>${escapeHtml(t('summary.paint'))}</th></tr></thead>
+      <tbody>${roomRows}</tbody>
+    </table>`;
+};
+
+const getAddOnsTable = (addOns, { t, formatNumber, formatCurrency }) => {
+  if (!addOns) {
+    return '';
+  }
+
+  const addOnRows = addOns.map(addOn => `<tr>
+        <td>${escapeHtml(t(`addOns.services.${addOn.id}`))}</td>
+        <td>${escapeHtml(`${formatNumber(addOn.quantity)} ${t(`addOns.units.${addOn.id}`, { count: addOn.quantity })}`)}</td>
+        <td>${formatCurrency(addOn.min)} – ${formatCurrency(addOn.max)}</td>
+      </tr>`).join('');
+
+  return `<h2>${escapeHtml(t('summary.addOns'))}</h2>
+    <table class="list">
+      <thead><tr><th>${escapeHtml(t('summary.service'))}</th><th>${escapeHtml(t('summary.quantity'))}</th><th>${escapeHtml(t('summary.range'))}</th></tr></thead>
+      <tbody>${addOnRows}</tbody>
+    </table>`;
+};
+
+const getPromotionsTable = (promotions, { t, formatCurrency }) => {
+  if (!promotions) {
+    return '';
+  }
+
+  const promotionRows = promotions.map(promotion => `<tr>
+        <td>${escapeHtml(promotion.label)}</td>
+        <td>${escapeHtml(promotion.code || '')}</td>
+        <td>−${formatCurrency(promotion.discount.min)} – ${formatCurrency(promotion.discount.max)}</td>
+      </tr>`).join('');
+
+  return `<h2>${escapeHtml(t('summary.promotions'))}</h2>
+    <table class="list">
+      <thead><tr><th>${escapeHtml(t('summary.promotion'))}</th><th>${escapeHtml(t('summary.code'))}</th><th>${escapeHtml(t('summary.savings'))}</th></tr></thead>
+      <tbody>${promotionRows}</tbody>
+    </table>`;
+};
+
+// submission is the submitted payload (buildSubmissionData plus its
+// referenceNumber); estimate is the calculator's estimate, including labor;
+// i18n comes from createI18n for the customer's language
+export const buildEstimateSummary = (submission, estimate, i18n = DEFAULT_I18N) => {
+  const { t, formatCurrency, formatDate } = i18n;
+  const { referenceNumber } = submission;
+  const submittedOn = formatDate(new Date(submission.submittedAt));
+  const tierName = t(`tiers.${estimate.paintTier || 'mixed'}`);
+
+  return `<!DOCTYPE html>
+<html lang="${i18n.locale}">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(t('summary.title', { reference: referenceNumber }))}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #1f2937; max-width: 760px; margin: 0 auto; padding: 32px; }
+    header { background: #166534; color: #fff; padding: 24px; border-radius: 12px; display: flex; justify-content: space-between; align-items: center; }
+    header .brand { font-size: 26px; font-weight: bold; }
+    header .region { opacity: 0.9; }
+    header .reference { text-align: right; font-size: 14px; }
+    h2 { color: #166534; border-bottom: 2px solid #84cc16; padding-bottom: 4px; margin-top: 28px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 6px 8px; vertical-align: top; }
+    table.details th { width: 35%; color: #4b5563; font-weight: normal; }
+    table.list thead th { background: #f3f4f6; }
+    table.list td { border-bottom: 1px solid #e5e7eb; }
+    .range { background: #ecfccb; border-left: 6px solid #84cc16; padding: 16px; border-radius: 8px; margin-top: 28px; }
+    .range .amount { font-size: 30px; font-weight: bold; color: #166534; }
+    .disclaimer { background: #fefce8; border-left: 6px solid #facc15; padding: 12px 16px; margin-top: 28px; font-size: 13px; color: #854d0e; }
+    footer { margin-top: 28px; font-size: 12px; color: #6b7280; text-align: center; }
+    @media print { body { padding: 0; } header, .range, .disclaimer { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      <div class="brand">🎨 LIME PAINTING</div>
+      <div class="region">${escapeHtml(t('header.region'))}</div>
+    </div>
+    <div class="reference">
+      ${escapeHtml(t('summary.heading'))}<br />
+      <strong>${escapeHtml(t('summary.reference', { reference: referenceNumber }))}</strong><br />
+      ${escapeHtml(submittedOn)}
+    </div>
+  </header>
+
+  <h2>${escapeHtml(t('summary.client'))}</h2>
+  <table class="details">
+    ${row(t('summary.name'), submission.clientName)}
+    ${row(t('summary.email'), submission.email)}
+    ${row(t('summary.phone'), submission.phone)}
+    ${row(t('summary.address'), submission.address)}
+    ${row(t('summary.serviceArea'), submission.outOfServiceArea ? t('summary.outsideServiceArea') : '')}
+  </table>
+
+  <h2>${escapeHtml(t('summary.scope'))}</h2>
+  <table class="details">
+    ${getScopeRows(submission, i18n)}
+  </table>
+  ${getRoomsTable(submission.rooms, i18n)}
+  ${getAddOnsTable(estimate.addOns, i18n)}
+  ${getPromotionsTable(estimate.promotions, i18n)}
+
+  <div class="range">
+    <div>${escapeHtml(t('summary.estimatedRange'))}</div>
+    <div class="amount">${formatCurrency(estimate.min)} – ${formatCurrency(estimate.max)}</div>
+    <div>${escapeHtml(tierName)}</div>
+    ${estimate.labor ? `<div>${escapeHtml(t('summary.schedule', { schedule: formatSchedule(estimate.labor, t) }))}</div>` : ''}
+    ${estimate.travel ? `<div>${escapeHtml(t('summary.travel', { amount: formatCurrency(estimate.travel.surcharge), zone: t(`travelZones.${estimate.travel.zone}`) }))}</div>` : ''}
+  </div>
+  ${submission.additionalNotes ? `<h2>${escapeHtml(t('summary.notes'))}</h2><p>${escapeHtml(submission.additionalNotes)}</p>` : ''}
+
+  <div class="disclaimer"><strong>${escapeHtml(t('summary.important'))}</strong> ${escapeHtml(t('disclaimer'))}</div>
+
+  <footer>
+    ${escapeHtml(t('summary.footer', { reference: referenceNumber }))}
+  </footer>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,74 @@
+import { buildEstimateSummary, createReferenceNumber } from './estimateSummary';
+import { DEFAULT_I18N } from './i18n';
+
+const submission = {
+  referenceNumber: 'LP-20240315-AB12C',
+  clientName: 'Jo <Smith>',
+  email: 'jo@example.com',
+  phone: '',
+  address: '12 Elm St, Fort Collins, CO 80521',
+  projectType: 'both',
+  squareFootage: 2120,
+  interiorSquareFootage: 120,
+  exteriorSquareFootage: 2000,
+  paintTier: 'premium',
+  exteriorPaintTier: 'designer',
+  surfaces: ['wood_siding', 'trim'],
+  rooms: [{ name: 'Den', length: '12', width: '10', ceilingHeight: '8', doors: '1', windows: '1', surfaces: ['walls'], paintTier: '' }],
+  coats: 2,
+  difficultyLevel: 'high_difficulty',
+  additionalNotes: '',
+  submittedAt: '2024-03-15T17:00:00.000Z'
+};
+
+const estimate = {
+  min: 12345.4,
+  max: 18900,
+  tierName: 'Mixed Paint Tiers',
+  labor: { crewSize: 3, hours: { min: 80, max: 110 }, days: { min: 4, max: 5 } }
+};
+
+test('reference numbers carry the date and a unique suffix', () => {
+  const reference = createReferenceNumber(new Date('2024-03-15T12:00:00Z'));
+
+  expect(reference).toMatch(/^LP-20240315-[0-9A-Z]{5}$/);
+  expect(createReferenceNumber()).not.toBe(createReferenceNumber());
+});
+
+test('summary includes the client, scope, range, disclaimer and reference', () => {
+  const html = buildEstimateSummary(submission, estimate);
+
+  expect(html).toContain('LP-20240315-AB12C');
+  expect(html).toContain('12 Elm St, Fort Collins, CO 80521');
+  expect(html).toContain('Wood Siding, Trim');
+  expect(html).toContain('Designer/Specialty Paint');
+  expect(html).toContain('High Difficulty');
+  expect(html).toContain('Den');
+  expect(html).toContain('$12,345 – $18,900');
+  expect(html).toContain('4–5 days with a 3-person crew');
+  expect(html).toContain(DEFAULT_I18N.t('disclaimer'));
+  expect(html).not.toContain('<th>Phone</th>');
+});
+
+test('lists add-on services when the estimate has them', () => {
+  const addOns = [{ id: 'door_painting', label: 'Door painting', quantity: 4, unitsLabel: 'doors', min: 400, max: 700 }];
+
+  expect(buildEstimateSummary(submission, estimate)).not.toContain('Add-on services');
+  expect(buildEstimateSummary(submission, { ...estimate, addOns })).toContain('4 doors');
+});
+
+test('lists applied promotions with their savings', () => {
+  const promotions = [{ id: 'repeat', label: 'Repeat customer discount', code: 'WELCOMEBACK', discount: { min: 175, max: 325 } }];
+  const html = buildEstimateSummary(submission, { ...estimate, promotions });
+
+  expect(buildEstimateSummary(submission, estimate)).not.toContain('Promotions applied');
+  expect(html).toContain('Repeat customer discount');
+  expect(html).toContain('WELCOMEBACK');
+});
+
+test('customer-entered text is escaped', () => {
+  const html = buildEstimateSummary({ ...submission, additionalNotes: '<script>alert(1)</script>' }, estimate);
+
+  expect(html).toContain('Jo &lt;Smith&gt;');
+  expect(html).not.toContain('<script>');
+});
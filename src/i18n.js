@@ -0,0 +1,100 @@
+import en from './messages/en';
+import es from './messages/es';
+
+// Message catalogs and locale-aware formatting for the customer-facing
+// calculator. Messages are looked up by dotted key ("steps.contact") and may
+// contain {placeholders}; a message can also be { one, other } plural forms
+// picked by the `count` parameter, or a list of strings. Missing Spanish
+// messages fall back to English.
+
+export const LOCALES = {
+  en: { name: 'English', intl: 'en-US', messages: en },
+  es: { name: 'Español', intl: 'es-US', messages: es }
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALE_STORAGE_KEY = 'limePaintingCalculatorLocale';
+
+const lookup = (messages, key) =>
+  key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), messages);
+
+const interpolate = (message, params) =>
+  message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] === undefined ? placeholder : String(params[name])));
+
+// Returns { locale, t, formatCurrency, formatNumber, formatRange, formatDate }
+// for one of the LOCALES; unknown locales get English
+export const createI18n = (locale = DEFAULT_LOCALE) => {
+  const resolved = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+  const { intl, messages } = LOCALES[resolved];
+  const pluralRules = new Intl.PluralRules(intl);
+  const currencyFormat = new Intl.NumberFormat(intl, { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+  const unitPriceFormat = new Intl.NumberFormat(intl, { style: 'currency', currency: 'USD', minimumFractionDigits: 2 });
+
+  const t = (key, params = {}) => {
+    let message = lookup(messages, key);
+    if (message === undefined) {
+      message = lookup(en, key);
+    }
+    if (message && typeof message === 'object' && params.count !== undefined) {
+      message = message[pluralRules.select(params.count)] || message.other;
+    }
+    if (Array.isArray(message)) {
+      return message;
+    }
+    return typeof message === 'string' ? interpolate(message, params) : key;
+  };
+
+  // Whole dollars for prices, cents for per-unit rates like $2.50
+  const formatCurrency = (amount) => (Number.isInteger(amount) || Math.abs(amount) >= 100
+    ? currencyFormat.format(Math.round(amount))
+    : unitPriceFormat.format(amount));
+
+  return {
+    locale: resolved,
+    t,
+    formatCurrency,
+    formatNumber: (value, options) => new Intl.NumberFormat(intl, options).format(value),
+    formatRange: ({ min, max }) => `${formatCurrency(min)} - ${formatCurrency(max)}`,
+    formatDate: (date, options = { year: 'numeric', month: 'long', day: 'numeric' }) =>
+      new Intl.DateTimeFormat(intl, options).format(date)
+  };
+};
+
+// English, for callers that don't have the customer's locale (tests, server code)
+export const DEFAULT_I18N = createI18n(DEFAULT_LOCALE);
+
+const getStorage = () => {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    // Storage can be disabled or blocked (e.g. private browsing)
+    return null;
+  }
+};
+
+// The saved choice wins, then the browser language, then English
+export const loadLocale = () => {
+  const storage = getStorage();
+  const saved = storage && storage.getItem(LOCALE_STORAGE_KEY);
+
+  if (LOCALES[saved]) {
+    return saved;
+  }
+
+  const browserLocale = (window.navigator.language || '').slice(0, 2).toLowerCase();
+  return LOCALES[browserLocale] ? browserLocale : DEFAULT_LOCALE;
+};
+
+export const saveLocale = (locale) => {
+  const storage = getStorage();
+  if (!storage) {
+    return;
+  }
+
+  try {
+    storage.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch (error) {
+    console.warn('Could not save language:', error);
+  }
+};
@@ -0,0 +1,66 @@
+import { createI18n, LOCALE_STORAGE_KEY, LOCALES, loadLocale, saveLocale } from './i18n';
+import { validateContactInfo, validateProjectInfo } from './validation';
+import { INITIAL_FORM_DATA } from './projectForm';
+
+const keysOf = (messages, prefix = '') => Object.entries(messages).flatMap(([key, value]) =>
+  (value && typeof value === 'object' && !Array.isArray(value) ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`])
+);
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+test('every English message has a Spanish translation', () => {
+  expect(keysOf(LOCALES.es.messages).sort()).toEqual(keysOf(LOCALES.en.messages).sort());
+});
+
+test('messages are interpolated in the active language', () => {
+  expect(createI18n('en').t('nav.next', { step: 'Paint' })).toBe('Next: Paint →');
+  expect(createI18n('es').t('nav.next', { step: 'Pintura' })).toBe('Siguiente: Pintura →');
+});
+
+test('plural messages follow the count', () => {
+  const { t } = createI18n('es');
+
+  expect(t('materials.coats', { count: 1 })).toBe('1 capa');
+  expect(t('materials.coats', { count: 3 })).toBe('3 capas');
+});
+
+test('unknown locales use English and unknown keys come back as-is', () => {
+  const { locale, t } = createI18n('fr');
+
+  expect(locale).toBe('en');
+  expect(t('steps.review')).toBe('Review');
+  expect(t('no.such.message')).toBe('no.such.message');
+});
+
+test('currency and dates are formatted for the locale', () => {
+  const en = createI18n('en');
+  const es = createI18n('es');
+  const date = new Date(2024, 2, 15);
+
+  expect(en.formatRange({ min: 3500.4, max: 12000 })).toBe('$3,500 - $12,000');
+  expect(en.formatCurrency(2.5)).toBe('$2.50');
+  expect(en.formatDate(date)).toBe('March 15, 2024');
+  expect(es.formatDate(date)).toBe('15 de marzo de 2024');
+});
+
+test('validation messages are translated', () => {
+  const { t } = createI18n('es');
+  const formData = { ...INITIAL_FORM_DATA, projectType: 'interior', rooms: [{ length: '', width: '', ceilingHeight: '8', surfaces: [] }] };
+
+  expect(validateContactInfo(INITIAL_FORM_DATA, t)).toMatchObject({
+    clientName: 'El nombre es obligatorio',
+    zip: 'El código postal es obligatorio'
+  });
+  expect(validateProjectInfo(formData, t).room0).toBe('Habitación 1: ingrese el largo, el ancho y la altura del techo');
+  expect(validateContactInfo(INITIAL_FORM_DATA).clientName).toBe('Name is required');
+});
+
+test('the saved language wins over the browser language', () => {
+  expect(loadLocale()).toBe('en');
+
+  saveLocale('es');
+  expect(window.localStorage.getItem(LOCALE_STORAGE_KEY)).toBe('es');
+  expect(loadLocale()).toBe('es');
+});
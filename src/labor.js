@@ -0,0 +1,65 @@
+import { DEFAULT_RATES } from './pricing';
+import { DEFAULT_COATS, getProjectSurfaceAreas } from './materials';
+import { DEFAULT_I18N } from './i18n';
+
+// Labor and scheduling estimate: painter-hours from paintable area, coats,
+// surface effort and the project difficulty, then crew-days from the crew
+// settings in the rate table.
+
+// Hours per sq ft relative to rolling walls (1.0)
+export const SURFACE_EFFORT = {
+  interior: {
+    'walls': 1.0,
+    'ceilings': 1.4,       // Overhead work, slower rolling and cut-in
+    'trim': 3.0            // Brushed detail work
+  },
+  exterior: {
+    'wood_siding': 1.2,    // Scraping and back-brushing lap joints
+    'vinyl_siding': 1.0,
+    'cement': 1.2,
+    'stucco': 1.6,         // Textured, sprayed and back-rolled
+    'brick': 1.8,          // Deep mortar joints
+    'trim': 3.0
+  }
+};
+
+// Spread between the fast and slow end of the hours range
+const HOURS_RANGE = { min: 0.85, max: 1.2 };
+
+// Returns null when the project has no paintable area yet
+export const calculateLabor = (project, rates = DEFAULT_RATES) => {
+  const surfaceAreas = getProjectSurfaceAreas(project);
+
+  if (!surfaceAreas) {
+    return null;
+  }
+
+  const { crewSize, hoursPerDay, sqFtPerHour } = rates.labor;
+  const coats = parseInt(project.coats) || DEFAULT_COATS;
+  const difficultyMultiplier = rates.difficultyMultipliers[project.difficultyLevel] || 1.0;
+
+  const baseHours = surfaceAreas.reduce((total, item) =>
+    total + (item.area * coats * SURFACE_EFFORT[item.scope][item.surface]) / sqFtPerHour, 0
+  ) * difficultyMultiplier;
+
+  const hours = {
+    min: Math.ceil(baseHours * HOURS_RANGE.min),
+    max: Math.ceil(baseHours * HOURS_RANGE.max)
+  };
+  const crewHoursPerDay = crewSize * hoursPerDay;
+
+  return {
+    crewSize,
+    hours,
+    days: {
+      min: Math.max(Math.ceil(hours.min / crewHoursPerDay), 1),
+      max: Math.max(Math.ceil(hours.max / crewHoursPerDay), 1)
+    }
+  };
+};
+
+// e.g. "3–4 days with a 3-person crew"
+export const formatSchedule = ({ days, crewSize }, t = DEFAULT_I18N.t) => {
+  const dayRange = days.min === days.max ? `${days.min}` : `${days.min}–${days.max}`;
+  return t('schedule.days', { count: days.max, days: dayRange, crewSize });
+};
@@ -0,0 +1,42 @@
+import { DEFAULT_RATES } from './pricing';
+import { calculateLabor, formatSchedule, SURFACE_EFFORT } from './labor';
+
+const project = {
+  projectType: 'exterior',
+  squareFootage: 2400,
+  surfaces: ['vinyl_siding'],
+  paintTier: 'standard',
+  difficultyLevel: 'basic',
+  coats: '2'
+};
+
+test('returns null until the project has paintable area', () => {
+  expect(calculateLabor({ ...project, squareFootage: '' })).toBeNull();
+});
+
+test('derives hours from area, coats, surface effort and crew settings', () => {
+  const labor = calculateLabor(project);
+  const baseHours = (2400 * 2 * SURFACE_EFFORT.exterior.vinyl_siding) / DEFAULT_RATES.labor.sqFtPerHour;
+
+  expect(labor.crewSize).toBe(3);
+  expect(labor.hours.min).toBeLessThanOrEqual(Math.ceil(baseHours));
+  expect(labor.hours.max).toBeGreaterThanOrEqual(Math.ceil(baseHours));
+  expect(labor.days).toEqual({
+    min: Math.ceil(labor.hours.min / 24),
+    max: Math.ceil(labor.hours.max / 24)
+  });
+});
+
+test('scales with difficulty and crew size', () => {
+  const basic = calculateLabor(project);
+  const complex = calculateLabor({ ...project, difficultyLevel: 'complex' });
+  const bigCrew = calculateLabor(project, { ...DEFAULT_RATES, labor: { ...DEFAULT_RATES.labor, crewSize: 6 } });
+
+  expect(complex.hours.max).toBeGreaterThan(basic.hours.max * 1.9);
+  expect(bigCrew.days.max).toBeLessThan(basic.days.max);
+});
+
+test('formats the crew schedule', () => {
+  expect(formatSchedule({ crewSize: 3, days: { min: 3, max: 4 } })).toBe('3–4 days with a 3-person crew');
+  expect(formatSchedule({ crewSize: 2, days: { min: 1, max: 1 } })).toBe('1 day with a 2-person crew');
+});
@@ -0,0 +1,183 @@
+import { EXTERIOR_SIDING, getRoomAreas, getSidingShares, TIER_NAMES } from './pricing';
+
+// Materials takeoff: turns a project description (the same shape calculateEstimate
+// takes) into gallons of primer and finish paint per tier plus sundries for ordering.
+
+export const DEFAULT_COATS = 2;
+
+// Square feet covered by one gallon of finish paint, per coat
+export const COVERAGE_RATES = {
+  interior: {
+    'walls': 375,
+    'ceilings': 350,
+    'trim': 300
+  },
+  exterior: {
+    'wood_siding': 300,     // Bare wood drinks the first coat
+    'vinyl_siding': 375,    // Smooth, non-porous
+    'cement': 250,          // Fiber cement, moderately porous
+    'stucco': 150,          // Texture and absorption roughly double usage
+    'brick': 175,           // Porous masonry
+    'trim': 300
+  }
+};
+
+// Square feet covered by one gallon of primer
+export const PRIMER_COVERAGE = 250;
+
+// Share of each surface that gets a primer coat before finish paint
+export const PRIMER_SHARE = {
+  interior: {
+    'walls': 0.15,          // Spot priming patches and stains
+    'ceilings': 0.1,
+    'trim': 0.25
+  },
+  exterior: {
+    'wood_siding': 0.5,     // Bare and weathered boards
+    'vinyl_siding': 1.0,    // Bonding primer required
+    'cement': 1.0,          // Masonry primer
+    'stucco': 1.0,          // Masonry primer
+    'brick': 1.0,           // Masonry primer
+    'trim': 0.25
+  }
+};
+
+// Sundries and how many square feet of trim (or total painted area) one unit covers
+const SUNDRIES = [
+  { id: 'tape', label: "Painter's tape (60 yd roll)", unit: 'rolls', per: 'trim', sqFtPerUnit: 150 },
+  { id: 'caulk', label: 'Paintable caulk (10 oz tube)', unit: 'tubes', per: 'trim', sqFtPerUnit: 100 },
+  { id: 'plastic', label: 'Plastic sheeting (10 × 25 ft)', unit: 'rolls', per: 'total', sqFtPerUnit: 250 }
+];
+
+// Rough geometry used when only a floor square footage is known
+const WALLS_PER_FLOOR_SQFT = 3.0;
+const TRIM_PER_FLOOR_SQFT = 0.1;
+const TRIM_PER_SIDING_SQFT = 0.1;
+// Trim band painted around the room perimeter plus door and window casings
+const TRIM_BAND_HEIGHT = 0.5;
+const OPENING_TRIM_AREA = 8;
+
+const getInteriorRoomSurfaceAreas = (room) => {
+  const areas = getRoomAreas(room);
+  const perimeter = 2 * ((parseFloat(room.length) || 0) + (parseFloat(room.width) || 0));
+  const openings = (parseFloat(room.doors) || 0) + (parseFloat(room.windows) || 0);
+  const surfaces = room.surfaces && room.surfaces.length > 0 ? room.surfaces : ['walls'];
+
+  return {
+    walls: surfaces.includes('walls') ? areas.wallArea : 0,
+    ceilings: surfaces.includes('ceilings') ? areas.ceilingArea : 0,
+    trim: surfaces.includes('trim') ? perimeter * TRIM_BAND_HEIGHT + openings * OPENING_TRIM_AREA : 0
+  };
+};
+
+// Returns [{ scope, surface, area, paintTier }] for every painted surface in a
+// single-type project (or one scope of a "both" project)
+const getSurfaceAreas = (scopeType, scope) => {
+  const { paintTier } = scope;
+  const items = [];
+  const add = (surface, area, tier = paintTier) => {
+    if (area > 0) {
+      items.push({ scope: scopeType, surface, area, paintTier: tier });
+    }
+  };
+
+  if (scopeType === 'interior') {
+    if (scope.rooms && scope.rooms.length > 0) {
+      scope.rooms.forEach(room => {
+        const roomAreas = getInteriorRoomSurfaceAreas(room);
+        Object.entries(roomAreas).forEach(([surface, area]) => add(surface, area, room.paintTier || paintTier));
+      });
+      return items;
+    }
+
+    const floorArea = parseInt(scope.squareFootage) || 0;
+    const surfaces = scope.surfaces && scope.surfaces.length > 0 ? scope.surfaces : ['walls'];
+    add('walls', surfaces.includes('walls') ? floorArea * WALLS_PER_FLOOR_SQFT : 0);
+    add('ceilings', surfaces.includes('ceilings') ? floorArea : 0);
+    add('trim', surfaces.includes('trim') ? floorArea * TRIM_PER_FLOOR_SQFT : 0);
+    return items;
+  }
+
+  const sidingArea = parseInt(scope.squareFootage) || 0;
+  const surfaces = scope.surfaces || [];
+  // Siding area is split by each siding's share; with none selected it is painted as wood
+  const sidingShares = surfaces.some(surface => EXTERIOR_SIDING.includes(surface))
+    ? getSidingShares(surfaces, scope.surfaceShares)
+    : { 'wood_siding': 1 };
+
+  Object.entries(sidingShares).forEach(([surface, share]) => add(surface, sidingArea * share));
+  // Exteriors measured from the footprint know their trim length
+  const trimArea = scope.trimLength !== undefined ? scope.trimLength * TRIM_BAND_HEIGHT : sidingArea * TRIM_PER_SIDING_SQFT;
+  add('trim', surfaces.includes('trim') ? trimArea : 0);
+  return items;
+};
+
+const getProjectScopes = (project) => (project.projectType === 'both'
+  ? [['interior', project.interior || {}], ['exterior', project.exterior || {}]]
+  : [[project.projectType, project]]);
+
+// Paintable area of every surface in the project, shared with the labor estimate.
+// Returns null when the project has no paint tier or paintable area yet.
+export const getProjectSurfaceAreas = (project) => {
+  const scopes = getProjectScopes(project);
+
+  if (!project.projectType || scopes.some(([, scope]) => !scope.paintTier)) {
+    return null;
+  }
+
+  const surfaces = scopes.flatMap(([scopeType, scope]) => getSurfaceAreas(scopeType, scope));
+  return surfaces.length > 0 ? surfaces : null;
+};
+
+// Returns null when the project has no paint tier or paintable area yet
+export const calculateMaterials = (project) => {
+  const coats = parseInt(project.coats) || DEFAULT_COATS;
+  const surfaceAreas = getProjectSurfaceAreas(project);
+
+  if (!surfaceAreas) {
+    return null;
+  }
+
+  const surfaces = surfaceAreas.map(item => ({
+    ...item,
+    finishGallons: (item.area * coats) / COVERAGE_RATES[item.scope][item.surface],
+    primerGallons: (item.area * PRIMER_SHARE[item.scope][item.surface]) / PRIMER_COVERAGE
+  }));
+
+  const byTier = {};
+  surfaces.forEach(item => {
+    const tier = byTier[item.paintTier] || { finishGallons: 0, primerGallons: 0 };
+    tier.finishGallons += item.finishGallons;
+    tier.primerGallons += item.primerGallons;
+    byTier[item.paintTier] = tier;
+  });
+
+  const paint = Object.entries(byTier).map(([paintTier, totals]) => ({
+    paintTier,
+    tierName: TIER_NAMES[paintTier] || paintTier,
+    finishGallons: Math.ceil(totals.finishGallons),
+    primerGallons: Math.ceil(totals.primerGallons)
+  }));
+
+  const totalArea = surfaces.reduce((total, item) => total + item.area, 0);
+  const trimArea = surfaces
+    .filter(item => item.surface === 'trim')
+    .reduce((total, item) => total + item.area, 0);
+  // Tape and caulk follow the edges; with no trim selected assume a light cut-in
+  const edgeArea = trimArea > 0 ? trimArea : totalArea * TRIM_PER_SIDING_SQFT;
+
+  const sundries = SUNDRIES.map(({ id, label, unit, per, sqFtPerUnit }) => ({
+    id,
+    label,
+    unit,
+    quantity: Math.max(Math.ceil((per === 'trim' ? edgeArea : totalArea) / sqFtPerUnit), 1)
+  }));
+
+  return {
+    coats,
+    totalArea: Math.round(totalArea),
+    surfaces,
+    paint,
+    sundries
+  };
+};
@@ -0,0 +1,64 @@
+import { calculateMaterials, COVERAGE_RATES, PRIMER_COVERAGE } from './materials';
+
+test('returns null until the project has a paint tier', () => {
+  expect(calculateMaterials({ projectType: 'exterior', squareFootage: 2000, surfaces: ['stucco'], paintTier: '' })).toBeNull();
+});
+
+test('uses per-surface coverage and the number of coats for finish paint', () => {
+  const materials = calculateMaterials({
+    projectType: 'exterior',
+    squareFootage: 1500,
+    surfaces: ['stucco'],
+    paintTier: 'premium',
+    coats: '2'
+  });
+
+  expect(materials.paint).toEqual([{
+    paintTier: 'premium',
+    tierName: 'Premium Paint',
+    finishGallons: Math.ceil((1500 * 2) / COVERAGE_RATES.exterior.stucco),
+    primerGallons: Math.ceil(1500 / PRIMER_COVERAGE)
+  }]);
+});
+
+test('stucco needs far more paint than vinyl siding', () => {
+  const project = { projectType: 'exterior', squareFootage: 2000, paintTier: 'standard' };
+  const stucco = calculateMaterials({ ...project, surfaces: ['stucco'] });
+  const vinyl = calculateMaterials({ ...project, surfaces: ['vinyl_siding'] });
+
+  expect(stucco.paint[0].finishGallons).toBeGreaterThan(vinyl.paint[0].finishGallons * 2);
+});
+
+test('splits the siding area by each siding\'s share', () => {
+  const materials = calculateMaterials({
+    projectType: 'exterior',
+    squareFootage: 2000,
+    surfaces: ['vinyl_siding', 'brick'],
+    surfaceShares: { vinyl_siding: 90, brick: 10 },
+    paintTier: 'standard',
+    coats: '1'
+  });
+
+  expect(materials.paint[0].finishGallons).toBe(
+    Math.ceil(1800 / COVERAGE_RATES.exterior.vinyl_siding + 200 / COVERAGE_RATES.exterior.brick)
+  );
+});
+
+test('groups paint by tier across rooms and scopes', () => {
+  const materials = calculateMaterials({
+    projectType: 'both',
+    interior: {
+      paintTier: 'standard',
+      rooms: [
+        { length: '12', width: '12', ceilingHeight: '8', doors: '1', windows: '1', surfaces: ['walls', 'trim'], paintTier: '' },
+        { length: '10', width: '10', ceilingHeight: '8', doors: '1', windows: '0', surfaces: ['walls'], paintTier: 'designer' }
+      ]
+    },
+    exterior: { squareFootage: 1800, surfaces: ['wood_siding', 'trim'], paintTier: 'premium' }
+  });
+
+  expect(materials.coats).toBe(2);
+  expect(materials.paint.map(tier => tier.paintTier)).toEqual(['standard', 'designer', 'premium']);
+  expect(materials.sundries.map(item => item.id)).toEqual(['tape', 'caulk', 'plastic']);
+  materials.sundries.forEach(item => expect(item.quantity).toBeGreaterThan(0));
+});
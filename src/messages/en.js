@@ -0,0 +1,633 @@
+// English messages for the customer-facing calculator. Keys are shared with
+// es.js; see i18n.js for placeholders and plural forms.
+
+const en = {
+  language: {
+    label: 'Language'
+  },
+
+  header: {
+    region: 'OF NORTHERN COLORADO',
+    title: 'Painting Cost Calculator',
+    subtitle: 'Get a ballpark range for planning your project',
+    staffMode: 'Staff mode'
+  },
+
+  staff: {
+    title: 'Staff Login',
+    back: '← Back to calculator',
+    password: 'Staff password',
+    logIn: 'Log in',
+    loggingIn: 'Logging in…',
+    incorrect: 'Incorrect password',
+    failed: 'Could not reach the estimates server to log in ({error})'
+  },
+
+  steps: {
+    contact: 'Contact',
+    project: 'Project',
+    paint: 'Paint',
+    surfaces: 'Surfaces',
+    addOns: 'Add-ons',
+    difficulty: 'Difficulty',
+    review: 'Review'
+  },
+
+  nav: {
+    progress: 'Estimate progress',
+    back: '← Back',
+    next: 'Next: {step} →',
+    copyShareLink: '🔗 Copy share link',
+    startOver: 'Start over',
+    continue: 'Continue'
+  },
+
+  notices: {
+    welcomeBack: 'Welcome back!',
+    draftRestoredText: 'We restored the estimate you started on {date}. Continue where you left off?',
+    sharedLinkTitle: 'Shared project loaded.',
+    sharedLinkText: 'We filled in the project details from your link. Add your contact information to see the estimate.',
+    sharedLinkRejected: 'Some values in the link were invalid and were left blank: {fields}.',
+    notice: 'Notice:',
+    pricingFallback: 'Current pricing could not be loaded, so these ranges use our standard rates.',
+    important: 'Important:',
+    shareLinkCopied: 'Link copied! It includes project details only, never contact information.',
+    shareLinkPrompt: 'Copy this link to share the project details:',
+    errorSummary: 'Please complete the required fields:'
+  },
+
+  shareLink: {
+    fields: {
+      projectType: 'project type',
+      squareFootage: 'square footage',
+      exteriorMeasurement: 'measuring method',
+      exteriorDimensions: 'house measurements',
+      paintTier: 'paint tier',
+      exteriorPaintTier: 'exterior paint tier',
+      surfaces: 'surfaces',
+      surfaceShares: 'siding percentages',
+      coats: 'coats',
+      difficultyLevel: 'difficulty',
+      difficultyAnswers: 'home questions',
+      rooms: 'rooms',
+      addOns: 'add-ons'
+    }
+  },
+
+  contact: {
+    title: '📋 Contact Information',
+    fullName: 'Full Name',
+    email: 'Email Address',
+    phone: 'Phone Number',
+    recommended: '(Recommended)',
+    phonePlaceholder: '(555) 123-4567',
+    street: 'Street Address',
+    streetPlaceholder: '123 Main St, Apt 4',
+    city: 'City',
+    state: 'State',
+    zip: 'ZIP Code',
+    outOfAreaTitle: 'ZIP {zip} is outside our usual Northern Colorado service area.',
+    outOfAreaText: 'You can still get an estimate, and our team will let you know whether we can take on the project.'
+  },
+
+  project: {
+    title: '🎨 Project Details',
+    type: 'Project Type',
+    selectType: 'Select Project Type',
+    squareFootage: 'Paintable Wall Area (sq ft)',
+    exteriorSquareFootage: 'Exterior Paintable Wall Area (sq ft)',
+    measurement: 'How should we size the outside of your home?',
+    measurementOptions: {
+      footprint: 'Measure my house (recommended)',
+      area: 'I know the paintable wall area'
+    },
+    house: {
+      intro: 'For the perimeter, add up the length of every outside wall at ground level. Most homes are between 120 and 250 ft.',
+      perimeter: 'Footprint perimeter (ft)',
+      stories: 'Stories',
+      gables: 'Gables (triangular wall ends under the roof)',
+      garageDoors: 'Garage doors',
+      windows: 'Windows',
+      doors: 'Exterior doors',
+      derived: 'Paintable wall area: {area} sq ft · Trim: {trim} linear ft',
+      derivedHint: 'Does this look right? If not, check the measurements above.'
+    },
+    coats: 'Coats of Paint',
+    coatOptions: {
+      1: '1 coat - Same color refresh',
+      2: '2 coats - Recommended',
+      3: '3 coats - Dramatic color change'
+    }
+  },
+
+  projectTypes: {
+    interior: 'Interior Painting',
+    exterior: 'Exterior Painting',
+    both: 'Both Interior & Exterior'
+  },
+
+  paint: {
+    title: '🎨 Paint Quality Selection',
+    interiorTitle: '🎨 Interior Paint Quality',
+    exteriorTitle: '🎨 Exterior Paint Quality',
+    baseRate: '{multiplier} base rate'
+  },
+
+  tiers: {
+    standard: 'Standard Paint',
+    premium: 'Premium Paint',
+    designer: 'Designer/Specialty Paint',
+    mixed: 'Mixed Paint Tiers'
+  },
+
+  tierCards: {
+    standard: {
+      title: '⭐ Standard',
+      features: ['Good durability', 'Easy application', 'Wide color selection']
+    },
+    premium: {
+      title: '🥇 Premium',
+      features: ['Excellent durability', 'Superior coverage', 'Advanced colors']
+    },
+    designer: {
+      title: '💎 Designer',
+      features: ['Specialty finishes', 'Custom colors', 'Premium formulas']
+    }
+  },
+
+  surfaces: {
+    roomsTitle: '🏠 Rooms',
+    interiorRoomsTitle: '🏠 Interior Rooms',
+    exteriorTitle: '🏠 Exterior Surface Types (Check all that apply)',
+    interior: {
+      walls: 'Walls',
+      ceilings: 'Ceilings',
+      trim: 'Trim'
+    },
+    exterior: {
+      wood_siding: 'Wood Siding',
+      trim: 'Trim',
+      stucco: 'Stucco',
+      cement: 'Cement',
+      vinyl_siding: 'Vinyl Siding',
+      brick: 'Brick'
+    },
+    sharesTitle: 'About how much of the outside is each material?',
+    sharesIntro: 'A rough guess is fine, e.g. 90% vinyl siding with a 10% brick accent.',
+    shareLabel: '{surface} share (%)',
+    sharesTotal: 'Total: {total}%',
+    withShare: '{surface} {share}%'
+  },
+
+  rooms: {
+    empty: 'No rooms added yet. Add each room you would like painted.',
+    namePlaceholder: 'Room {number} (e.g., Living Room)',
+    defaultName: 'Room {number}',
+    remove: 'Remove',
+    add: '+ Add Room',
+    length: 'Length (ft)',
+    width: 'Width (ft)',
+    ceilingHeight: 'Ceiling (ft)',
+    doors: 'Doors',
+    windows: 'Windows',
+    sameAsProject: 'Same as project paint',
+    areas: 'Walls: {walls} sq ft · Ceiling: {ceiling} sq ft'
+  },
+
+  addOns: {
+    title: '🧰 Add-on Services',
+    intro: 'Optional extras quoted per unit and added on top of the painting range.',
+    quantityLabel: '{service} quantity',
+    perUnit: '{range} / {unit}',
+    services: {
+      cabinet_refinishing: 'Cabinet refinishing',
+      door_painting: 'Door painting',
+      deck_staining: 'Deck staining',
+      fence_staining: 'Fence staining',
+      drywall_repair: 'Drywall patching',
+      wallpaper_removal: 'Wallpaper removal',
+      lead_safe_prep: 'Lead-safe prep (pre-1978 homes)'
+    },
+    units: {
+      cabinet_refinishing: { one: 'door/drawer', other: 'doors/drawers' },
+      door_painting: { one: 'door', other: 'doors' },
+      deck_staining: { one: 'sq ft', other: 'sq ft' },
+      fence_staining: { one: 'linear ft', other: 'linear ft' },
+      drywall_repair: { one: 'patch', other: 'patches' },
+      wallpaper_removal: { one: 'sq ft', other: 'sq ft' },
+      lead_safe_prep: { one: 'sq ft', other: 'sq ft' }
+    }
+  },
+
+  difficulty: {
+    title: '🔧 About Your Home',
+    intro: 'A few quick questions about the home tell us how much prep work to expect.',
+    questions: {
+      yearBuilt: {
+        label: 'When was the home built?',
+        options: { since2000: '2000 or later', '1978to1999': '1978 to 1999', '1940to1977': '1940 to 1977', before1940: 'Before 1940' }
+      },
+      peeling: {
+        label: 'Is any paint peeling, flaking or cracking?',
+        options: { none: 'No', some: 'In a few spots', widespread: 'In many places' }
+      },
+      wallDamage: {
+        label: 'Do the walls or siding need repairs?',
+        options: { none: 'No', minor: 'Minor (nail holes, hairline cracks)', major: 'Major (large cracks, water damage, rot)' }
+      },
+      ceilingHeight: {
+        label: 'How high are the tallest walls or ceilings to paint?',
+        options: { standard: 'Up to 9 ft', high: '10 to 14 ft', vaulted: '15 ft or more' }
+      },
+      colorChange: {
+        label: 'Are you going from a dark color to a light one?',
+        options: { no: 'No', yes: 'Yes' }
+      },
+      occupancy: {
+        label: 'Will the home be lived in during the work?',
+        options: { empty: 'No, it will be empty', occupied: 'Yes, it will be occupied' }
+      }
+    },
+    result: 'Your project difficulty: {label} ({multiplier})',
+    pending: 'Answer every question to see your project difficulty.',
+    reasonsTitle: 'What we took into account (score {score}):',
+    reason: '{question} {answer} (+{points})',
+    noReasons: 'Nothing in your answers adds prep work.',
+    staff: {
+      title: 'Staff override',
+      useAssessment: 'Use the questionnaire result',
+      overridden: 'Set by staff. The questionnaire suggests {label}.'
+    },
+    option: '{label} ({multiplier}) - {description}',
+    levels: {
+      basic: { label: 'Basic', description: 'New construction, minimal prep' },
+      standard: { label: 'Standard', description: 'Good condition, light prep' },
+      moderate: { label: 'Moderate', description: 'Some repairs, medium prep' },
+      complex: { label: 'Complex', description: 'Extensive prep, repairs, intricate details' },
+      high_difficulty: { label: 'High Difficulty', description: 'Historical restoration, specialty techniques' }
+    },
+    detailsTitle: '📝 Additional Details',
+    notes: 'Additional Notes',
+    notesPlaceholder: 'Any specific requirements, concerns, or details about your project...'
+  },
+
+  photos: {
+    title: '📷 Photos',
+    intro: 'Add up to {max} photos of the surfaces you want painted. They help our estimators judge the prep work.',
+    add: '+ Add Photos',
+    processing: 'Preparing photos…',
+    count: { one: '{count} photo attached', other: '{count} photos attached' },
+    remove: 'Remove {name}',
+    errors: {
+      type: '{name}: please choose a JPEG, PNG or WebP photo',
+      size: '{name}: photos must be under {size} MB',
+      tooMany: 'You can attach up to {max} photos',
+      unreadable: '{name}: this photo could not be read'
+    }
+  },
+
+  review: {
+    edit: 'Edit',
+    sections: {
+      contact: '📋 Contact',
+      project: '🎨 Project',
+      paint: '🪣 Paint',
+      surfaces: '🏠 Surfaces',
+      addOns: '🧰 Add-ons',
+      difficulty: '🔧 Difficulty'
+    },
+    rows: {
+      name: 'Name',
+      email: 'Email',
+      phone: 'Phone',
+      address: 'Address',
+      projectType: 'Project type',
+      exteriorSquareFootage: 'Exterior square footage',
+      coats: 'Coats',
+      paintQuality: 'Paint quality',
+      interior: 'Interior',
+      exterior: 'Exterior',
+      rooms: 'Rooms',
+      exteriorSurfaces: 'Exterior surfaces',
+      addOns: 'Add-ons',
+      difficulty: 'Difficulty',
+      notes: 'Notes',
+      photos: 'Photos'
+    },
+    squareFeet: '{value} sq ft',
+    measuredArea: '{value} sq ft of wall and {trim} linear ft of trim, from your measurements',
+    quantity: '{quantity} {unit}',
+    none: 'None',
+    noneSelected: 'None selected',
+    promoCode: 'Promo Code',
+    promoCodePlaceholder: 'Have a promo code? Enter it here',
+    promoCodeApplied: '✓ Promo code applied',
+    promoCodeNotApplied: 'This code does not apply to your project right now. Our team will still review it.',
+    headsUp: 'Heads up:',
+    outOfAreaText: 'ZIP {zip} is outside our usual service area. You can still send your request and our team will let you know whether we can take on the project.',
+    leadCapture: 'Happy with the range? Send it to our team and we will contact you to schedule an on-site consultation.',
+    submit: 'Submit for Official Estimate'
+  },
+
+  estimate: {
+    title: 'Your Estimated Range',
+    live: 'Live estimate',
+    livePlaceholder: 'Choose a project type, size and paint quality to see your range.',
+    promotionApplied: '🏷 Promotion applied',
+    laborHours: 'About {min}–{max} labor hours',
+    scopeSubtotal: {
+      interior: 'Interior subtotal',
+      exterior: 'Exterior subtotal'
+    },
+    beforePromotions: 'Painting before promotions: {range}',
+    promotion: '🏷 {label}: −{range}',
+    painting: 'Painting: {range}',
+    addOn: '{label} ({quantity} {unit}): {range}',
+    travel: 'Includes {amount} travel ({zone}, ZIP {zip})',
+    showBreakdown: 'How was this calculated? ▼',
+    hideBreakdown: 'Hide breakdown ▲',
+    unofficial: 'This is an unofficial range for planning purposes only.',
+    consultation: 'An official estimate requires an on-site consultation with our team.',
+    downloadSummary: '📄 Download summary',
+    summaryHint: 'Reference {reference} · open the file and print it to save as PDF',
+    website: 'Visit Lime Painting Website →'
+  },
+
+  schedule: {
+    days: { one: '{days} day with a {crewSize}-person crew', other: '{days} days with a {crewSize}-person crew' }
+  },
+
+  travelZones: {
+    local: 'Fort Collins area',
+    extended: 'Extended service area',
+    remote: 'Remote service area'
+  },
+
+  breakdown: {
+    step: 'Step',
+    adjustment: 'Adjustment',
+    runningRange: 'Running Range',
+    base: 'Base rate × square footage',
+    baseDetail: '{min} - {max} / sq ft × {squareFootage} sq ft',
+    paint: 'Paint tier ({tier})',
+    difficulty: 'Project difficulty',
+    surfaces: 'Surface selection',
+    rangeSpread: 'Minimum range spread',
+    absoluteMin: 'Minimum project price',
+    applied: 'Applied ({amount})',
+    notNeeded: 'Not needed ({amount})',
+    roomDetail: '{area} weighted sq ft, {tier}',
+    scopeDetail: '{squareFootage} sq ft, {tier}',
+    addOnDetail: '{quantity} {unit} × {min}-{max}',
+    percentOff: '{amount}% off',
+    flatOff: '{amount} off',
+    percentOffScope: '{amount}% off {scope} work',
+    flatOffScope: '{amount} off {scope} work',
+    scopes: {
+      interior: 'interior',
+      exterior: 'exterior'
+    },
+    travel: 'Travel ({zone})',
+    travelDetail: 'ZIP {zip}'
+  },
+
+  materials: {
+    title: '🪣 Materials ({area} sq ft, {coats})',
+    coats: { one: '{count} coat', other: '{count} coats' },
+    paint: 'Paint',
+    primer: 'Primer',
+    finish: 'Finish',
+    gallons: '{gallons} gal',
+    sundry: '• {label}: {quantity} {unit}',
+    sundries: {
+      tape: "Painter's tape (60 yd roll)",
+      caulk: 'Paintable caulk (10 oz tube)',
+      plastic: 'Plastic sheeting (10 × 25 ft)'
+    },
+    units: {
+      rolls: { one: 'roll', other: 'rolls' },
+      tubes: { one: 'tube', other: 'tubes' }
+    }
+  },
+
+  compare: {
+    title: '🔍 Compare Paint Options',
+    nearbyDifficulty: 'Also compare nearby difficulty levels',
+    difficulty: 'Difficulty',
+    choose: 'Choose',
+    selected: 'Selected',
+    yourSelection: 'Your selection'
+  },
+
+  submission: {
+    sending: {
+      title: 'Sending your request…',
+      message: 'Please keep this page open for a moment.'
+    },
+    sent: {
+      title: '✓ Request sent!',
+      message: 'You will be contacted soon for a detailed consultation.'
+    },
+    pending: {
+      title: '⏳ Request saved, waiting to send',
+      message: 'We could not reach our server just now. Your request is saved on this device and will be sent automatically when the connection returns. Keep this page open or come back later.'
+    },
+    failed: {
+      title: 'We could not submit your request',
+      message: 'Please try again or contact us directly.'
+    },
+    reference: 'Reference {reference}'
+  },
+
+  validation: {
+    nameRequired: 'Name is required',
+    nameTooShort: 'Name must be at least 2 characters',
+    nameTooLong: 'Name cannot exceed 100 characters',
+    emailRequired: 'Email is required',
+    emailInvalid: 'Please enter a valid email address',
+    phoneInvalid: 'Please enter a valid phone number',
+    phoneInvalidExample: 'Please enter a valid phone number (e.g., (555) 123-4567)',
+    streetRequired: 'Street address is required',
+    cityRequired: 'City is required',
+    stateInvalid: 'Please enter a 2-letter state code (e.g., CO)',
+    zipRequired: 'ZIP code is required',
+    zipInvalid: 'Please enter a 5-digit ZIP code (e.g., 80521)',
+    projectTypeRequired: 'Please select a project type',
+    roomsRequired: 'Please add at least one room',
+    roomIncomplete: 'Room {number}: enter length, width and ceiling height',
+    roomNoSurfaces: 'Room {number}: select at least one surface',
+    roomInvalid: 'Room {number}: choose surfaces and paint from the list',
+    squareFootageRequired: 'Please enter square footage',
+    squareFootageTooSmall: 'Square footage must be at least 100',
+    exteriorMeasurementRequired: 'Please choose how to size the outside of your home',
+    perimeterRequired: 'Please enter the footprint perimeter (at least 40 ft)',
+    storiesInvalid: 'Stories must be a whole number from 1 to 4',
+    exteriorCountsInvalid: 'Enter gables, garage doors, windows and doors as whole numbers',
+    wallAreaTooSmall: 'These measurements leave less than 100 sq ft of wall to paint',
+    surfacesInvalid: 'Please choose exterior surfaces from the list',
+    surfaceSharesInvalid: 'Enter a whole percentage above 0 for each siding material',
+    surfaceSharesTotal: 'Siding percentages must add up to 100% (currently {total}%)',
+    paintTierRequired: 'Please select a paint tier',
+    exteriorPaintTierRequired: 'Please select an exterior paint tier',
+    difficultyRequired: 'Please select a project difficulty',
+    difficultyAnswersRequired: 'Please answer every question about your home',
+    coatsRequired: 'Please select the number of coats',
+    addOnsInvalid: 'Please choose add-on services from the list',
+    addOnsQuantity: 'Enter a quantity for each add-on you selected',
+    quoteCostsInvalid: 'Enter every cost as an amount of 0 or more',
+    quoteMarginInvalid: 'Margin must be at least 0% and below 100%',
+    quoteValidDaysInvalid: 'The quote must be valid for a whole number of days, at least 1',
+    quoteQuantityInvalid: 'Quantities must be 0 or more',
+    quotePriceInvalid: 'Add-on and travel prices must be 0 or more',
+    customItemIncomplete: 'Line item {number}: enter a description, a quantity above 0 and a unit cost',
+    quoteTotalInvalid: 'The quote must come to a cost and total above $0. Check the discounts and quantities.'
+  },
+
+  summary: {
+    title: 'Lime Painting Estimate {reference}',
+    heading: 'Estimate summary',
+    reference: 'Ref. {reference}',
+    client: 'Client',
+    name: 'Name',
+    email: 'Email',
+    phone: 'Phone',
+    address: 'Address',
+    serviceArea: 'Service area',
+    outsideServiceArea: 'Outside our usual service area',
+    scope: 'Project scope',
+    projectType: 'Project type',
+    totalArea: 'Total area',
+    squareFeet: '{value} sq ft',
+    interiorPaintTier: 'Interior paint tier',
+    exteriorPaintTier: 'Exterior paint tier',
+    paintTier: 'Paint tier',
+    exteriorSurfaces: 'Exterior surfaces',
+    noneSelected: 'None selected',
+    coats: 'Coats',
+    difficulty: 'Difficulty',
+    rooms: 'Rooms',
+    room: 'Room',
+    roomSize: 'Size (L × W × H)',
+    roomSizeValue: '{length} × {width} × {height} ft',
+    surfaces: 'Surfaces',
+    paint: 'Paint',
+    projectPaint: 'Project paint',
+    addOns: 'Add-on services',
+    service: 'Service',
+    quantity: 'Quantity',
+    range: 'Range',
+    promotions: 'Promotions applied',
+    promotion: 'Promotion',
+    code: 'Code',
+    savings: 'Savings',
+    estimatedRange: 'Estimated range',
+    schedule: 'Schedule: {schedule}',
+    travel: 'Includes {amount} travel ({zone})',
+    notes: 'Notes',
+    important: 'Important:',
+    footer: 'Please quote reference {reference} when contacting us · limepainting.com/northern-colorado'
+  },
+
+  quote: {
+    title: '📄 Formal Quote',
+    intro: 'Quantities come from the same takeoff as the ballpark. Correct them after the site visit, add any other work, then set costs and margin for a fixed price. Promotions the customer was shown and the minimum job price carry over from the ballpark.',
+    incomplete: 'Complete the project details to build a quote.',
+    number: 'Quote {quoteNumber}',
+    lead: {
+      title: 'Load a submitted lead',
+      label: 'Estimate reference number',
+      load: 'Load lead',
+      loading: 'Loading…',
+      loaded: 'Loaded {reference} from {name}. Check each step against the site visit; changes update the quote.',
+      notFound: 'No lead found with reference {reference}',
+      unreadable: 'Lead {reference} could not be opened in the calculator',
+      unauthorized: 'Your staff session has ended. Reload the page and log in again.',
+      failed: 'Could not load the lead ({error})'
+    },
+    settingsTitle: 'Costs and margin',
+    settings: {
+      laborRate: 'Labor cost per hour ($)',
+      paintCost: '{tier}, per gallon ($)',
+      primerCost: 'Primer, per gallon ($)',
+      sundryCost: '{item}, each ($)',
+      margin: 'Margin (%)',
+      validDays: 'Valid for (days)'
+    },
+    linesTitle: 'Line items',
+    columns: {
+      item: 'Item',
+      quantity: 'Quantity',
+      unitCost: 'Unit cost',
+      cost: 'Cost',
+      price: 'Price'
+    },
+    quantityLabel: '{item} quantity',
+    takeoff: 'Takeoff: {quantity}',
+    unitPriceLabel: '{item} unit price',
+    listUnitPrice: 'List: {price}',
+    lines: {
+      labor: 'Painting labor',
+      paint: '{tier}, finish coats',
+      primer: 'Primer',
+      travel: 'Travel ({zone})',
+      promotion: 'Promotion: {label}',
+      minimum: 'Minimum job price adjustment'
+    },
+    units: {
+      hours: { one: 'hour', other: 'hours' },
+      gallons: { one: 'gallon', other: 'gallons' },
+      trip: { one: 'trip', other: 'trips' }
+    },
+    custom: {
+      title: 'Custom line items',
+      hint: 'Use a negative unit cost for a discount.',
+      add: '+ Add line item',
+      remove: 'Remove',
+      description: 'Description',
+      quantity: 'Quantity',
+      unit: 'Unit',
+      unitCost: 'Unit cost ($)'
+    },
+    costs: {
+      labor: 'Labor',
+      materials: 'Materials',
+      other: 'Other items',
+      cost: 'Total cost',
+      margin: 'Margin ({margin}%)',
+      listPriced: 'Add-ons and travel at list price'
+    },
+    listPrice: 'List price',
+    total: 'Quoted total',
+    ballpark: 'Public ballpark for comparison: {range}',
+    validUntil: 'Valid until {date}',
+    terms: 'Terms',
+    defaultTerms: [
+      'The price covers the work listed above; changes to the scope are quoted separately.',
+      'A 30% deposit schedules the work, with the balance due on completion.',
+      'Colors are chosen by the customer before work starts.',
+      'Repairs to hidden damage found during prep are priced once it is uncovered.'
+    ],
+    exportJson: 'Export JSON',
+    exportDocument: 'Download printable quote',
+    document: {
+      title: 'Lime Painting Quote {quoteNumber}',
+      heading: 'Quote',
+      issued: 'Issued {date}',
+      leadReference: 'Estimate reference',
+      scope: 'Scope of work',
+      item: 'Item',
+      quantity: 'Quantity',
+      price: 'Price',
+      total: 'Fixed price',
+      acceptedBy: 'Accepted by (signature)',
+      date: 'Date',
+      footer: 'Please mention quote {quoteNumber} when accepting · limepainting.com/northern-colorado'
+    }
+  },
+
+  disclaimer: 'This calculator provides unofficial pricing ranges for planning purposes only. '
+    + 'Actual costs may vary significantly based on surface preparation requirements, access challenges, '
+    + 'material choices, and specific project conditions. An official estimate requires an on-site consultation.'
+};
+
+export default en;
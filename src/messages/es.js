@@ -0,0 +1,633 @@
+// Spanish messages for the customer-facing calculator. Keys mirror en.js;
+// anything missing here falls back to English.
+
+const es = {
+  language: {
+    label: 'Idioma'
+  },
+
+  header: {
+    region: 'DEL NORTE DE COLORADO',
+    title: 'Calculadora de Costos de Pintura',
+    subtitle: 'Obtenga un rango aproximado para planear su proyecto',
+    staffMode: 'Modo personal'
+  },
+
+  staff: {
+    title: 'Acceso del personal',
+    back: '← Volver a la calculadora',
+    password: 'Contraseña del personal',
+    logIn: 'Entrar',
+    loggingIn: 'Entrando…',
+    incorrect: 'Contraseña incorrecta',
+    failed: 'No se pudo conectar con el servidor de estimados para entrar ({error})'
+  },
+
+  steps: {
+    contact: 'Contacto',
+    project: 'Proyecto',
+    paint: 'Pintura',
+    surfaces: 'Superficies',
+    addOns: 'Extras',
+    difficulty: 'Dificultad',
+    review: 'Revisión'
+  },
+
+  nav: {
+    progress: 'Progreso del presupuesto',
+    back: '← Atrás',
+    next: 'Siguiente: {step} →',
+    copyShareLink: '🔗 Copiar enlace para compartir',
+    startOver: 'Empezar de nuevo',
+    continue: 'Continuar'
+  },
+
+  notices: {
+    welcomeBack: '¡Bienvenido de nuevo!',
+    draftRestoredText: 'Recuperamos el presupuesto que comenzó el {date}. ¿Desea continuar donde lo dejó?',
+    sharedLinkTitle: 'Proyecto compartido cargado.',
+    sharedLinkText: 'Completamos los detalles del proyecto con su enlace. Agregue su información de contacto para ver el presupuesto.',
+    sharedLinkRejected: 'Algunos valores del enlace no eran válidos y se dejaron en blanco: {fields}.',
+    notice: 'Aviso:',
+    pricingFallback: 'No pudimos cargar los precios actuales, así que estos rangos usan nuestras tarifas estándar.',
+    important: 'Importante:',
+    shareLinkCopied: '¡Enlace copiado! Solo incluye los detalles del proyecto, nunca la información de contacto.',
+    shareLinkPrompt: 'Copie este enlace para compartir los detalles del proyecto:',
+    errorSummary: 'Por favor complete los campos requeridos:'
+  },
+
+  shareLink: {
+    fields: {
+      projectType: 'tipo de proyecto',
+      squareFootage: 'pies cuadrados',
+      exteriorMeasurement: 'método de medición',
+      exteriorDimensions: 'medidas de la casa',
+      paintTier: 'calidad de pintura',
+      exteriorPaintTier: 'calidad de pintura exterior',
+      surfaces: 'superficies',
+      surfaceShares: 'porcentajes de revestimiento',
+      coats: 'capas',
+      difficultyLevel: 'dificultad',
+      difficultyAnswers: 'preguntas sobre la casa',
+      rooms: 'habitaciones',
+      addOns: 'extras'
+    }
+  },
+
+  contact: {
+    title: '📋 Información de Contacto',
+    fullName: 'Nombre Completo',
+    email: 'Correo Electrónico',
+    phone: 'Número de Teléfono',
+    recommended: '(Recomendado)',
+    phonePlaceholder: '(555) 123-4567',
+    street: 'Dirección',
+    streetPlaceholder: '123 Main St, Apto 4',
+    city: 'Ciudad',
+    state: 'Estado',
+    zip: 'Código Postal',
+    outOfAreaTitle: 'El código postal {zip} está fuera de nuestra área de servicio habitual en el norte de Colorado.',
+    outOfAreaText: 'Aún puede obtener un presupuesto, y nuestro equipo le informará si podemos realizar el proyecto.'
+  },
+
+  project: {
+    title: '🎨 Detalles del Proyecto',
+    type: 'Tipo de Proyecto',
+    selectType: 'Seleccione el Tipo de Proyecto',
+    squareFootage: 'Área de Pared a Pintar (pies²)',
+    exteriorSquareFootage: 'Área de Pared Exterior a Pintar (pies²)',
+    measurement: '¿Cómo calculamos el tamaño del exterior de su casa?',
+    measurementOptions: {
+      footprint: 'Medir mi casa (recomendado)',
+      area: 'Conozco el área de pared a pintar'
+    },
+    house: {
+      intro: 'Para el perímetro, sume el largo de cada pared exterior a nivel del suelo. La mayoría de las casas miden entre 120 y 250 pies.',
+      perimeter: 'Perímetro de la planta (pies)',
+      stories: 'Pisos',
+      gables: 'Hastiales (paredes triangulares bajo el techo)',
+      garageDoors: 'Puertas de garaje',
+      windows: 'Ventanas',
+      doors: 'Puertas exteriores',
+      derived: 'Área de pared a pintar: {area} pies² · Molduras: {trim} pies lineales',
+      derivedHint: '¿Le parece correcto? Si no, revise las medidas de arriba.'
+    },
+    coats: 'Capas de Pintura',
+    coatOptions: {
+      1: '1 capa - Renovar el mismo color',
+      2: '2 capas - Recomendado',
+      3: '3 capas - Cambio de color drástico'
+    }
+  },
+
+  projectTypes: {
+    interior: 'Pintura Interior',
+    exterior: 'Pintura Exterior',
+    both: 'Interior y Exterior'
+  },
+
+  paint: {
+    title: '🎨 Selección de Calidad de Pintura',
+    interiorTitle: '🎨 Calidad de Pintura Interior',
+    exteriorTitle: '🎨 Calidad de Pintura Exterior',
+    baseRate: '{multiplier} de la tarifa base'
+  },
+
+  tiers: {
+    standard: 'Pintura Estándar',
+    premium: 'Pintura Premium',
+    designer: 'Pintura de Diseñador/Especial',
+    mixed: 'Calidades de Pintura Combinadas'
+  },
+
+  tierCards: {
+    standard: {
+      title: '⭐ Estándar',
+      features: ['Buena durabilidad', 'Fácil aplicación', 'Amplia selección de colores']
+    },
+    premium: {
+      title: '🥇 Premium',
+      features: ['Excelente durabilidad', 'Cobertura superior', 'Colores avanzados']
+    },
+    designer: {
+      title: '💎 Diseñador',
+      features: ['Acabados especiales', 'Colores personalizados', 'Fórmulas premium']
+    }
+  },
+
+  surfaces: {
+    roomsTitle: '🏠 Habitaciones',
+    interiorRoomsTitle: '🏠 Habitaciones Interiores',
+    exteriorTitle: '🏠 Tipos de Superficie Exterior (Marque todas las que apliquen)',
+    interior: {
+      walls: 'Paredes',
+      ceilings: 'Techos',
+      trim: 'Molduras'
+    },
+    exterior: {
+      wood_siding: 'Revestimiento de Madera',
+      trim: 'Molduras',
+      stucco: 'Estuco',
+      cement: 'Cemento',
+      vinyl_siding: 'Revestimiento de Vinilo',
+      brick: 'Ladrillo'
+    },
+    sharesTitle: '¿Aproximadamente qué parte del exterior es de cada material?',
+    sharesIntro: 'Basta con un cálculo aproximado, p. ej. 90% revestimiento de vinilo con un detalle de ladrillo del 10%.',
+    shareLabel: 'Porcentaje de {surface} (%)',
+    sharesTotal: 'Total: {total}%',
+    withShare: '{surface} {share}%'
+  },
+
+  rooms: {
+    empty: 'Aún no ha agregado habitaciones. Agregue cada habitación que desea pintar.',
+    namePlaceholder: 'Habitación {number} (p. ej., Sala)',
+    defaultName: 'Habitación {number}',
+    remove: 'Quitar',
+    add: '+ Agregar Habitación',
+    length: 'Largo (pies)',
+    width: 'Ancho (pies)',
+    ceilingHeight: 'Techo (pies)',
+    doors: 'Puertas',
+    windows: 'Ventanas',
+    sameAsProject: 'Igual que la pintura del proyecto',
+    areas: 'Paredes: {walls} pies² · Techo: {ceiling} pies²'
+  },
+
+  addOns: {
+    title: '🧰 Servicios Adicionales',
+    intro: 'Extras opcionales cotizados por unidad y sumados al rango de pintura.',
+    quantityLabel: 'Cantidad de {service}',
+    perUnit: '{range} / {unit}',
+    services: {
+      cabinet_refinishing: 'Renovación de gabinetes',
+      door_painting: 'Pintura de puertas',
+      deck_staining: 'Tinte de terraza',
+      fence_staining: 'Tinte de cerca',
+      drywall_repair: 'Reparación de paneles de yeso',
+      wallpaper_removal: 'Retiro de papel tapiz',
+      lead_safe_prep: 'Preparación segura contra plomo (casas anteriores a 1978)'
+    },
+    units: {
+      cabinet_refinishing: { one: 'puerta/cajón', other: 'puertas/cajones' },
+      door_painting: { one: 'puerta', other: 'puertas' },
+      deck_staining: { one: 'pie²', other: 'pies²' },
+      fence_staining: { one: 'pie lineal', other: 'pies lineales' },
+      drywall_repair: { one: 'parche', other: 'parches' },
+      wallpaper_removal: { one: 'pie²', other: 'pies²' },
+      lead_safe_prep: { one: 'pie²', other: 'pies²' }
+    }
+  },
+
+  difficulty: {
+    title: '🔧 Sobre Su Casa',
+    intro: 'Unas preguntas rápidas sobre la casa nos indican cuánto trabajo de preparación esperar.',
+    questions: {
+      yearBuilt: {
+        label: '¿Cuándo se construyó la casa?',
+        options: { since2000: 'En 2000 o después', '1978to1999': 'De 1978 a 1999', '1940to1977': 'De 1940 a 1977', before1940: 'Antes de 1940' }
+      },
+      peeling: {
+        label: '¿Hay pintura pelada, descascarada o agrietada?',
+        options: { none: 'No', some: 'En algunos puntos', widespread: 'En muchos lugares' }
+      },
+      wallDamage: {
+        label: '¿Las paredes o el revestimiento necesitan reparaciones?',
+        options: { none: 'No', minor: 'Menores (agujeros de clavos, grietas finas)', major: 'Mayores (grietas grandes, daños por agua, madera podrida)' }
+      },
+      ceilingHeight: {
+        label: '¿Qué altura tienen las paredes o techos más altos a pintar?',
+        options: { standard: 'Hasta 9 pies', high: 'De 10 a 14 pies', vaulted: '15 pies o más' }
+      },
+      colorChange: {
+        label: '¿Va a cambiar de un color oscuro a uno claro?',
+        options: { no: 'No', yes: 'Sí' }
+      },
+      occupancy: {
+        label: '¿La casa estará habitada durante el trabajo?',
+        options: { empty: 'No, estará vacía', occupied: 'Sí, estará habitada' }
+      }
+    },
+    result: 'Dificultad de su proyecto: {label} ({multiplier})',
+    pending: 'Responda todas las preguntas para ver la dificultad de su proyecto.',
+    reasonsTitle: 'Lo que tomamos en cuenta (puntaje {score}):',
+    reason: '{question} {answer} (+{points})',
+    noReasons: 'Nada en sus respuestas agrega trabajo de preparación.',
+    staff: {
+      title: 'Ajuste del personal',
+      useAssessment: 'Usar el resultado del cuestionario',
+      overridden: 'Fijada por el personal. El cuestionario sugiere {label}.'
+    },
+    option: '{label} ({multiplier}) - {description}',
+    levels: {
+      basic: { label: 'Básica', description: 'Construcción nueva, preparación mínima' },
+      standard: { label: 'Estándar', description: 'Buen estado, preparación ligera' },
+      moderate: { label: 'Moderada', description: 'Algunas reparaciones, preparación media' },
+      complex: { label: 'Compleja', description: 'Preparación extensa, reparaciones, detalles complicados' },
+      high_difficulty: { label: 'Muy Difícil', description: 'Restauración histórica, técnicas especiales' }
+    },
+    detailsTitle: '📝 Detalles Adicionales',
+    notes: 'Notas Adicionales',
+    notesPlaceholder: 'Requisitos específicos, inquietudes o detalles sobre su proyecto...'
+  },
+
+  photos: {
+    title: '📷 Fotos',
+    intro: 'Agregue hasta {max} fotos de las superficies que desea pintar. Ayudan a nuestros estimadores a evaluar la preparación.',
+    add: '+ Agregar Fotos',
+    processing: 'Preparando fotos…',
+    count: { one: '{count} foto adjunta', other: '{count} fotos adjuntas' },
+    remove: 'Quitar {name}',
+    errors: {
+      type: '{name}: elija una foto JPEG, PNG o WebP',
+      size: '{name}: las fotos deben pesar menos de {size} MB',
+      tooMany: 'Puede adjuntar hasta {max} fotos',
+      unreadable: '{name}: no se pudo leer esta foto'
+    }
+  },
+
+  review: {
+    edit: 'Editar',
+    sections: {
+      contact: '📋 Contacto',
+      project: '🎨 Proyecto',
+      paint: '🪣 Pintura',
+      surfaces: '🏠 Superficies',
+      addOns: '🧰 Extras',
+      difficulty: '🔧 Dificultad'
+    },
+    rows: {
+      name: 'Nombre',
+      email: 'Correo',
+      phone: 'Teléfono',
+      address: 'Dirección',
+      projectType: 'Tipo de proyecto',
+      exteriorSquareFootage: 'Pies cuadrados exteriores',
+      coats: 'Capas',
+      paintQuality: 'Calidad de pintura',
+      interior: 'Interior',
+      exterior: 'Exterior',
+      rooms: 'Habitaciones',
+      exteriorSurfaces: 'Superficies exteriores',
+      addOns: 'Extras',
+      difficulty: 'Dificultad',
+      notes: 'Notas',
+      photos: 'Fotos'
+    },
+    squareFeet: '{value} pies²',
+    measuredArea: '{value} pies² de pared y {trim} pies lineales de molduras, según sus medidas',
+    quantity: '{quantity} {unit}',
+    none: 'Ninguno',
+    noneSelected: 'Ninguna seleccionada',
+    promoCode: 'Código Promocional',
+    promoCodePlaceholder: '¿Tiene un código promocional? Ingréselo aquí',
+    promoCodeApplied: '✓ Código promocional aplicado',
+    promoCodeNotApplied: 'Este código no aplica a su proyecto en este momento. Nuestro equipo lo revisará de todos modos.',
+    headsUp: 'Atención:',
+    outOfAreaText: 'El código postal {zip} está fuera de nuestra área de servicio habitual. Aún puede enviar su solicitud y nuestro equipo le informará si podemos realizar el proyecto.',
+    leadCapture: '¿Le parece bien el rango? Envíelo a nuestro equipo y lo contactaremos para programar una consulta en el sitio.',
+    submit: 'Solicitar Presupuesto Oficial'
+  },
+
+  estimate: {
+    title: 'Su Rango Estimado',
+    live: 'Estimado en vivo',
+    livePlaceholder: 'Elija el tipo de proyecto, el tamaño y la calidad de pintura para ver su rango.',
+    promotionApplied: '🏷 Promoción aplicada',
+    laborHours: 'Aproximadamente {min}–{max} horas de trabajo',
+    scopeSubtotal: {
+      interior: 'Subtotal interior',
+      exterior: 'Subtotal exterior'
+    },
+    beforePromotions: 'Pintura antes de promociones: {range}',
+    promotion: '🏷 {label}: −{range}',
+    painting: 'Pintura: {range}',
+    addOn: '{label} ({quantity} {unit}): {range}',
+    travel: 'Incluye {amount} de traslado ({zone}, código postal {zip})',
+    showBreakdown: '¿Cómo se calculó? ▼',
+    hideBreakdown: 'Ocultar desglose ▲',
+    unofficial: 'Este es un rango no oficial solo para fines de planificación.',
+    consultation: 'Un presupuesto oficial requiere una consulta en el sitio con nuestro equipo.',
+    downloadSummary: '📄 Descargar resumen',
+    summaryHint: 'Referencia {reference} · abra el archivo e imprímalo para guardarlo como PDF',
+    website: 'Visite el sitio web de Lime Painting →'
+  },
+
+  schedule: {
+    days: { one: '{days} día con un equipo de {crewSize} personas', other: '{days} días con un equipo de {crewSize} personas' }
+  },
+
+  travelZones: {
+    local: 'Área de Fort Collins',
+    extended: 'Área de servicio ampliada',
+    remote: 'Área de servicio remota'
+  },
+
+  breakdown: {
+    step: 'Paso',
+    adjustment: 'Ajuste',
+    runningRange: 'Rango Acumulado',
+    base: 'Tarifa base × pies cuadrados',
+    baseDetail: '{min} - {max} / pie² × {squareFootage} pies²',
+    paint: 'Calidad de pintura ({tier})',
+    difficulty: 'Dificultad del proyecto',
+    surfaces: 'Selección de superficies',
+    rangeSpread: 'Amplitud mínima del rango',
+    absoluteMin: 'Precio mínimo del proyecto',
+    applied: 'Aplicado ({amount})',
+    notNeeded: 'No necesario ({amount})',
+    roomDetail: '{area} pies² ponderados, {tier}',
+    scopeDetail: '{squareFootage} pies², {tier}',
+    addOnDetail: '{quantity} {unit} × {min}-{max}',
+    percentOff: '{amount}% de descuento',
+    flatOff: '{amount} de descuento',
+    percentOffScope: '{amount}% de descuento en trabajo {scope}',
+    flatOffScope: '{amount} de descuento en trabajo {scope}',
+    scopes: {
+      interior: 'interior',
+      exterior: 'exterior'
+    },
+    travel: 'Traslado ({zone})',
+    travelDetail: 'Código postal {zip}'
+  },
+
+  materials: {
+    title: '🪣 Materiales ({area} pies², {coats})',
+    coats: { one: '{count} capa', other: '{count} capas' },
+    paint: 'Pintura',
+    primer: 'Imprimador',
+    finish: 'Acabado',
+    gallons: '{gallons} gal',
+    sundry: '• {label}: {quantity} {unit}',
+    sundries: {
+      tape: 'Cinta de pintor (rollo de 60 yd)',
+      caulk: 'Sellador pintable (tubo de 10 oz)',
+      plastic: 'Plástico protector (10 × 25 pies)'
+    },
+    units: {
+      rolls: { one: 'rollo', other: 'rollos' },
+      tubes: { one: 'tubo', other: 'tubos' }
+    }
+  },
+
+  compare: {
+    title: '🔍 Compare Opciones de Pintura',
+    nearbyDifficulty: 'Comparar también niveles de dificultad cercanos',
+    difficulty: 'Dificultad',
+    choose: 'Elegir',
+    selected: 'Seleccionada',
+    yourSelection: 'Su selección'
+  },
+
+  submission: {
+    sending: {
+      title: 'Enviando su solicitud…',
+      message: 'Por favor mantenga esta página abierta un momento.'
+    },
+    sent: {
+      title: '✓ ¡Solicitud enviada!',
+      message: 'Pronto lo contactaremos para una consulta detallada.'
+    },
+    pending: {
+      title: '⏳ Solicitud guardada, pendiente de envío',
+      message: 'No pudimos comunicarnos con nuestro servidor en este momento. Su solicitud está guardada en este dispositivo y se enviará automáticamente cuando vuelva la conexión. Mantenga esta página abierta o regrese más tarde.'
+    },
+    failed: {
+      title: 'No pudimos enviar su solicitud',
+      message: 'Por favor intente de nuevo o contáctenos directamente.'
+    },
+    reference: 'Referencia {reference}'
+  },
+
+  validation: {
+    nameRequired: 'El nombre es obligatorio',
+    nameTooShort: 'El nombre debe tener al menos 2 caracteres',
+    nameTooLong: 'El nombre no puede tener más de 100 caracteres',
+    emailRequired: 'El correo electrónico es obligatorio',
+    emailInvalid: 'Ingrese un correo electrónico válido',
+    phoneInvalid: 'Ingrese un número de teléfono válido',
+    phoneInvalidExample: 'Ingrese un número de teléfono válido (p. ej., (555) 123-4567)',
+    streetRequired: 'La dirección es obligatoria',
+    cityRequired: 'La ciudad es obligatoria',
+    stateInvalid: 'Ingrese el código de estado de 2 letras (p. ej., CO)',
+    zipRequired: 'El código postal es obligatorio',
+    zipInvalid: 'Ingrese un código postal de 5 dígitos (p. ej., 80521)',
+    projectTypeRequired: 'Seleccione un tipo de proyecto',
+    roomsRequired: 'Agregue al menos una habitación',
+    roomIncomplete: 'Habitación {number}: ingrese el largo, el ancho y la altura del techo',
+    roomNoSurfaces: 'Habitación {number}: seleccione al menos una superficie',
+    roomInvalid: 'Habitación {number}: elija superficies y pintura de la lista',
+    squareFootageRequired: 'Ingrese los pies cuadrados',
+    squareFootageTooSmall: 'Los pies cuadrados deben ser al menos 100',
+    exteriorMeasurementRequired: 'Elija cómo calcular el tamaño del exterior de su casa',
+    perimeterRequired: 'Ingrese el perímetro de la planta (al menos 40 pies)',
+    storiesInvalid: 'Los pisos deben ser un número entero del 1 al 4',
+    exteriorCountsInvalid: 'Ingrese hastiales, puertas de garaje, ventanas y puertas como números enteros',
+    wallAreaTooSmall: 'Con estas medidas quedan menos de 100 pies² de pared para pintar',
+    surfacesInvalid: 'Elija superficies exteriores de la lista',
+    surfaceSharesInvalid: 'Ingrese un porcentaje entero mayor que 0 para cada material de revestimiento',
+    surfaceSharesTotal: 'Los porcentajes de revestimiento deben sumar 100% (ahora {total}%)',
+    paintTierRequired: 'Seleccione una calidad de pintura',
+    exteriorPaintTierRequired: 'Seleccione una calidad de pintura exterior',
+    difficultyRequired: 'Seleccione la dificultad del proyecto',
+    difficultyAnswersRequired: 'Responda todas las preguntas sobre su casa',
+    coatsRequired: 'Seleccione el número de capas',
+    addOnsInvalid: 'Elija servicios adicionales de la lista',
+    addOnsQuantity: 'Ingrese una cantidad para cada servicio adicional que seleccionó',
+    quoteCostsInvalid: 'Ingrese cada costo como un monto de 0 o más',
+    quoteMarginInvalid: 'El margen debe ser de al menos 0% y menor que 100%',
+    quoteValidDaysInvalid: 'La cotización debe ser válida por un número entero de días, al menos 1',
+    quoteQuantityInvalid: 'Las cantidades deben ser 0 o más',
+    quotePriceInvalid: 'Los precios de servicios adicionales y traslado deben ser 0 o más',
+    customItemIncomplete: 'Partida {number}: ingrese una descripción, una cantidad mayor que 0 y un costo unitario',
+    quoteTotalInvalid: 'La cotización debe tener un costo y un total mayores que $0. Revise los descuentos y las cantidades.'
+  },
+
+  summary: {
+    title: 'Presupuesto de Lime Painting {reference}',
+    heading: 'Resumen del presupuesto',
+    reference: 'Ref. {reference}',
+    client: 'Cliente',
+    name: 'Nombre',
+    email: 'Correo',
+    phone: 'Teléfono',
+    address: 'Dirección',
+    serviceArea: 'Área de servicio',
+    outsideServiceArea: 'Fuera de nuestra área de servicio habitual',
+    scope: 'Alcance del proyecto',
+    projectType: 'Tipo de proyecto',
+    totalArea: 'Área total',
+    squareFeet: '{value} pies²',
+    interiorPaintTier: 'Calidad de pintura interior',
+    exteriorPaintTier: 'Calidad de pintura exterior',
+    paintTier: 'Calidad de pintura',
+    exteriorSurfaces: 'Superficies exteriores',
+    noneSelected: 'Ninguna seleccionada',
+    coats: 'Capas',
+    difficulty: 'Dificultad',
+    rooms: 'Habitaciones',
+    room: 'Habitación',
+    roomSize: 'Tamaño (L × A × Al)',
+    roomSizeValue: '{length} × {width} × {height} pies',
+    surfaces: 'Superficies',
+    paint: 'Pintura',
+    projectPaint: 'Pintura del proyecto',
+    addOns: 'Servicios adicionales',
+    service: 'Servicio',
+    quantity: 'Cantidad',
+    range: 'Rango',
+    promotions: 'Promociones aplicadas',
+    promotion: 'Promoción',
+    code: 'Código',
+    savings: 'Ahorro',
+    estimatedRange: 'Rango estimado',
+    schedule: 'Duración: {schedule}',
+    travel: 'Incluye {amount} de traslado ({zone})',
+    notes: 'Notas',
+    important: 'Importante:',
+    footer: 'Mencione la referencia {reference} cuando nos contacte · limepainting.com/northern-colorado'
+  },
+
+  quote: {
+    title: '📄 Cotización formal',
+    intro: 'Las cantidades salen del mismo cálculo que el rango aproximado. Corríjalas después de la visita, agregue cualquier otro trabajo y fije costos y margen para un precio fijo. Las promociones que vio el cliente y el precio mínimo del trabajo se mantienen del rango aproximado.',
+    incomplete: 'Complete los detalles del proyecto para preparar una cotización.',
+    number: 'Cotización {quoteNumber}',
+    lead: {
+      title: 'Cargar una solicitud recibida',
+      label: 'Número de referencia del estimado',
+      load: 'Cargar solicitud',
+      loading: 'Cargando…',
+      loaded: 'Se cargó {reference} de {name}. Revise cada paso según la visita; los cambios actualizan la cotización.',
+      notFound: 'No se encontró ninguna solicitud con la referencia {reference}',
+      unreadable: 'La solicitud {reference} no se pudo abrir en la calculadora',
+      unauthorized: 'Su sesión de personal terminó. Vuelva a cargar la página y entre de nuevo.',
+      failed: 'No se pudo cargar la solicitud ({error})'
+    },
+    settingsTitle: 'Costos y margen',
+    settings: {
+      laborRate: 'Costo de mano de obra por hora ($)',
+      paintCost: '{tier}, por galón ($)',
+      primerCost: 'Imprimador, por galón ($)',
+      sundryCost: '{item}, cada uno ($)',
+      margin: 'Margen (%)',
+      validDays: 'Válida por (días)'
+    },
+    linesTitle: 'Partidas',
+    columns: {
+      item: 'Concepto',
+      quantity: 'Cantidad',
+      unitCost: 'Costo unitario',
+      cost: 'Costo',
+      price: 'Precio'
+    },
+    quantityLabel: 'Cantidad de {item}',
+    takeoff: 'Cálculo: {quantity}',
+    unitPriceLabel: 'Precio unitario de {item}',
+    listUnitPrice: 'Lista: {price}',
+    lines: {
+      labor: 'Mano de obra de pintura',
+      paint: '{tier}, capas de acabado',
+      primer: 'Imprimador',
+      travel: 'Traslado ({zone})',
+      promotion: 'Promoción: {label}',
+      minimum: 'Ajuste al precio mínimo del trabajo'
+    },
+    units: {
+      hours: { one: 'hora', other: 'horas' },
+      gallons: { one: 'galón', other: 'galones' },
+      trip: { one: 'viaje', other: 'viajes' }
+    },
+    custom: {
+      title: 'Partidas adicionales',
+      hint: 'Use un costo unitario negativo para un descuento.',
+      add: '+ Agregar partida',
+      remove: 'Quitar',
+      description: 'Descripción',
+      quantity: 'Cantidad',
+      unit: 'Unidad',
+      unitCost: 'Costo unitario ($)'
+    },
+    costs: {
+      labor: 'Mano de obra',
+      materials: 'Materiales',
+      other: 'Otras partidas',
+      cost: 'Costo total',
+      margin: 'Margen ({margin}%)',
+      listPriced: 'Servicios adicionales y traslado a precio de lista'
+    },
+    listPrice: 'Precio de lista',
+    total: 'Total cotizado',
+    ballpark: 'Rango aproximado público para comparar: {range}',
+    validUntil: 'Válida hasta el {date}',
+    terms: 'Condiciones',
+    defaultTerms: [
+      'El precio cubre el trabajo indicado arriba; los cambios en el alcance se cotizan por separado.',
+      'Un depósito del 30% agenda el trabajo y el saldo se paga al terminar.',
+      'El cliente elige los colores antes de comenzar el trabajo.',
+      'La reparación de daños ocultos encontrados durante la preparación se cotiza cuando se descubren.'
+    ],
+    exportJson: 'Exportar JSON',
+    exportDocument: 'Descargar cotización para imprimir',
+    document: {
+      title: 'Cotización de Lime Painting {quoteNumber}',
+      heading: 'Cotización',
+      issued: 'Emitida el {date}',
+      leadReference: 'Referencia del estimado',
+      scope: 'Alcance del trabajo',
+      item: 'Concepto',
+      quantity: 'Cantidad',
+      price: 'Precio',
+      total: 'Precio fijo',
+      acceptedBy: 'Aceptada por (firma)',
+      date: 'Fecha',
+      footer: 'Mencione la cotización {quoteNumber} al aceptarla · limepainting.com/northern-colorado'
+    }
+  },
+
+  disclaimer: 'Esta calculadora ofrece rangos de precios no oficiales solo para fines de planificación. '
+    + 'Los costos reales pueden variar considerablemente según la preparación de superficies, las dificultades de acceso, '
+    + 'los materiales elegidos y las condiciones específicas del proyecto. Un presupuesto oficial requiere una consulta en el sitio.'
+};
+
+export default es;
@@ -0,0 +1,86 @@
+import { DEFAULT_I18N } from './i18n';
+
+// Photos of the surfaces to be painted, attached to the estimate request so
+// estimators can judge prep work. Each photo is checked, then resized and
+// re-encoded as JPEG in the browser before it is kept for upload.
+
+export const MAX_PHOTOS = 10;
+
+export const ACCEPTED_PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Limit on the file the customer picks; phone photos are usually 2-8 MB
+export const MAX_PHOTO_FILE_SIZE = 20 * 1024 * 1024;
+
+// Longest side after resizing, and the JPEG quality used to re-encode
+export const MAX_PHOTO_DIMENSION = 1600;
+const PHOTO_QUALITY = 0.8;
+
+let nextPhotoId = 1;
+
+const toMegabytes = (bytes) => Math.round(bytes / (1024 * 1024));
+
+// Scales width × height down (never up) so the longest side fits maxDimension
+export const getScaledSize = (width, height, maxDimension = MAX_PHOTO_DIMENSION) => {
+  const scale = Math.min(maxDimension / Math.max(width, height), 1);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+// Splits newly picked files into the ones to keep and an errors map keyed
+// photo0, photo1, ... by position in the selection, like the per-room errors.
+// currentCount is how many photos are already attached.
+export const validatePhotoFiles = (files, currentCount, t = DEFAULT_I18N.t) => {
+  const accepted = [];
+  const errors = {};
+
+  Array.from(files).forEach((file, index) => {
+    if (!ACCEPTED_PHOTO_TYPES.includes(file.type)) {
+      errors[`photo${index}`] = t('photos.errors.type', { name: file.name });
+    } else if (file.size > MAX_PHOTO_FILE_SIZE) {
+      errors[`photo${index}`] = t('photos.errors.size', { name: file.name, size: toMegabytes(MAX_PHOTO_FILE_SIZE) });
+    } else if (currentCount + accepted.length >= MAX_PHOTOS) {
+      errors.photos = t('photos.errors.tooMany', { max: MAX_PHOTOS });
+    } else {
+      accepted.push(file);
+    }
+  });
+
+  return { accepted, errors };
+};
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`Could not read ${file.name}`));
+  };
+  image.src = url;
+});
+
+const toJpegName = (name) => `${name.replace(/\.[^.]*$/, '') || 'photo'}.jpg`;
+
+// Resolves to { id, name, blob } with the resized JPEG, or the original file
+// when re-encoding wouldn't make it smaller. Rejects if the image can't be decoded.
+export const compressPhoto = async (file) => {
+  const image = await loadImage(file);
+  const { width, height } = getScaledSize(image.naturalWidth, image.naturalHeight);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', PHOTO_QUALITY));
+  const useOriginal = !blob || (blob.size >= file.size && width === image.naturalWidth);
+
+  return {
+    id: nextPhotoId++,
+    name: useOriginal ? file.name : toJpegName(file.name),
+    blob: useOriginal ? file : blob
+  };
+};
@@ -0,0 +1,45 @@
+import { getScaledSize, MAX_PHOTO_FILE_SIZE, MAX_PHOTOS, validatePhotoFiles } from './photos';
+import { createI18n } from './i18n';
+
+const photoFile = (name, type = 'image/jpeg', size = 1024) => {
+  const file = new File(['x'], name, { type });
+  Object.defineProperty(file, 'size', { value: size });
+  return file;
+};
+
+test('large photos are scaled down to fit, small ones are left alone', () => {
+  expect(getScaledSize(4032, 3024)).toEqual({ width: 1600, height: 1200 });
+  expect(getScaledSize(3000, 4000)).toEqual({ width: 1200, height: 1600 });
+  expect(getScaledSize(800, 600)).toEqual({ width: 800, height: 600 });
+});
+
+test('files of the wrong type or size are reported per file', () => {
+  const files = [
+    photoFile('deck.jpg'),
+    photoFile('scan.pdf', 'application/pdf'),
+    photoFile('huge.png', 'image/png', MAX_PHOTO_FILE_SIZE + 1)
+  ];
+
+  const { accepted, errors } = validatePhotoFiles(files, 0);
+
+  expect(accepted).toEqual([files[0]]);
+  expect(errors).toEqual({
+    photo1: 'scan.pdf: please choose a JPEG, PNG or WebP photo',
+    photo2: 'huge.png: photos must be under 20 MB'
+  });
+});
+
+test('no more than the photo limit is accepted', () => {
+  const files = [photoFile('a.jpg'), photoFile('b.jpg'), photoFile('c.jpg')];
+
+  const { accepted, errors } = validatePhotoFiles(files, MAX_PHOTOS - 1);
+
+  expect(accepted).toEqual([files[0]]);
+  expect(errors).toEqual({ photos: `You can attach up to ${MAX_PHOTOS} photos` });
+});
+
+test('photo errors are translated', () => {
+  const { errors } = validatePhotoFiles([photoFile('plano.gif', 'image/gif')], 0, createI18n('es').t);
+
+  expect(errors.photo0).toBe('plano.gif: elija una foto JPEG, PNG o WebP');
+});
@@ -0,0 +1,779 @@
+// Pricing engine shared by the calculator UI, sales tools, tests and server code.
+// Everything in here is pure: a project description and a rate table go in,
+// an estimate with every intermediate multiplier comes out.
+
+// ==================== BASE RATES & MULTIPLIERS SECTION ====================
+
+// Base rates per square foot
+export const BASE_RATES = {
+  min: 1.75,    // Minimum base rate per sq ft
+  max: 3.0      // Maximum base rate per sq ft
+};
+
+// Paint tier multipliers
+export const PAINT_MULTIPLIERS = {
+  'standard': 1.0,     // Standard paint: 1.0x base rate (baseline)
+  'premium': 1.3,      // Premium paint: 1.3x base rate
+  'designer': 1.6      // Designer/specialty paint: 1.6x base rate
+};
+
+// Project difficulty multipliers
+export const DIFFICULTY_MULTIPLIERS = {
+  'basic': 1.0,           // Basic (new construction, minimal prep): 1.0x
+  'standard': 1.2,        // Standard (good condition, light prep): 1.2x
+  'moderate': 1.5,        // Moderate (some repairs, medium prep): 1.5x
+  'complex': 2.0,         // Complex (extensive prep, repairs, intricate details): 2.0x
+  'high_difficulty': 2.5  // High difficulty (historical restoration, specialty techniques): 2.5x
+};
+
+// Surface difficulty multipliers
+export const SURFACE_MULTIPLIERS = {
+  // Interior surfaces (additive - multiple surfaces in same space)
+  interior: {
+    'walls': 1.0,        // Base interior work
+    'ceilings': 0.4,     // Additional work when added to walls
+    'trim': 0.3          // Additional detail work
+  },
+
+  // Exterior surfaces (highest base multiplier + trim if selected)
+  exterior: {
+    'wood_siding': 1.0,    // Standard surface, easy to paint
+    'vinyl_siding': 1.1,   // Requires specific primer/paint, slight prep work
+    'cement': 1.3,         // Requires masonry primer, surface preparation
+    'stucco': 1.5,         // Textured surface, more paint needed, difficult coverage
+    'brick': 1.6,          // Most labor-intensive, masonry primer, high absorption
+    'trim': 0.2            // Additional detail work for exterior trim
+  }
+};
+
+// Minimum pricing thresholds
+export const MINIMUM_PRICING = {
+  absoluteMin: 3000,     // Absolute minimum project cost
+  rangeSpread: 3000      // Minimum spread between low and high estimates
+};
+
+// Crew and productivity settings for labor scheduling
+export const LABOR_SETTINGS = {
+  crewSize: 3,           // Painters on a typical crew
+  hoursPerDay: 8,        // Productive hours per painter per day
+  sqFtPerHour: 150       // Wall area one painter finishes per hour, per coat
+};
+
+// Add-on services priced per unit on top of the painting range
+export const ADD_ON_RATES = {
+  'cabinet_refinishing': { min: 75, max: 125 },  // Per door or drawer front, both sides
+  'door_painting': { min: 100, max: 175 },       // Per interior door, both sides plus jamb
+  'deck_staining': { min: 2.5, max: 4.5 },       // Per sq ft of deck surface
+  'fence_staining': { min: 4, max: 8 },          // Per linear ft of fence, both sides
+  'drywall_repair': { min: 75, max: 200 },       // Per patch (holes up to about 12")
+  'wallpaper_removal': { min: 1.5, max: 3 },     // Per sq ft of wall, including adhesive cleanup
+  'lead_safe_prep': { min: 0.5, max: 1.5 }       // Per sq ft of work area, EPA RRP containment
+};
+
+// Flat travel surcharge per project for each travel zone we serve
+export const TRAVEL_SURCHARGES = {
+  'local': 0,        // Fort Collins, Loveland, Windsor and Timnath
+  'extended': 150,   // Greeley, Longmont, Berthoud, Wellington and nearby towns
+  'remote': 350      // Estes Park, the foothills and the eastern plains
+};
+
+// ZIP codes in our Northern Colorado service area, by travel zone
+export const SERVICE_AREA_ZIPS = {
+  'local': ['80521', '80522', '80523', '80524', '80525', '80526', '80527', '80528', '80535', '80537', '80538', '80539', '80547', '80550', '80553'],
+  'extended': ['80501', '80503', '80504', '80512', '80513', '80534', '80542', '80543', '80546', '80549', '80615', '80620', '80631', '80632', '80634', '80638', '80639'],
+  'remote': ['80510', '80515', '80517', '80536', '80540', '80545', '80610', '80644', '80648', '80651']
+};
+
+// Discounts applied after the multiplier math. Built-in pricing runs no
+// promotions; seasonal specials and promo codes come from the pricing config.
+export const PROMOTIONS = [];
+
+// ==================== END BASE RATES & MULTIPLIERS SECTION ====================
+
+// Complete rate table used when the caller doesn't supply one
+export const DEFAULT_RATES = {
+  baseRates: BASE_RATES,
+  paintMultipliers: PAINT_MULTIPLIERS,
+  difficultyMultipliers: DIFFICULTY_MULTIPLIERS,
+  surfaceMultipliers: SURFACE_MULTIPLIERS,
+  minimumPricing: MINIMUM_PRICING,
+  labor: LABOR_SETTINGS,
+  addOnRates: ADD_ON_RATES,
+  travelSurcharges: TRAVEL_SURCHARGES,
+  serviceAreaZips: SERVICE_AREA_ZIPS,
+  promotions: PROMOTIONS
+};
+
+export const TIER_NAMES = {
+  'standard': 'Standard Paint',
+  'premium': 'Premium Paint',
+  'designer': 'Designer/Specialty Paint'
+};
+
+// Add-on services the calculator offers; unit is 'item', 'linear_ft' or 'sq_ft'.
+// unitLabel names one unit ("$120 per door"), unitsLabel a quantity ("4 doors").
+export const ADD_ONS = {
+  'cabinet_refinishing': { label: 'Cabinet refinishing', unit: 'item', unitLabel: 'door/drawer', unitsLabel: 'doors/drawers' },
+  'door_painting': { label: 'Door painting', unit: 'item', unitLabel: 'door', unitsLabel: 'doors' },
+  'deck_staining': { label: 'Deck staining', unit: 'sq_ft', unitLabel: 'sq ft', unitsLabel: 'sq ft' },
+  'fence_staining': { label: 'Fence staining', unit: 'linear_ft', unitLabel: 'linear ft', unitsLabel: 'linear ft' },
+  'drywall_repair': { label: 'Drywall patching', unit: 'item', unitLabel: 'patch', unitsLabel: 'patches' },
+  'wallpaper_removal': { label: 'Wallpaper removal', unit: 'sq_ft', unitLabel: 'sq ft', unitsLabel: 'sq ft' },
+  'lead_safe_prep': { label: 'Lead-safe prep (pre-1978 homes)', unit: 'sq_ft', unitLabel: 'sq ft', unitsLabel: 'sq ft' }
+};
+
+export const TRAVEL_ZONE_NAMES = {
+  'local': 'Fort Collins area',
+  'extended': 'Extended service area',
+  'remote': 'Remote service area'
+};
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+export const EXTERIOR_SIDING = ['wood_siding', 'vinyl_siding', 'cement', 'stucco', 'brick'];
+
+// Fraction of the siding area each selected siding covers, adding up to 1.
+// surfaceShares maps sidings to their percentage of the siding area; without
+// a positive share for every selected siding the area is split evenly.
+export const getSidingShares = (surfaces, surfaceShares = {}) => {
+  const sidings = surfaces.filter(surface => EXTERIOR_SIDING.includes(surface));
+  const percentages = sidings.map(siding => toNumber(surfaceShares[siding]));
+  const total = percentages.reduce((sum, percentage) => sum + percentage, 0);
+  const useShares = percentages.every(percentage => percentage > 0);
+
+  return Object.fromEntries(sidings.map((siding, index) => [
+    siding,
+    useShares ? percentages[index] / total : 1 / sidings.length
+  ]));
+};
+
+// Linear feet of trim per sq ft of wall on a typical house. The exterior trim
+// multiplier is priced against this much trim; measured houses scale it.
+export const TYPICAL_TRIM_PER_SQFT = 0.2;
+
+// Exterior sidings are blended by their share of the siding area (see
+// getSidingShares); trimPerSqFt is the measured trim length over the wall
+// area, when known
+export const getSurfaceMultiplier = (projectType, surfaces, rates = DEFAULT_RATES, { surfaceShares, trimPerSqFt = TYPICAL_TRIM_PER_SQFT } = {}) => {
+  const { interior, exterior } = rates.surfaceMultipliers;
+  let surfaceMultiplier = 1.0;
+
+  if (surfaces.length === 0) {
+    return surfaceMultiplier;
+  }
+
+  if (projectType === 'interior') {
+    surfaceMultiplier = 0;
+
+    if (surfaces.includes('walls')) {
+      surfaceMultiplier += interior.walls;
+    }
+    if (surfaces.includes('ceilings')) {
+      surfaceMultiplier += interior.ceilings;
+    }
+    if (surfaces.includes('trim')) {
+      surfaceMultiplier += interior.trim;
+    }
+
+    if (!surfaces.includes('walls') && surfaceMultiplier > 0) {
+      surfaceMultiplier += 0.8;
+    }
+
+  } else if (projectType === 'exterior') {
+    const sidingShares = Object.entries(getSidingShares(surfaces, surfaceShares));
+    const trimMultiplier = exterior.trim * (trimPerSqFt / TYPICAL_TRIM_PER_SQFT);
+
+    if (sidingShares.length > 0) {
+      surfaceMultiplier = sidingShares.reduce((total, [surface, share]) =>
+        total + share * (exterior[surface] || 1.0), 0
+      );
+
+      if (surfaces.includes('trim')) {
+        surfaceMultiplier += trimMultiplier;
+      }
+    } else if (surfaces.includes('trim')) {
+      surfaceMultiplier = 1.0 + trimMultiplier;
+    }
+  }
+
+  return surfaceMultiplier;
+};
+
+// Deducted from gross wall area for each opening in a room
+export const DOOR_AREA = 21;     // Standard 3' x 7' door
+export const WINDOW_AREA = 15;   // Standard 3' x 5' window
+
+// House geometry for deriving exterior wall area and trim from the footprint
+export const STORY_HEIGHT = 9;          // Wall height per story, including the band between floors
+export const GABLE_AREA = 100;          // Triangle above the eaves on a 28' wide, 6/12 pitch gable
+export const GARAGE_DOOR_AREA = 112;    // 16' x 7' double garage door
+
+// Linear feet of exterior trim per feature
+const GABLE_TRIM = 32;          // Two rake boards
+const WINDOW_TRIM = 16;         // Casing around a 3' x 5' window
+const DOOR_TRIM = 17;           // Casing up both sides and across the head of a 3' x 7' door
+const GARAGE_DOOR_TRIM = 30;    // Casing around a 16' x 7' garage door
+
+// Setup overhead added per sq ft of floor when a room is painted without its walls,
+// mirroring the surcharge getSurfaceMultiplier applies to whole-house interiors
+const NO_WALLS_SURCHARGE = 0.8;
+
+// Pushes the range spread and absolute minimum floors onto the breakdown and
+// returns the floored range
+const applyMinimumPricing = (rawMin, rawMax, minimumPricing, breakdown) => {
+  let minPrice = rawMin;
+  let maxPrice = rawMax;
+
+  const rangeSpreadApplied = maxPrice - minPrice < minimumPricing.rangeSpread;
+  if (rangeSpreadApplied) {
+    maxPrice = minPrice + minimumPricing.rangeSpread;
+  }
+  breakdown.push({
+    key: 'rangeSpread',
+    label: 'Minimum range spread',
+    amount: minimumPricing.rangeSpread,
+    applied: rangeSpreadApplied,
+    min: minPrice,
+    max: maxPrice
+  });
+
+  const absoluteMinApplied = minPrice < minimumPricing.absoluteMin;
+  if (absoluteMinApplied) {
+    minPrice = minimumPricing.absoluteMin;
+    maxPrice = Math.max(maxPrice, minimumPricing.absoluteMin + minimumPricing.rangeSpread);
+  }
+  breakdown.push({
+    key: 'absoluteMin',
+    label: 'Minimum project price',
+    amount: minimumPricing.absoluteMin,
+    applied: absoluteMinApplied,
+    min: minPrice,
+    max: maxPrice
+  });
+
+  return { min: minPrice, max: maxPrice, rangeSpreadApplied, absoluteMinApplied };
+};
+
+// room: { length, width, ceilingHeight, doors, windows } in feet / counts
+export const getRoomAreas = (room) => {
+  const length = toNumber(room.length);
+  const width = toNumber(room.width);
+  const ceilingHeight = toNumber(room.ceilingHeight);
+  const openings = toNumber(room.doors) * DOOR_AREA + toNumber(room.windows) * WINDOW_AREA;
+
+  return {
+    floorArea: length * width,
+    ceilingArea: length * width,
+    wallArea: Math.max(2 * (length + width) * ceilingHeight - openings, 0)
+  };
+};
+
+// house: { perimeter, stories, gables, garageDoors, windows, doors } in feet / counts.
+// Wall area is net of openings; trim is the fascia along the eaves, the gable
+// rakes and the casings around every opening.
+export const getExteriorAreas = (house) => {
+  const perimeter = toNumber(house.perimeter);
+  const gables = toNumber(house.gables);
+  const garageDoors = toNumber(house.garageDoors);
+  const windows = toNumber(house.windows);
+  const doors = toNumber(house.doors);
+  const grossArea = perimeter * toNumber(house.stories) * STORY_HEIGHT + gables * GABLE_AREA;
+  const openings = garageDoors * GARAGE_DOOR_AREA + doors * DOOR_AREA + windows * WINDOW_AREA;
+
+  return {
+    wallArea: Math.max(grossArea - openings, 0),
+    trimLength: perimeter + gables * GABLE_TRIM + windows * WINDOW_TRIM + doors * DOOR_TRIM + garageDoors * GARAGE_DOOR_TRIM
+  };
+};
+
+export const isRoomComplete = (room) =>
+  toNumber(room.length) > 0 && toNumber(room.width) > 0 && toNumber(room.ceilingHeight) > 0;
+
+// Prices a single room before difficulty and minimum pricing are applied.
+// Walls and trim are priced against net wall area, ceilings against ceiling area,
+// each weighted by its interior surface multiplier.
+export const calculateRoomEstimate = (room, defaultPaintTier, rates = DEFAULT_RATES) => {
+  const paintTier = room.paintTier || defaultPaintTier;
+
+  if (!isRoomComplete(room) || !paintTier) {
+    return null;
+  }
+
+  const { baseRates, paintMultipliers, surfaceMultipliers } = rates;
+  const surfaces = room.surfaces && room.surfaces.length > 0 ? room.surfaces : ['walls'];
+  const areas = getRoomAreas(room);
+
+  let weightedArea = 0;
+  if (surfaces.includes('walls')) {
+    weightedArea += areas.wallArea * surfaceMultipliers.interior.walls;
+  }
+  if (surfaces.includes('ceilings')) {
+    weightedArea += areas.ceilingArea * surfaceMultipliers.interior.ceilings;
+  }
+  if (surfaces.includes('trim')) {
+    weightedArea += areas.wallArea * surfaceMultipliers.interior.trim;
+  }
+  if (!surfaces.includes('walls')) {
+    weightedArea += areas.floorArea * NO_WALLS_SURCHARGE;
+  }
+
+  const paintMultiplier = paintMultipliers[paintTier] || 1.0;
+
+  return {
+    name: room.name,
+    ...areas,
+    surfaces,
+    paintTier,
+    paintMultiplier,
+    weightedArea,
+    min: weightedArea * baseRates.min * paintMultiplier,
+    max: weightedArea * baseRates.max * paintMultiplier
+  };
+};
+
+const calculateRoomsEstimate = (project, rates) => {
+  const { paintTier, difficultyLevel } = project;
+  const roomEstimates = project.rooms.map(room => calculateRoomEstimate(room, paintTier, rates));
+
+  if (roomEstimates.some(room => room === null)) {
+    return null;
+  }
+
+  const { baseRates, difficultyMultipliers, minimumPricing } = rates;
+  const difficultyMultiplier = difficultyMultipliers[difficultyLevel] || 1.0;
+
+  const breakdown = [];
+  let runningMin = 0;
+  let runningMax = 0;
+
+  roomEstimates.forEach((room, index) => {
+    runningMin += room.min;
+    runningMax += room.max;
+    breakdown.push({
+      key: `room-${index}`,
+      label: room.name || `Room ${index + 1}`,
+      roomIndex: index,
+      name: room.name,
+      weightedArea: room.weightedArea,
+      paintTier: room.paintTier,
+      detail: `${Math.round(room.weightedArea).toLocaleString()} weighted sq ft, ${TIER_NAMES[room.paintTier] || room.paintTier}`,
+      itemMin: room.min,
+      itemMax: room.max,
+      min: runningMin,
+      max: runningMax
+    });
+  });
+
+  runningMin *= difficultyMultiplier;
+  runningMax *= difficultyMultiplier;
+  breakdown.push({ key: 'difficulty', label: 'Project difficulty', factor: difficultyMultiplier, min: runningMin, max: runningMax });
+
+  const subtotal = { min: runningMin, max: runningMax };
+  const floored = applyMinimumPricing(runningMin, runningMax, minimumPricing, breakdown);
+
+  const roomTiers = [...new Set(roomEstimates.map(room => room.paintTier))];
+
+  return {
+    min: Math.round(floored.min),
+    max: Math.round(floored.max),
+    tierName: roomTiers.length === 1 ? TIER_NAMES[roomTiers[0]] : 'Mixed Paint Tiers',
+    paintTier: roomTiers.length === 1 ? roomTiers[0] : null,
+    squareFootage: Math.round(roomEstimates.reduce((total, room) => total + room.floorArea, 0)),
+    baseRates: { min: baseRates.min, max: baseRates.max },
+    difficultyMultiplier,
+    rooms: roomEstimates,
+    subtotal,
+    rangeSpreadApplied: floored.rangeSpreadApplied,
+    absoluteMinApplied: floored.absoluteMinApplied,
+    breakdown
+  };
+};
+
+const SCOPE_LABELS = {
+  interior: 'Interior',
+  exterior: 'Exterior'
+};
+
+// Prices the interior and exterior scopes of a "both" project on their own,
+// then applies minimum pricing once to the combined subtotal
+const calculateCombinedEstimate = (project, rates) => {
+  const { difficultyLevel } = project;
+  // Floors apply to the whole job, not to each scope
+  const scopeRates = { ...rates, minimumPricing: { absoluteMin: 0, rangeSpread: 0 } };
+
+  const scopes = {};
+  for (const scopeType of ['interior', 'exterior']) {
+    const scope = project[scopeType];
+    scopes[scopeType] = scope
+      ? calculatePaintingEstimate({ ...scope, projectType: scopeType, difficultyLevel }, scopeRates)
+      : null;
+
+    if (!scopes[scopeType]) {
+      return null;
+    }
+  }
+
+  const breakdown = [];
+  let runningMin = 0;
+  let runningMax = 0;
+
+  Object.entries(scopes).forEach(([scopeType, scope]) => {
+    runningMin += scope.subtotal.min;
+    runningMax += scope.subtotal.max;
+    breakdown.push({
+      key: scopeType,
+      label: `${SCOPE_LABELS[scopeType]} subtotal`,
+      detail: `${scope.squareFootage.toLocaleString()} sq ft, ${scope.tierName}`,
+      squareFootage: scope.squareFootage,
+      paintTier: scope.paintTier,
+      itemMin: scope.subtotal.min,
+      itemMax: scope.subtotal.max,
+      min: runningMin,
+      max: runningMax
+    });
+  });
+
+  const subtotal = { min: runningMin, max: runningMax };
+  const floored = applyMinimumPricing(runningMin, runningMax, rates.minimumPricing, breakdown);
+
+  return {
+    min: Math.round(floored.min),
+    max: Math.round(floored.max),
+    tierName: scopes.interior.tierName === scopes.exterior.tierName ? scopes.interior.tierName : 'Mixed Paint Tiers',
+    paintTier: scopes.interior.paintTier === scopes.exterior.paintTier ? scopes.interior.paintTier : null,
+    squareFootage: scopes.interior.squareFootage + scopes.exterior.squareFootage,
+    baseRates: { min: rates.baseRates.min, max: rates.baseRates.max },
+    difficultyMultiplier: scopes.interior.difficultyMultiplier,
+    scopes,
+    subtotal,
+    rangeSpreadApplied: floored.rangeSpreadApplied,
+    absoluteMinApplied: floored.absoluteMinApplied,
+    breakdown
+  };
+};
+
+// Prices the selected add-ons ([{ id, quantity }]) as line items. Unknown ids
+// and empty quantities are skipped.
+export const calculateAddOns = (addOns = [], rates = DEFAULT_RATES) => addOns
+  .map(({ id, quantity }) => {
+    const rate = rates.addOnRates[id];
+    const units = parseFloat(quantity);
+
+    if (!rate || !ADD_ONS[id] || !(units > 0)) {
+      return null;
+    }
+
+    return {
+      id,
+      label: ADD_ONS[id].label,
+      quantity: units,
+      unit: ADD_ONS[id].unit,
+      unitLabel: ADD_ONS[id].unitLabel,
+      unitsLabel: ADD_ONS[id].unitsLabel,
+      rate: { min: rate.min, max: rate.max },
+      min: Math.round(units * rate.min),
+      max: Math.round(units * rate.max)
+    };
+  })
+  .filter(Boolean);
+
+// Whole dollars for per-item prices, cents for per-foot prices like $2.50
+const formatUnitPrice = (price) => `$${Number.isInteger(price) ? price : price.toFixed(2)}`;
+
+// Add-ons are separate line items added after minimum pricing, so they never
+// count towards the painting minimum
+const addAddOnLines = (estimate, addOns, rates) => {
+  const lines = calculateAddOns(addOns, rates);
+
+  if (lines.length === 0) {
+    return estimate;
+  }
+
+  const breakdown = [...estimate.breakdown];
+  let runningMin = estimate.min;
+  let runningMax = estimate.max;
+
+  lines.forEach(line => {
+    runningMin += line.min;
+    runningMax += line.max;
+    breakdown.push({
+      key: `addon-${line.id}`,
+      label: line.label,
+      detail: `${line.quantity.toLocaleString()} ${line.unitsLabel} × ${formatUnitPrice(line.rate.min)}-${formatUnitPrice(line.rate.max)}`,
+      addOnId: line.id,
+      quantity: line.quantity,
+      rate: line.rate,
+      itemMin: line.min,
+      itemMax: line.max,
+      min: runningMin,
+      max: runningMax
+    });
+  });
+
+  return {
+    ...estimate,
+    min: runningMin,
+    max: runningMax,
+    paintingRange: { min: estimate.min, max: estimate.max },
+    addOns: lines,
+    breakdown
+  };
+};
+
+// Travel zone for a ZIP or ZIP+4 code: { zip, zone, surcharge }, with a null
+// zone and no surcharge when the ZIP is outside the service area. Returns null
+// for anything that isn't a ZIP code.
+export const getServiceArea = (zip, rates = DEFAULT_RATES) => {
+  const match = /^(\d{5})(-\d{4})?$/.exec(String(zip || '').trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const zone = Object.keys(rates.serviceAreaZips).find(id => rates.serviceAreaZips[id].includes(match[1])) || null;
+  return { zip: match[1], zone, surcharge: zone ? rates.travelSurcharges[zone] : 0 };
+};
+
+// Travel is a flat line item after add-ons, so promotions never discount it
+const addTravelSurcharge = (estimate, zip, rates) => {
+  const serviceArea = getServiceArea(zip, rates);
+
+  if (!serviceArea || !serviceArea.surcharge) {
+    return estimate;
+  }
+
+  const min = estimate.min + serviceArea.surcharge;
+  const max = estimate.max + serviceArea.surcharge;
+
+  return {
+    ...estimate,
+    min,
+    max,
+    travel: { ...serviceArea, label: TRAVEL_ZONE_NAMES[serviceArea.zone] },
+    breakdown: [
+      ...estimate.breakdown,
+      {
+        key: 'travel',
+        label: `Travel (${TRAVEL_ZONE_NAMES[serviceArea.zone]})`,
+        detail: `ZIP ${serviceArea.zip}`,
+        zone: serviceArea.zone,
+        zip: serviceArea.zip,
+        itemMin: serviceArea.surcharge,
+        itemMax: serviceArea.surcharge,
+        min,
+        max
+      }
+    ]
+  };
+};
+
+export const PROMOTION_TYPES = ['percent', 'flat'];
+
+const normalizePromoCode = (code) => String(code || '').trim().toUpperCase();
+
+// Local calendar day as YYYY-MM-DD, comparable with a rule's startsOn/endsOn
+const toDateKey = (date) => [
+  String(date.getFullYear()),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// promotion: { id, label, type, amount, code, scope, months, startsOn, endsOn, floor }
+// type is 'percent' (amount is a percentage) or 'flat' (amount is dollars off).
+// The rest are optional: code limits the rule to customers who enter it,
+// scope to the 'interior' or 'exterior' work, months (1-12) and the inclusive
+// startsOn/endsOn dates to a date window.
+export const isPromotionActive = (promotion, promoCode, date) => {
+  if (promotion.code && normalizePromoCode(promotion.code) !== normalizePromoCode(promoCode)) {
+    return false;
+  }
+  if (promotion.months && !promotion.months.includes(date.getMonth() + 1)) {
+    return false;
+  }
+
+  const day = toDateKey(date);
+  return (!promotion.startsOn || day >= promotion.startsOn) && (!promotion.endsOn || day <= promotion.endsOn);
+};
+
+// Fraction of the painting price a rule's scope covers: the whole job, the
+// scope's share of a "both" project's subtotal, or nothing
+const getScopeShare = (estimate, projectType, scope) => {
+  if (!scope) {
+    return 1;
+  }
+  if (projectType !== 'both') {
+    return scope === projectType ? 1 : 0;
+  }
+
+  const part = estimate.scopes[scope].subtotal;
+  const total = estimate.subtotal.min + estimate.subtotal.max;
+  return total > 0 ? (part.min + part.max) / total : 0;
+};
+
+const describePromotion = (promotion) => {
+  const amount = promotion.type === 'percent'
+    ? `${promotion.amount}%`
+    : `$${promotion.amount.toLocaleString()}`;
+  return promotion.scope ? `${amount} off ${promotion.scope} work` : `${amount} off`;
+};
+
+// Takes the active promotions off the painting range in order. A discount never
+// pushes a price below the rule's floor or the absolute minimum, whichever is
+// higher, and a scoped flat amount never takes off more than that scope's part
+// of the price; rules that end up taking nothing off are left out.
+const applyPromotions = (estimate, project, rates, date) => {
+  const breakdown = [...estimate.breakdown];
+  const applied = [];
+  let runningMin = estimate.min;
+  let runningMax = estimate.max;
+
+  (rates.promotions || [])
+    .filter(promotion => isPromotionActive(promotion, project.promoCode, date))
+    .forEach(promotion => {
+      const share = getScopeShare(estimate, project.projectType, promotion.scope);
+      const floor = Math.max(promotion.floor || 0, rates.minimumPricing.absoluteMin);
+
+      // A price already under the floor is left where it is, never raised
+      const discount = (price) => {
+        const amount = promotion.type === 'percent'
+          ? price * share * promotion.amount / 100
+          : Math.min(promotion.amount, price * share);
+        return Math.round(Math.max(price - amount, Math.min(floor, price)));
+      };
+
+      const min = share > 0 ? discount(runningMin) : runningMin;
+      const max = share > 0 ? discount(runningMax) : runningMax;
+
+      if (min === runningMin && max === runningMax) {
+        return;
+      }
+
+      applied.push({
+        id: promotion.id,
+        label: promotion.label,
+        code: promotion.code || null,
+        discount: { min: runningMin - min, max: runningMax - max }
+      });
+      breakdown.push({
+        key: `promo-${promotion.id}`,
+        label: promotion.label,
+        detail: describePromotion(promotion),
+        promotion: { type: promotion.type, amount: promotion.amount, scope: promotion.scope || null },
+        itemMin: min - runningMin,
+        itemMax: max - runningMax,
+        min,
+        max
+      });
+      runningMin = min;
+      runningMax = max;
+    });
+
+  if (applied.length === 0) {
+    return estimate;
+  }
+
+  return {
+    ...estimate,
+    min: runningMin,
+    max: runningMax,
+    listPrice: { min: estimate.min, max: estimate.max },
+    promotions: applied,
+    breakdown
+  };
+};
+
+const calculatePaintingEstimate = (project, rates) => {
+  if (project.projectType === 'both') {
+    return calculateCombinedEstimate(project, rates);
+  }
+  if (project.projectType === 'interior' && project.rooms && project.rooms.length > 0) {
+    return calculateRoomsEstimate(project, rates);
+  }
+
+  const { projectType, paintTier, surfaces = [], surfaceShares, difficultyLevel, trimLength } = project;
+  const squareFootage = parseInt(project.squareFootage);
+
+  if (!projectType || !squareFootage || !paintTier) {
+    return null;
+  }
+
+  const { baseRates, paintMultipliers, difficultyMultipliers, minimumPricing } = rates;
+
+  const paintMultiplier = paintMultipliers[paintTier] || 1.0;
+  const difficultyMultiplier = difficultyMultipliers[difficultyLevel] || 1.0;
+  // Exteriors measured from the footprint carry their actual trim length
+  const surfaceMultiplier = getSurfaceMultiplier(projectType, surfaces, rates, {
+    surfaceShares,
+    ...(trimLength !== undefined && { trimPerSqFt: trimLength / squareFootage })
+  });
+
+  const rateMin = baseRates.min * paintMultiplier * difficultyMultiplier * surfaceMultiplier;
+  const rateMax = baseRates.max * paintMultiplier * difficultyMultiplier * surfaceMultiplier;
+
+  const subtotalMin = squareFootage * rateMin;
+  const subtotalMax = squareFootage * rateMax;
+
+  // Each line records the running dollar range after that step is applied
+  const breakdown = [];
+  let runningMin = squareFootage * baseRates.min;
+  let runningMax = squareFootage * baseRates.max;
+
+  breakdown.push({
+    key: 'base',
+    label: 'Base rate × square footage',
+    rate: { min: baseRates.min, max: baseRates.max },
+    squareFootage,
+    min: runningMin,
+    max: runningMax
+  });
+
+  [
+    { key: 'paint', label: `Paint tier (${TIER_NAMES[paintTier] || paintTier})`, paintTier, factor: paintMultiplier },
+    { key: 'difficulty', label: 'Project difficulty', factor: difficultyMultiplier },
+    { key: 'surfaces', label: 'Surface selection', factor: surfaceMultiplier }
+  ].forEach(step => {
+    runningMin *= step.factor;
+    runningMax *= step.factor;
+    breakdown.push({ ...step, min: runningMin, max: runningMax });
+  });
+
+  const floored = applyMinimumPricing(subtotalMin, subtotalMax, minimumPricing, breakdown);
+
+  return {
+    min: Math.round(floored.min),
+    max: Math.round(floored.max),
+    tierName: TIER_NAMES[paintTier],
+    paintTier,
+    squareFootage,
+    baseRates: { min: baseRates.min, max: baseRates.max },
+    paintMultiplier,
+    difficultyMultiplier,
+    surfaceMultiplier,
+    ratePerSqFt: { min: rateMin, max: rateMax },
+    subtotal: { min: subtotalMin, max: subtotalMax },
+    rangeSpreadApplied: floored.rangeSpreadApplied,
+    absoluteMinApplied: floored.absoluteMinApplied,
+    breakdown
+  };
+};
+
+// project: { projectType, squareFootage, paintTier, surfaces, difficultyLevel, rooms, addOns, promoCode, zip }
+// Exteriors measured with getExteriorAreas pass the net wall area as
+// squareFootage and add trimLength in linear feet; surfaceShares gives each
+// siding's percentage of the siding area.
+// Interior projects with a rooms list are priced as the sum of their rooms;
+// "both" projects carry separate `interior` and `exterior` scopes shaped like a
+// single-type project; everything else is priced from a single square footage.
+// Promotions active on `date` come off the painting price, then selected
+// add-ons and the travel surcharge for the project's ZIP are added on top as
+// line items.
+// Returns null when the project is missing a required field.
+export const calculateEstimate = (project, rates = DEFAULT_RATES, date = new Date()) => {
+  const estimate = calculatePaintingEstimate(project, rates);
+  if (!estimate) {
+    return null;
+  }
+
+  const withAddOns = addAddOnLines(applyPromotions(estimate, project, rates, date), project.addOns, rates);
+  return addTravelSurcharge(withAddOns, project.zip, rates);
+};
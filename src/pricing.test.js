@@ -0,0 +1,352 @@
+import {
+  calculateEstimate,
+  calculateRoomEstimate,
+  getExteriorAreas,
+  getRoomAreas,
+  getSurfaceMultiplier,
+  getServiceArea,
+  DEFAULT_RATES,
+  DOOR_AREA,
+  GABLE_AREA,
+  GARAGE_DOOR_AREA,
+  STORY_HEIGHT,
+  WINDOW_AREA
+} from './pricing';
+import { SAMPLE_PROJECTS } from './sampleProjects';
+
+test('returns null until project type, square footage and paint tier are set', () => {
+  expect(calculateEstimate({ projectType: 'interior', squareFootage: '', paintTier: 'standard' })).toBeNull();
+  expect(calculateEstimate({ projectType: '', squareFootage: 2000, paintTier: 'standard' })).toBeNull();
+  expect(calculateEstimate({ projectType: 'interior', squareFootage: 2000, paintTier: '' })).toBeNull();
+});
+
+test('applies paint, difficulty and surface multipliers to the base rates', () => {
+  const estimate = calculateEstimate({
+    projectType: 'interior',
+    squareFootage: 2000,
+    paintTier: 'premium',
+    surfaces: ['walls', 'ceilings'],
+    difficultyLevel: 'standard'
+  });
+
+  expect(estimate.paintMultiplier).toBe(1.3);
+  expect(estimate.difficultyMultiplier).toBe(1.2);
+  expect(estimate.surfaceMultiplier).toBeCloseTo(1.4);
+  expect(estimate.min).toBe(Math.round(2000 * 1.75 * 1.3 * 1.2 * 1.4));
+  expect(estimate.max).toBe(Math.round(2000 * 3.0 * 1.3 * 1.2 * 1.4));
+  expect(estimate.tierName).toBe('Premium Paint');
+  expect(estimate.rangeSpreadApplied).toBe(false);
+  expect(estimate.absoluteMinApplied).toBe(false);
+});
+
+test('enforces the minimum price and range spread on small projects', () => {
+  const estimate = calculateEstimate({
+    projectType: 'interior',
+    squareFootage: 200,
+    paintTier: 'standard',
+    surfaces: [],
+    difficultyLevel: 'basic'
+  });
+
+  expect(estimate.min).toBe(3000);
+  expect(estimate.max).toBe(6000);
+  expect(estimate.rangeSpreadApplied).toBe(true);
+  expect(estimate.absoluteMinApplied).toBe(true);
+});
+
+test('blends exterior siding multipliers by their share of the siding, plus trim', () => {
+  const surfaces = ['vinyl_siding', 'brick', 'trim'];
+
+  expect(getSurfaceMultiplier('exterior', surfaces, DEFAULT_RATES, { surfaceShares: { vinyl_siding: 90, brick: 10 } })).toBeCloseTo(0.9 * 1.1 + 0.1 * 1.6 + 0.2);
+  expect(getSurfaceMultiplier('exterior', surfaces)).toBeCloseTo((1.1 + 1.6) / 2 + 0.2);
+  expect(getSurfaceMultiplier('exterior', ['brick'], DEFAULT_RATES, { surfaceShares: { brick: 10 } })).toBeCloseTo(1.6);
+  expect(getSurfaceMultiplier('exterior', ['trim'])).toBeCloseTo(1.2);
+});
+
+test('prices against a supplied rate table', () => {
+  const rates = { ...DEFAULT_RATES, baseRates: { min: 2, max: 4 } };
+  const estimate = calculateEstimate({
+    projectType: 'exterior',
+    squareFootage: 3000,
+    paintTier: 'standard',
+    surfaces: ['wood_siding'],
+    difficultyLevel: 'basic'
+  }, rates);
+
+  expect(estimate.min).toBe(6000);
+  expect(estimate.max).toBe(12000);
+});
+
+test('itemizes the running range for each step of the calculation', () => {
+  const estimate = calculateEstimate({
+    projectType: 'exterior',
+    squareFootage: 1000,
+    paintTier: 'premium',
+    surfaces: ['stucco'],
+    difficultyLevel: 'basic'
+  });
+
+  expect(estimate.breakdown.map(step => step.key)).toEqual(
+    ['base', 'paint', 'difficulty', 'surfaces', 'rangeSpread', 'absoluteMin']
+  );
+  expect(estimate.breakdown[0]).toMatchObject({ min: 1750, max: 3000 });
+  expect(estimate.breakdown[1].min).toBeCloseTo(2275);
+  expect(estimate.breakdown[3].max).toBeCloseTo(5850);
+  expect(estimate.breakdown[4]).toMatchObject({ applied: true });
+  expect(estimate.breakdown[5]).toMatchObject({ applied: false });
+  expect(Math.round(estimate.breakdown[5].max)).toBe(estimate.max);
+});
+
+test('derives wall and ceiling area from room dimensions', () => {
+  expect(getRoomAreas({ length: 12, width: 10, ceilingHeight: 8, doors: 1, windows: 2 })).toEqual({
+    floorArea: 120,
+    ceilingArea: 120,
+    wallArea: 2 * 22 * 8 - DOOR_AREA - 2 * WINDOW_AREA
+  });
+});
+
+test('derives exterior wall area and trim from the house footprint', () => {
+  const house = { perimeter: '160', stories: '2', gables: '2', garageDoors: '1', windows: '12', doors: '2' };
+
+  expect(getExteriorAreas(house)).toEqual({
+    wallArea: 160 * 2 * STORY_HEIGHT + 2 * GABLE_AREA - GARAGE_DOOR_AREA - 2 * DOOR_AREA - 12 * WINDOW_AREA,
+    trimLength: 160 + 2 * 32 + 12 * 16 + 2 * 17 + 30
+  });
+  expect(getExteriorAreas({ ...house, perimeter: '10', stories: '1' }).wallArea).toBe(0);
+});
+
+test('scales the exterior trim multiplier by the measured trim', () => {
+  const project = { projectType: 'exterior', squareFootage: 2000, surfaces: ['wood_siding', 'trim'], paintTier: 'standard', difficultyLevel: 'basic' };
+
+  expect(calculateEstimate({ ...project, trimLength: 400 }).surfaceMultiplier).toBeCloseTo(1.2);
+  expect(calculateEstimate({ ...project, trimLength: 800 }).surfaceMultiplier).toBeCloseTo(1.4);
+  expect(calculateEstimate({ ...project, surfaces: ['wood_siding'], trimLength: 800 }).surfaceMultiplier).toBe(1);
+});
+
+test('sums per-room estimates for room-by-room interior projects', () => {
+  const rooms = [
+    { name: 'Living Room', length: '20', width: '15', ceilingHeight: '9', doors: '2', windows: '3', surfaces: ['walls', 'ceilings'], paintTier: '' },
+    { name: 'Office', length: '10', width: '10', ceilingHeight: '8', doors: '1', windows: '1', surfaces: ['walls', 'trim'], paintTier: 'designer' }
+  ];
+  const estimate = calculateEstimate({
+    projectType: 'interior',
+    paintTier: 'standard',
+    rooms,
+    difficultyLevel: 'moderate'
+  });
+
+  const livingRoom = calculateRoomEstimate(rooms[0], 'standard');
+  const office = calculateRoomEstimate(rooms[1], 'standard');
+
+  expect(livingRoom.weightedArea).toBeCloseTo(630 - 87 + 300 * 0.4);
+  expect(office.paintMultiplier).toBe(1.6);
+  expect(estimate.rooms).toHaveLength(2);
+  expect(estimate.squareFootage).toBe(400);
+  expect(estimate.subtotal.min).toBeCloseTo((livingRoom.min + office.min) * 1.5);
+  expect(estimate.tierName).toBe('Mixed Paint Tiers');
+  expect(estimate.breakdown.map(step => step.key)).toEqual(
+    ['room-0', 'room-1', 'difficulty', 'rangeSpread', 'absoluteMin']
+  );
+});
+
+test('returns null while a room is missing its dimensions', () => {
+  expect(calculateEstimate({
+    projectType: 'interior',
+    paintTier: 'standard',
+    rooms: [{ length: '12', width: '', ceilingHeight: '8', surfaces: ['walls'] }]
+  })).toBeNull();
+});
+
+test('prices interior and exterior scopes of "both" projects separately', () => {
+  const interior = { squareFootage: 1500, surfaces: ['walls', 'trim'], paintTier: 'premium' };
+  const exterior = { squareFootage: 2000, surfaces: ['vinyl_siding', 'trim'], paintTier: 'standard' };
+  const estimate = calculateEstimate({ projectType: 'both', difficultyLevel: 'standard', interior, exterior });
+
+  const interiorOnly = calculateEstimate({ ...interior, projectType: 'interior', difficultyLevel: 'standard' });
+  const exteriorOnly = calculateEstimate({ ...exterior, projectType: 'exterior', difficultyLevel: 'standard' });
+
+  expect(estimate.scopes.interior.surfaceMultiplier).toBeCloseTo(1.3);
+  expect(estimate.scopes.exterior.surfaceMultiplier).toBeCloseTo(1.3);
+  expect(estimate.subtotal.min).toBeCloseTo(interiorOnly.subtotal.min + exteriorOnly.subtotal.min);
+  expect(estimate.min).toBe(Math.round(interiorOnly.subtotal.min + exteriorOnly.subtotal.min));
+  expect(estimate.tierName).toBe('Mixed Paint Tiers');
+  expect(estimate.breakdown.map(step => step.key)).toEqual(['interior', 'exterior', 'rangeSpread', 'absoluteMin']);
+});
+
+test('requires both scopes for "both" projects', () => {
+  expect(calculateEstimate({
+    projectType: 'both',
+    interior: { squareFootage: 1500, paintTier: 'standard' },
+    exterior: { squareFootage: '', paintTier: 'standard' }
+  })).toBeNull();
+});
+
+test('prices every admin preview sample project', () => {
+  SAMPLE_PROJECTS.forEach(sample => {
+    expect(calculateEstimate(sample.project)).not.toBeNull();
+  });
+});
+
+test('adds add-on services as line items on top of the painting range', () => {
+  const project = { projectType: 'exterior', squareFootage: 2000, surfaces: ['wood_siding'], paintTier: 'standard', difficultyLevel: 'basic' };
+  const painting = calculateEstimate(project);
+  const estimate = calculateEstimate({
+    ...project,
+    addOns: [{ id: 'fence_staining', quantity: '120' }, { id: 'door_painting', quantity: '' }]
+  });
+
+  expect(estimate.paintingRange).toEqual({ min: painting.min, max: painting.max });
+  expect(estimate.addOns).toEqual([expect.objectContaining({ id: 'fence_staining', quantity: 120, min: 480, max: 960 })]);
+  expect(estimate.min).toBe(painting.min + 480);
+  expect(estimate.max).toBe(painting.max + 960);
+  expect(estimate.breakdown[estimate.breakdown.length - 1]).toEqual(expect.objectContaining({
+    key: 'addon-fence_staining',
+    detail: '120 linear ft × $4-$8',
+    min: estimate.min,
+    max: estimate.max
+  }));
+});
+
+test('add-ons do not count towards the project minimum', () => {
+  const estimate = calculateEstimate({
+    projectType: 'exterior',
+    squareFootage: 200,
+    paintTier: 'standard',
+    difficultyLevel: 'basic',
+    addOns: [{ id: 'drywall_repair', quantity: '2' }]
+  });
+
+  expect(estimate.paintingRange.min).toBe(3000);
+  expect(estimate.min).toBe(3150);
+});
+
+const exteriorProject = { projectType: 'exterior', squareFootage: 2000, surfaces: ['wood_siding'], paintTier: 'standard', difficultyLevel: 'basic' };
+const winterSpecial = { id: 'winter', label: 'Winter exterior special', type: 'percent', amount: 10, scope: 'exterior', months: [11, 12, 1, 2] };
+const withPromotions = (...promotions) => ({ ...DEFAULT_RATES, promotions });
+
+test('applies date-window rules only inside their window', () => {
+  const rates = withPromotions(winterSpecial);
+  const december = calculateEstimate(exteriorProject, rates, new Date(2026, 11, 15));
+  const june = calculateEstimate(exteriorProject, rates, new Date(2026, 5, 15));
+
+  expect(june.min).toBe(3500);
+  expect(june.promotions).toBeUndefined();
+  expect(december.listPrice).toEqual({ min: 3500, max: 6500 });
+  expect(december.min).toBe(3150);
+  expect(december.max).toBe(5850);
+  expect(december.promotions).toEqual([
+    { id: 'winter', label: 'Winter exterior special', code: null, discount: { min: 350, max: 650 } }
+  ]);
+  expect(december.breakdown[december.breakdown.length - 1]).toEqual(expect.objectContaining({
+    key: 'promo-winter',
+    detail: '10% off exterior work',
+    itemMin: -350,
+    itemMax: -650
+  }));
+});
+
+test('honors startsOn and endsOn dates', () => {
+  const rates = withPromotions({ id: 'launch', label: 'Launch week', type: 'flat', amount: 200, startsOn: '2026-11-02', endsOn: '2026-11-08' });
+
+  expect(calculateEstimate(exteriorProject, rates, new Date(2026, 10, 8)).min).toBe(3300);
+  expect(calculateEstimate(exteriorProject, rates, new Date(2026, 10, 9)).min).toBe(3500);
+});
+
+test('only applies promo code rules when the customer enters the code', () => {
+  const rates = withPromotions({ id: 'repeat', label: 'Repeat customer', type: 'flat', amount: 250, code: 'WELCOMEBACK' });
+
+  expect(calculateEstimate(exteriorProject, rates).promotions).toBeUndefined();
+  expect(calculateEstimate({ ...exteriorProject, promoCode: 'nope' }, rates).promotions).toBeUndefined();
+  expect(calculateEstimate({ ...exteriorProject, promoCode: ' welcomeback ' }, rates)).toEqual(expect.objectContaining({
+    min: 3250,
+    max: 6250,
+    promotions: [expect.objectContaining({ id: 'repeat', code: 'WELCOMEBACK' })]
+  }));
+});
+
+test('never discounts below the rule floor or the absolute minimum', () => {
+  const floored = calculateEstimate(exteriorProject, withPromotions({ id: 'big', label: 'Big sale', type: 'flat', amount: 1000, floor: 6000 }));
+  expect(floored.min).toBe(3500);
+  expect(floored.max).toBe(6000);
+
+  const small = calculateEstimate({ ...exteriorProject, squareFootage: 200 }, withPromotions({ id: 'any', label: 'Any job', type: 'percent', amount: 20 }));
+  expect(small.min).toBe(3000);
+  expect(small.max).toBe(4800);
+});
+
+test('skips rules for a scope the project does not include', () => {
+  const interior = { ...exteriorProject, projectType: 'interior', surfaces: ['walls'] };
+  expect(calculateEstimate(interior, withPromotions(winterSpecial), new Date(2026, 0, 10)).promotions).toBeUndefined();
+});
+
+test('discounts only the matching scope of a "both" project', () => {
+  const project = {
+    projectType: 'both',
+    difficultyLevel: 'basic',
+    interior: { rooms: [{ length: 12, width: 10, ceilingHeight: 8, doors: 1, windows: 1 }], paintTier: 'standard' },
+    exterior: { squareFootage: 2000, surfaces: ['wood_siding'], paintTier: 'standard' }
+  };
+  const listPrice = calculateEstimate(project);
+  const estimate = calculateEstimate(project, withPromotions(winterSpecial), new Date(2026, 0, 10));
+  const { interior, exterior } = listPrice.scopes;
+  const share = (exterior.subtotal.min + exterior.subtotal.max)
+    / (interior.subtotal.min + interior.subtotal.max + exterior.subtotal.min + exterior.subtotal.max);
+
+  expect(estimate.min).toBe(Math.round(listPrice.min * (1 - share / 10)));
+  expect(estimate.max).toBe(Math.round(listPrice.max * (1 - share / 10)));
+});
+
+test('caps a scoped flat discount at that scope\'s part of a "both" project', () => {
+  const project = {
+    projectType: 'both',
+    difficultyLevel: 'basic',
+    interior: { rooms: Array(6).fill({ length: 20, width: 15, ceilingHeight: 9, doors: 2, windows: 3 }), paintTier: 'standard' },
+    exterior: { squareFootage: 100, surfaces: ['trim'], paintTier: 'standard' }
+  };
+  const exteriorDeal = { id: 'siding', label: 'Exterior deal', type: 'flat', amount: 5000, scope: 'exterior' };
+  const listPrice = calculateEstimate(project);
+  const estimate = calculateEstimate(project, withPromotions(exteriorDeal));
+  const { interior, exterior } = listPrice.scopes;
+  const share = (exterior.subtotal.min + exterior.subtotal.max)
+    / (interior.subtotal.min + interior.subtotal.max + exterior.subtotal.min + exterior.subtotal.max);
+
+  expect(estimate.min).toBe(Math.round(listPrice.min * (1 - share)));
+  expect(estimate.max).toBe(Math.round(listPrice.max * (1 - share)));
+  expect(estimate.promotions[0].discount.max).toBeLessThan(exteriorDeal.amount);
+});
+
+test('applies promotions before add-ons are added', () => {
+  const estimate = calculateEstimate(
+    { ...exteriorProject, addOns: [{ id: 'fence_staining', quantity: '100' }] },
+    withPromotions({ id: 'any', label: 'Any job', type: 'percent', amount: 10 })
+  );
+
+  expect(estimate.paintingRange).toEqual({ min: 3150, max: 5850 });
+  expect(estimate.min).toBe(3150 + 400);
+});
+
+test('looks up the travel zone for a ZIP code', () => {
+  expect(getServiceArea('80525')).toEqual({ zip: '80525', zone: 'local', surcharge: 0 });
+  expect(getServiceArea(' 80631-1234 ')).toEqual({ zip: '80631', zone: 'extended', surcharge: 150 });
+  expect(getServiceArea('80202')).toEqual({ zip: '80202', zone: null, surcharge: 0 });
+  expect(getServiceArea('8052')).toBeNull();
+});
+
+test('adds the travel surcharge for the project ZIP after promotions and add-ons', () => {
+  const local = calculateEstimate({ ...exteriorProject, zip: '80525' });
+  const remote = calculateEstimate(
+    { ...exteriorProject, zip: '80517', addOns: [{ id: 'fence_staining', quantity: '100' }] },
+    withPromotions({ id: 'any', label: 'Any job', type: 'percent', amount: 10 })
+  );
+
+  expect(local.travel).toBeUndefined();
+  expect(local.min).toBe(3500);
+  expect(remote.travel).toEqual({ zip: '80517', zone: 'remote', surcharge: 350, label: 'Remote service area' });
+  expect(remote.min).toBe(3150 + 400 + 350);
+  expect(remote.breakdown[remote.breakdown.length - 1]).toEqual(expect.objectContaining({
+    key: 'travel',
+    itemMin: 350,
+    min: remote.min,
+    max: remote.max
+  }));
+});
@@ -0,0 +1,251 @@
+import { DEFAULT_RATES, PROMOTION_TYPES } from './pricing';
+
+// Rate tables can be changed without a code deploy by publishing a pricing
+// config JSON file. The file is validated on load and the built-in defaults
+// are used whenever it is missing or invalid.
+
+export const PRICING_CONFIG_VERSION = 1;
+
+export const PRICING_CONFIG_URL =
+  process.env.REACT_APP_PRICING_CONFIG_URL || `${process.env.PUBLIC_URL}/pricing-config.json`;
+
+// Every key the calculator UI offers must have a rate, so the schema is the
+// shape of the default rate table
+const RATE_SCHEMA = {
+  baseRates: ['min', 'max'],
+  paintMultipliers: Object.keys(DEFAULT_RATES.paintMultipliers),
+  difficultyMultipliers: Object.keys(DEFAULT_RATES.difficultyMultipliers),
+  'surfaceMultipliers.interior': Object.keys(DEFAULT_RATES.surfaceMultipliers.interior),
+  'surfaceMultipliers.exterior': Object.keys(DEFAULT_RATES.surfaceMultipliers.exterior),
+  minimumPricing: ['absoluteMin', 'rangeSpread'],
+  labor: Object.keys(DEFAULT_RATES.labor),
+  ...Object.fromEntries(Object.keys(DEFAULT_RATES.addOnRates).map(id => [`addOnRates.${id}`, ['min', 'max']])),
+  travelSurcharges: Object.keys(DEFAULT_RATES.travelSurcharges)
+};
+
+// Sections added to version 1 after it was first published. Configs published
+// before they existed leave them out and get the built-in rates for them; a
+// section that is present is validated like any other.
+const DEFAULTED_SECTIONS = ['labor', 'addOnRates', 'travelSurcharges', 'serviceAreaZips'];
+
+const withDefaultedSections = (rates) => ({
+  ...rates,
+  ...Object.fromEntries(DEFAULTED_SECTIONS
+    .filter(section => rates[section] === undefined)
+    .map(section => [section, DEFAULT_RATES[section]]))
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const getPath = (object, path) =>
+  path.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), object);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Problems with one promotion rule; see isPromotionActive for the rule shape
+const validatePromotion = (promotion, index) => {
+  const name = `rates.promotions[${index}]`;
+
+  if (!isPlainObject(promotion)) {
+    return [`${name} must be an object`];
+  }
+
+  const problems = [];
+  const { type, amount, code, scope, months, startsOn, endsOn, floor } = promotion;
+
+  if (!isNonEmptyString(promotion.id) || !isNonEmptyString(promotion.label)) {
+    problems.push(`${name} needs an id and a label`);
+  }
+  if (!PROMOTION_TYPES.includes(type)) {
+    problems.push(`${name}.type must be one of: ${PROMOTION_TYPES.join(', ')}`);
+  }
+  if (typeof amount !== 'number' || !(amount > 0) || (type === 'percent' && amount > 100)) {
+    problems.push(`${name}.amount must be a positive number (at most 100 for percent discounts)`);
+  }
+  if (code !== undefined && !isNonEmptyString(code)) {
+    problems.push(`${name}.code must be a non-empty string`);
+  }
+  if (scope !== undefined && scope !== 'interior' && scope !== 'exterior') {
+    problems.push(`${name}.scope must be "interior" or "exterior"`);
+  }
+  if (months !== undefined && !(Array.isArray(months) && months.length > 0
+    && months.every(month => Number.isInteger(month) && month >= 1 && month <= 12))) {
+    problems.push(`${name}.months must be a list of month numbers from 1 to 12`);
+  }
+  if ((startsOn !== undefined && !isDate(startsOn)) || (endsOn !== undefined && !isDate(endsOn))) {
+    problems.push(`${name}.startsOn and endsOn must be dates like 2026-11-01`);
+  } else if (startsOn && endsOn && startsOn > endsOn) {
+    problems.push(`${name}.startsOn cannot be after endsOn`);
+  }
+  if (floor !== undefined && (typeof floor !== 'number' || !Number.isFinite(floor) || floor < 0)) {
+    problems.push(`${name}.floor must be a non-negative number`);
+  }
+
+  return problems;
+};
+
+// Every travel zone needs a list of 5-digit ZIP codes, and a ZIP can only be in one zone
+const validateServiceArea = (serviceAreaZips) => {
+  if (!isPlainObject(serviceAreaZips)) {
+    return ['rates.serviceAreaZips must be an object'];
+  }
+
+  const problems = [];
+  const seen = {};
+
+  Object.keys(DEFAULT_RATES.travelSurcharges).forEach(zone => {
+    const zips = serviceAreaZips[zone];
+
+    if (!Array.isArray(zips) || !zips.every(zip => typeof zip === 'string' && /^\d{5}$/.test(zip))) {
+      problems.push(`rates.serviceAreaZips.${zone} must be a list of 5-digit ZIP codes`);
+      return;
+    }
+
+    zips.forEach(zip => {
+      if (seen[zip] && seen[zip] !== zone) {
+        problems.push(`ZIP ${zip} is in both the ${seen[zip]} and ${zone} travel zones`);
+      }
+      seen[zip] = zone;
+    });
+  });
+
+  return problems;
+};
+
+// Promotions are optional; configs published before they existed have none
+const validatePromotions = (promotions) => {
+  if (promotions === undefined) {
+    return [];
+  }
+  if (!Array.isArray(promotions)) {
+    return ['rates.promotions must be a list'];
+  }
+
+  const problems = promotions.flatMap(validatePromotion);
+  const ids = promotions.map(promotion => isPlainObject(promotion) && promotion.id);
+  ids.forEach((id, index) => {
+    if (id && ids.indexOf(id) !== index) {
+      problems.push(`rates.promotions has more than one rule with id "${id}"`);
+    }
+  });
+  return problems;
+};
+
+// Returns a list of human-readable problems; an empty list means the config is valid
+export const validatePricingConfig = (config) => {
+  if (!isPlainObject(config)) {
+    return ['Pricing config must be a JSON object'];
+  }
+
+  if (config.version !== PRICING_CONFIG_VERSION) {
+    return [`Unsupported pricing config version: ${config.version} (expected ${PRICING_CONFIG_VERSION})`];
+  }
+
+  if (!isPlainObject(config.rates)) {
+    return ['Pricing config is missing its "rates" table'];
+  }
+
+  const rates = withDefaultedSections(config.rates);
+  const problems = [];
+
+  Object.entries(RATE_SCHEMA).forEach(([path, keys]) => {
+    const table = getPath(rates, path);
+
+    if (!isPlainObject(table)) {
+      problems.push(`rates.${path} must be an object`);
+      return;
+    }
+
+    keys.forEach(key => {
+      const value = table[key];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        problems.push(`rates.${path}.${key} must be a non-negative number`);
+      }
+    });
+  });
+
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  const { baseRates, labor, addOnRates } = rates;
+  if (baseRates.min > baseRates.max) {
+    problems.push('rates.baseRates.min cannot exceed rates.baseRates.max');
+  }
+  Object.keys(DEFAULT_RATES.addOnRates).forEach(id => {
+    if (addOnRates[id].min > addOnRates[id].max) {
+      problems.push(`rates.addOnRates.${id}.min cannot exceed rates.addOnRates.${id}.max`);
+    }
+  });
+  if (labor.crewSize < 1 || labor.hoursPerDay <= 0 || labor.sqFtPerHour <= 0) {
+    problems.push('rates.labor needs at least one painter and positive hours and productivity');
+  }
+
+  return [
+    ...problems,
+    ...validateServiceArea(rates.serviceAreaZips),
+    ...validatePromotions(rates.promotions)
+  ];
+};
+
+// Builds a rate table containing only the keys the schema knows about
+const pickRates = (rates) => ({
+  baseRates: { ...rates.baseRates },
+  paintMultipliers: { ...rates.paintMultipliers },
+  difficultyMultipliers: { ...rates.difficultyMultipliers },
+  surfaceMultipliers: {
+    interior: { ...rates.surfaceMultipliers.interior },
+    exterior: { ...rates.surfaceMultipliers.exterior }
+  },
+  minimumPricing: { ...rates.minimumPricing },
+  labor: { ...rates.labor },
+  addOnRates: Object.fromEntries(
+    Object.keys(DEFAULT_RATES.addOnRates).map(id => [id, { ...rates.addOnRates[id] }])
+  ),
+  travelSurcharges: { ...rates.travelSurcharges },
+  serviceAreaZips: Object.fromEntries(
+    Object.keys(DEFAULT_RATES.travelSurcharges).map(zone => [zone, [...rates.serviceAreaZips[zone]]])
+  ),
+  promotions: (rates.promotions || []).map(promotion => ({ ...promotion }))
+});
+
+export const createPricingConfig = (rates, name = '') => ({
+  version: PRICING_CONFIG_VERSION,
+  name,
+  updatedAt: new Date().toISOString(),
+  rates: pickRates(rates)
+});
+
+// Resolves to { rates, name, warning }. Never rejects: any failure falls back
+// to DEFAULT_RATES with a warning the UI can show.
+export const loadPricingConfig = async (url = PRICING_CONFIG_URL) => {
+  const fallback = (reason) => {
+    console.warn('Pricing config not applied:', reason);
+    return {
+      rates: DEFAULT_RATES,
+      name: 'Built-in defaults',
+      warning: 'Current pricing could not be loaded, so these ranges use our standard rates.'
+    };
+  };
+
+  try {
+    const response = await fetch(url, { cache: 'no-cache' });
+
+    if (!response.ok) {
+      return fallback(`HTTP ${response.status}`);
+    }
+
+    const config = await response.json();
+    const problems = validatePricingConfig(config);
+
+    if (problems.length > 0) {
+      return fallback(problems.join('; '));
+    }
+
+    return { rates: pickRates(withDefaultedSections(config.rates)), name: config.name || '', warning: null };
+  } catch (error) {
+    return fallback(error.message);
+  }
+};
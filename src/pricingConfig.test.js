@@ -0,0 +1,150 @@
+import { DEFAULT_RATES } from './pricing';
+import { createPricingConfig, loadPricingConfig, validatePricingConfig } from './pricingConfig';
+
+const mockFetchResponse = (response) => {
+  global.fetch = jest.fn(() => Promise.resolve(response));
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+  delete global.fetch;
+});
+
+test('accepts a config built from the default rates', () => {
+  expect(validatePricingConfig(createPricingConfig(DEFAULT_RATES))).toEqual([]);
+});
+
+test('reports missing and malformed rates', () => {
+  const config = createPricingConfig(DEFAULT_RATES);
+  delete config.rates.paintMultipliers.designer;
+  config.rates.surfaceMultipliers.exterior.brick = '1.6';
+
+  expect(validatePricingConfig(config)).toEqual([
+    'rates.paintMultipliers.designer must be a non-negative number',
+    'rates.surfaceMultipliers.exterior.brick must be a non-negative number'
+  ]);
+});
+
+test('rejects unknown config versions', () => {
+  expect(validatePricingConfig({ ...createPricingConfig(DEFAULT_RATES), version: 99 })).toHaveLength(1);
+});
+
+test('loads rates from a valid config', async () => {
+  const config = createPricingConfig({ ...DEFAULT_RATES, baseRates: { min: 2, max: 3.5 } }, 'Spring 2027');
+  mockFetchResponse({ ok: true, json: () => Promise.resolve(config) });
+
+  const result = await loadPricingConfig('/pricing-config.json');
+
+  expect(result.warning).toBeNull();
+  expect(result.name).toBe('Spring 2027');
+  expect(result.rates.baseRates).toEqual({ min: 2, max: 3.5 });
+});
+
+test('falls back to the defaults with a warning when the config is missing or invalid', async () => {
+  mockFetchResponse({ ok: false, status: 404 });
+  const missing = await loadPricingConfig('/pricing-config.json');
+
+  mockFetchResponse({ ok: true, json: () => Promise.resolve({ version: 1, rates: {} }) });
+  const invalid = await loadPricingConfig('/pricing-config.json');
+
+  [missing, invalid].forEach(result => {
+    expect(result.rates).toBe(DEFAULT_RATES);
+    expect(result.warning).toBeTruthy();
+  });
+});
+
+test('fills in labor rates for v1 configs published before they existed', async () => {
+  const { labor, ...rates } = createPricingConfig(DEFAULT_RATES).rates;
+  const config = { version: 1, name: 'Standard rates', rates };
+  expect(validatePricingConfig(config)).toEqual([]);
+
+  mockFetchResponse({ ok: true, json: () => Promise.resolve(config) });
+  const result = await loadPricingConfig('/pricing-config.json');
+
+  expect(result.warning).toBeNull();
+  expect(result.rates.labor).toEqual(DEFAULT_RATES.labor);
+});
+
+test('still validates labor rates when a config has them', () => {
+  const config = createPricingConfig({ ...DEFAULT_RATES, labor: { ...DEFAULT_RATES.labor, crewSize: 0 } });
+
+  expect(validatePricingConfig(config)).toEqual(['rates.labor needs at least one painter and positive hours and productivity']);
+});
+
+test('fills in add-on prices for v1 configs published before they existed', async () => {
+  const { addOnRates, ...rates } = createPricingConfig(DEFAULT_RATES).rates;
+  const config = { version: 1, name: 'Standard rates', rates };
+  expect(validatePricingConfig(config)).toEqual([]);
+
+  mockFetchResponse({ ok: true, json: () => Promise.resolve(config) });
+  const result = await loadPricingConfig('/pricing-config.json');
+
+  expect(result.warning).toBeNull();
+  expect(result.rates.addOnRates).toEqual(DEFAULT_RATES.addOnRates);
+});
+
+test('loads a config in the shape version 1 was first published in', async () => {
+  const { baseRates, paintMultipliers, difficultyMultipliers, surfaceMultipliers, minimumPricing } = createPricingConfig(DEFAULT_RATES).rates;
+  const config = { version: 1, name: 'Standard rates', rates: { baseRates, paintMultipliers, difficultyMultipliers, surfaceMultipliers, minimumPricing } };
+  expect(validatePricingConfig(config)).toEqual([]);
+
+  mockFetchResponse({ ok: true, json: () => Promise.resolve(config) });
+  const result = await loadPricingConfig('/pricing-config.json');
+
+  expect(result.warning).toBeNull();
+  expect(result.rates.travelSurcharges).toEqual(DEFAULT_RATES.travelSurcharges);
+  expect(result.rates.serviceAreaZips).toEqual(DEFAULT_RATES.serviceAreaZips);
+  expect(result.rates.promotions).toEqual([]);
+});
+
+test('rejects add-on prices whose minimum exceeds the maximum', () => {
+  const config = createPricingConfig(DEFAULT_RATES);
+  config.rates.addOnRates.deck_staining = { min: 5, max: 3 };
+
+  expect(validatePricingConfig(config)).toEqual([
+    'rates.addOnRates.deck_staining.min cannot exceed rates.addOnRates.deck_staining.max'
+  ]);
+});
+
+test('accepts configs without promotions and keeps the ones it is given', async () => {
+  const { promotions, ...rates } = DEFAULT_RATES;
+  expect(validatePricingConfig(createPricingConfig(rates))).toEqual([]);
+
+  const promotion = { id: 'winter', label: 'Winter special', type: 'percent', amount: 10, months: [12, 1] };
+  mockFetchResponse({ ok: true, json: () => Promise.resolve(createPricingConfig({ ...rates, promotions: [promotion] })) });
+
+  expect((await loadPricingConfig('/pricing-config.json')).rates.promotions).toEqual([promotion]);
+});
+
+test('reports malformed promotion rules', () => {
+  const config = createPricingConfig({
+    ...DEFAULT_RATES,
+    promotions: [
+      { id: 'half', label: 'Half off', type: 'percent', amount: 150, months: [13] },
+      { id: 'half', label: 'Flat', type: 'coupon', amount: 100, startsOn: '2027-03-01', endsOn: '2027-02-01' }
+    ]
+  });
+
+  expect(validatePricingConfig(config)).toEqual([
+    'rates.promotions[0].amount must be a positive number (at most 100 for percent discounts)',
+    'rates.promotions[0].months must be a list of month numbers from 1 to 12',
+    'rates.promotions[1].type must be one of: percent, flat',
+    'rates.promotions[1].startsOn cannot be after endsOn',
+    'rates.promotions has more than one rule with id "half"'
+  ]);
+});
+
+test('rejects malformed ZIP lists and ZIPs in more than one travel zone', () => {
+  const config = createPricingConfig(DEFAULT_RATES);
+  config.rates.serviceAreaZips.local = [...config.rates.serviceAreaZips.local, '80631'];
+  config.rates.serviceAreaZips.remote = ['8051'];
+
+  expect(validatePricingConfig(config)).toEqual([
+    'ZIP 80631 is in both the local and extended travel zones',
+    'rates.serviceAreaZips.remote must be a list of 5-digit ZIP codes'
+  ]);
+});
@@ -0,0 +1,209 @@
+import { ADD_ONS, DEFAULT_RATES, EXTERIOR_SIDING, getExteriorAreas, getRoomAreas, getServiceArea, getSidingShares } from './pricing';
+import { formatAddress, parseAddress } from './address';
+import { calculateMaterials } from './materials';
+import { assessDifficulty, EMPTY_ANSWERS, isAssessmentComplete, keepValidAnswers } from './difficultyAssessment';
+
+// Helpers that translate the calculator's form state into the project shape the
+// pricing engine expects and the payload the estimates API expects.
+
+export const INITIAL_FORM_DATA = {
+  clientName: '',
+  email: '',
+  phone: '',
+  street: '',
+  city: '',
+  state: 'CO',
+  zip: '',
+  projectType: '',
+  // Exteriors are measured from the house footprint ('footprint') unless the
+  // customer knows the paintable wall area and enters it directly ('area')
+  exteriorMeasurement: 'footprint',
+  exteriorDimensions: { perimeter: '', stories: '1', gables: '0', garageDoors: '0', windows: '0', doors: '0' },
+  squareFootage: '',
+  paintTier: '',
+  exteriorPaintTier: '',
+  surfaces: [],
+  // Percentage of the siding area per selected siding, e.g. { vinyl_siding: '90', brick: '10' }
+  surfaceShares: {},
+  rooms: [],
+  addOns: [],
+  promoCode: '',
+  coats: '2',
+  // difficultyLevel is the level used for pricing: the staff override when
+  // set, otherwise the level assessed from difficultyAnswers
+  difficultyAnswers: EMPTY_ANSWERS,
+  difficultyOverride: '',
+  difficultyLevel: 'basic',
+  additionalNotes: ''
+};
+
+// The house measurements, in the order the form shows them and share links carry them
+export const HOUSE_FIELDS = Object.keys(INITIAL_FORM_DATA.exteriorDimensions);
+
+// Interior work is entered room by room, both on its own and as half of a "both" project
+export const usesRooms = (projectType) => projectType === 'interior' || projectType === 'both';
+
+// Splits 100% evenly across the selected sidings in whole percentages, the
+// first sidings taking any remainder
+export const getEvenSurfaceShares = (surfaces) => {
+  const sidings = surfaces.filter(surface => EXTERIOR_SIDING.includes(surface));
+  return Object.fromEntries(sidings.map((siding, index) => [
+    siding,
+    String(Math.floor(100 / sidings.length) + (index < 100 % sidings.length ? 1 : 0))
+  ]));
+};
+
+export const isMeasuredExterior = (formData) =>
+  formData.projectType !== 'interior' && formData.exteriorMeasurement === 'footprint';
+
+// The exterior's paintable area, and its trim length when measured from the footprint
+const getExteriorScope = (formData) => {
+  if (!isMeasuredExterior(formData)) {
+    return { squareFootage: formData.squareFootage };
+  }
+
+  const { wallArea, trimLength } = getExteriorAreas(formData.exteriorDimensions);
+  return { squareFootage: Math.round(wallArea), trimLength: Math.round(trimLength) };
+};
+
+export const buildProject = (formData) => {
+  const { projectType, surfaces, surfaceShares, rooms, paintTier, exteriorPaintTier, difficultyLevel, coats, addOns, promoCode, zip } = formData;
+
+  if (projectType === 'both') {
+    return {
+      projectType,
+      difficultyLevel,
+      coats,
+      addOns,
+      promoCode,
+      zip,
+      interior: { rooms, paintTier },
+      exterior: { ...getExteriorScope(formData), surfaces, surfaceShares, paintTier: exteriorPaintTier }
+    };
+  }
+
+  if (projectType === 'interior') {
+    return { projectType, difficultyLevel, coats, addOns, promoCode, zip, rooms, paintTier };
+  }
+
+  return { projectType, difficultyLevel, coats, addOns, promoCode, zip, ...getExteriorScope(formData), surfaces, surfaceShares, paintTier };
+};
+
+// rates decide which ZIP codes are in the service area; leads from outside it
+// are flagged so the team can decide whether to take the job
+export const buildSubmissionData = (formData, rates = DEFAULT_RATES) => {
+  const { projectType } = formData;
+  const rooms = usesRooms(projectType)
+    ? formData.rooms.map(({ id, ...room }) => ({ ...room, ...getRoomAreas(room) }))
+    : [];
+  const interiorSquareFootage = Math.round(rooms.reduce((total, room) => total + room.floorArea, 0));
+  const exteriorScope = getExteriorScope(formData);
+  const exteriorSquareFootage = projectType === 'interior' ? 0 : parseInt(exteriorScope.squareFootage);
+  const materials = calculateMaterials(buildProject(formData));
+  const serviceArea = getServiceArea(formData.zip, rates);
+  const assessment = assessDifficulty(formData.difficultyAnswers);
+
+  return {
+    clientName: formData.clientName,
+    email: formData.email,
+    phone: formData.phone || '',
+    address: formatAddress(formData),
+    addressParts: {
+      street: formData.street.trim(),
+      city: formData.city.trim(),
+      state: formData.state.trim().toUpperCase(),
+      zip: formData.zip.trim()
+    },
+    travelZone: serviceArea && serviceArea.zone,
+    outOfServiceArea: !serviceArea || !serviceArea.zone,
+    projectType,
+    squareFootage: interiorSquareFootage + exteriorSquareFootage,
+    ...(projectType === 'both' && {
+      interiorSquareFootage,
+      exteriorSquareFootage,
+      exteriorPaintTier: formData.exteriorPaintTier
+    }),
+    paintTier: formData.paintTier,
+    ...(isMeasuredExterior(formData) && {
+      exteriorMeasurements: {
+        ...Object.fromEntries(Object.entries(formData.exteriorDimensions).map(([field, value]) => [field, parseFloat(value)])),
+        wallArea: exteriorScope.squareFootage,
+        trimLength: exteriorScope.trimLength
+      }
+    }),
+    surfaces: projectType === 'interior' ? [] : formData.surfaces,
+    // Percentages as priced, including the implied 100% of a single siding
+    surfaceShares: projectType === 'interior' ? {} : Object.fromEntries(
+      Object.entries(getSidingShares(formData.surfaces, formData.surfaceShares)).map(([siding, share]) => [siding, Math.round(share * 100)])
+    ),
+    rooms,
+    coats: parseInt(formData.coats),
+    materials: materials && { paint: materials.paint, sundries: materials.sundries },
+    addOns: formData.addOns.map(({ id, quantity }) => ({
+      id,
+      label: ADD_ONS[id].label,
+      unit: ADD_ONS[id].unit,
+      quantity: parseFloat(quantity)
+    })),
+    promoCode: formData.promoCode.trim(),
+    difficultyLevel: formData.difficultyLevel,
+    difficultyAssessment: {
+      answers: formData.difficultyAnswers,
+      score: assessment.score,
+      assessedLevel: assessment.level,
+      overridden: Boolean(formData.difficultyOverride)
+    },
+    additionalNotes: formData.additionalNotes || '',
+    submittedAt: new Date().toISOString()
+  };
+};
+
+// Customers only get the assessed level. Staff and customers can share a
+// browser, so a draft saved in staff mode may carry an override: it is dropped
+// and the answers, once complete, decide the level again.
+export const withoutDifficultyOverride = (formData) => ({
+  ...formData,
+  difficultyOverride: '',
+  difficultyLevel: isAssessmentComplete(formData.difficultyAnswers)
+    ? assessDifficulty(formData.difficultyAnswers).level
+    : formData.difficultyLevel
+});
+
+const toText = (value) => (value === undefined || value === null ? '' : String(value));
+
+// The reverse of buildSubmissionData: form state for a submitted lead, so
+// staff can reopen it in the calculator. Rooms come back without ids and go
+// through restoreRooms before use. Older leads still load: ones from before
+// rooms or add-ons existed get none, and ones from before the questionnaire
+// keep their level as a staff override. Leads from before the address was
+// split have their one-line address parsed.
+export const leadToFormData = (lead) => {
+  const { exteriorMeasurements, difficultyAssessment } = lead;
+  const exteriorArea = lead.projectType === 'both' ? lead.exteriorSquareFootage : lead.squareFootage;
+
+  return {
+    ...INITIAL_FORM_DATA,
+    clientName: lead.clientName,
+    email: lead.email,
+    phone: lead.phone || '',
+    ...(lead.addressParts || parseAddress(lead.address || '')),
+    projectType: lead.projectType,
+    exteriorMeasurement: exteriorMeasurements ? 'footprint' : 'area',
+    exteriorDimensions: exteriorMeasurements
+      ? Object.fromEntries(HOUSE_FIELDS.map(field => [field, toText(exteriorMeasurements[field])]))
+      : INITIAL_FORM_DATA.exteriorDimensions,
+    squareFootage: lead.projectType === 'interior' || exteriorMeasurements ? '' : toText(exteriorArea),
+    paintTier: lead.paintTier,
+    exteriorPaintTier: lead.exteriorPaintTier || '',
+    surfaces: lead.surfaces || [],
+    surfaceShares: Object.fromEntries(Object.entries(lead.surfaceShares || {}).map(([siding, share]) => [siding, toText(share)])),
+    rooms: (lead.rooms || []).map(({ floorArea, ceilingArea, wallArea, ...room }) => room),
+    addOns: (lead.addOns || []).map(({ id, quantity }) => ({ id, quantity: toText(quantity) })),
+    promoCode: lead.promoCode || '',
+    coats: toText(lead.coats),
+    difficultyAnswers: difficultyAssessment ? keepValidAnswers(difficultyAssessment.answers) : EMPTY_ANSWERS,
+    difficultyOverride: !difficultyAssessment || difficultyAssessment.overridden ? lead.difficultyLevel : '',
+    difficultyLevel: lead.difficultyLevel,
+    additionalNotes: lead.additionalNotes || ''
+  };
+};
@@ -0,0 +1,199 @@
+import { calculateEstimate, DEFAULT_RATES } from './pricing';
+import { calculateMaterials } from './materials';
+import { calculateLabor } from './labor';
+import { DEFAULT_I18N } from './i18n';
+
+// Formal quotes for staff. The project goes through the same estimate,
+// materials takeoff and labor hours as the public ballpark; the quote turns
+// those into cost line items, lets staff override quantities after the site
+// visit and add their own items, then prices one fixed total from cost and
+// margin. Add-on services and travel already have public prices, so they are
+// charged at those and pass through without margin. An add-on starts at the
+// middle of its public range, the same point the ballpark's middle sits at;
+// staff set the actual price once they have seen the job. The customer keeps
+// what the ballpark promised them: its promotions come off the painting price
+// and the painting price never drops below the minimum job price.
+
+// Starting costs for a new quote; staff can change every one of them
+export const QUOTE_DEFAULTS = {
+  laborRate: 65,                                            // Loaded cost per painter-hour
+  paintCosts: { standard: 35, premium: 55, designer: 80 },  // Per gallon of finish paint
+  primerCost: 30,                                           // Per gallon of primer
+  sundryCosts: { tape: 8, caulk: 6, plastic: 12 },          // Per roll or tube
+  margin: 40,                                               // Percent of the quoted price
+  validDays: 30
+};
+
+// Which cost subtotal each kind of costed line counts towards
+const COST_GROUPS = {
+  labor: 'labor',
+  paint: 'materials',
+  primer: 'materials',
+  sundry: 'materials',
+  custom: 'other'
+};
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Overrides left blank keep the takeoff quantity or list price
+const isSet = (override) => override !== undefined && String(override).trim() !== '';
+
+// e.g. "Q-20261019-K4Z7Q" for lead LP-20261019-K4Z7Q
+export const getQuoteNumber = (referenceNumber) => referenceNumber.replace(/^LP-/, 'Q-');
+
+// Lines for the work the project describes. Labor is the middle of the
+// estimated hours range. Add-on services (at the middle of their public rate)
+// and travel (at its flat surcharge) are list-priced: they have a unitPrice
+// instead of a unitCost.
+const getProjectLines = (project, estimate, rates, settings) => {
+  const materials = calculateMaterials(project);
+  const labor = calculateLabor(project, rates);
+  const primerGallons = materials.paint.reduce((total, tier) => total + tier.primerGallons, 0);
+
+  return [
+    { id: 'labor', kind: 'labor', quantity: Math.ceil((labor.hours.min + labor.hours.max) / 2), unit: 'hours', unitCost: toNumber(settings.laborRate) },
+    ...materials.paint.map(({ paintTier, finishGallons }) => ({
+      id: `paint-${paintTier}`, kind: 'paint', paintTier, quantity: finishGallons, unit: 'gallons', unitCost: toNumber(settings.paintCosts[paintTier])
+    })),
+    ...(primerGallons > 0 ? [{ id: 'primer', kind: 'primer', quantity: primerGallons, unit: 'gallons', unitCost: toNumber(settings.primerCost) }] : []),
+    ...materials.sundries.map(({ id, quantity, unit }) => ({
+      id: `sundry-${id}`, kind: 'sundry', itemId: id, quantity, unit, unitCost: toNumber(settings.sundryCosts[id])
+    })),
+    ...(estimate.addOns || []).map(({ id, quantity, unit }) => ({
+      id: `addOn-${id}`, kind: 'addOn', itemId: id, quantity, unit, listPrice: true,
+      unitPrice: roundCents((rates.addOnRates[id].min + rates.addOnRates[id].max) / 2)
+    })),
+    ...(estimate.travel ? [{ id: 'travel', kind: 'travel', zone: estimate.travel.zone, quantity: 1, unit: 'trip', listPrice: true, unitPrice: estimate.travel.surcharge }] : [])
+  ];
+};
+
+// Prices a quote for a project (buildProject's shape). quantityOverrides maps
+// line ids to staff-entered quantities and priceOverrides maps list-priced
+// line ids to staff-entered unit prices; customItems are
+// [{ description, quantity, unit, unitCost }], with a negative unit cost for
+// a discount. settings has the QUOTE_DEFAULTS fields, as numbers or strings.
+// Each line has its total (cost, or list price for list-priced lines) and its
+// price, the share of the quoted total the customer sees. The painting price
+// is cost / (1 - margin). Promotions the ballpark applied become adjustment
+// lines taking off the middle of the ballpark's discount, and when that leaves
+// the painting price under the absolute minimum a minimum-price adjustment
+// makes up the difference. The total adds the list-priced lines and is
+// rounded to whole dollars; the ballpark range is kept alongside for
+// comparison.
+// Returns null when the project is missing a required field.
+export const buildQuote = (project, rates = DEFAULT_RATES, {
+  settings = QUOTE_DEFAULTS,
+  quantityOverrides = {},
+  priceOverrides = {},
+  customItems = [],
+  issuedAt = new Date()
+} = {}) => {
+  const estimate = calculateEstimate(project, rates, issuedAt);
+  if (!estimate) {
+    return null;
+  }
+
+  const projectLines = getProjectLines(project, estimate, rates, settings).map(line => {
+    const quantity = quantityOverrides[line.id];
+    const unitPrice = priceOverrides[line.id];
+    return {
+      ...line,
+      ...(isSet(quantity) && { quantity: toNumber(quantity), takeoffQuantity: line.quantity }),
+      ...(line.listPrice && isSet(unitPrice) && { unitPrice: toNumber(unitPrice), listUnitPrice: line.unitPrice })
+    };
+  });
+  const customLines = customItems.map((item, index) => ({
+    id: `custom-${index + 1}`,
+    kind: 'custom',
+    description: item.description.trim(),
+    quantity: toNumber(item.quantity),
+    unit: item.unit.trim(),
+    unitCost: toNumber(item.unitCost)
+  }));
+  const lines = [...projectLines, ...customLines].map(line => ({
+    ...line,
+    total: roundCents(line.quantity * (line.listPrice ? line.unitPrice : line.unitCost))
+  }));
+
+  const costs = { labor: 0, materials: 0, other: 0 };
+  let listPriced = 0;
+  lines.forEach(line => {
+    if (line.listPrice) {
+      listPriced = roundCents(listPriced + line.total);
+    } else {
+      costs[COST_GROUPS[line.kind]] = roundCents(costs[COST_GROUPS[line.kind]] + line.total);
+    }
+  });
+  const cost = roundCents(costs.labor + costs.materials + costs.other);
+  const margin = toNumber(settings.margin);
+  const paintingPrice = cost / (1 - margin / 100);
+
+  const promotionLines = (estimate.promotions || []).map(promotion => ({
+    id: `promo-${promotion.id}`,
+    kind: 'promotion',
+    label: promotion.label,
+    adjustment: true,
+    total: -roundCents((promotion.discount.min + promotion.discount.max) / 2)
+  }));
+  const discounted = paintingPrice + promotionLines.reduce((sum, line) => sum + line.total, 0);
+  const { absoluteMin } = rates.minimumPricing;
+  const adjustmentLines = cost > 0 && discounted < absoluteMin
+    ? [...promotionLines, { id: 'minimum', kind: 'minimum', adjustment: true, total: roundCents(absoluteMin - discounted) }]
+    : promotionLines;
+  const adjustments = roundCents(adjustmentLines.reduce((sum, line) => sum + line.total, 0));
+  const total = Math.round(paintingPrice + adjustments + listPriced);
+
+  // Each line's share of the quoted total: list-priced and adjustment lines at
+  // their amount, costed lines marked up. The first (labor) line absorbs the
+  // rounding so the printed prices add up to the total exactly.
+  const pricedLines = [...lines, ...adjustmentLines];
+  const markup = cost > 0 ? (total - listPriced - adjustments) / cost : 0;
+  const prices = pricedLines.map(line => (line.listPrice || line.adjustment ? line.total : roundCents(line.total * markup)));
+  if (prices.length > 0) {
+    prices[0] = roundCents(prices[0] + total - prices.reduce((sum, price) => sum + price, 0));
+  }
+
+  const validUntil = new Date(issuedAt);
+  validUntil.setDate(validUntil.getDate() + toNumber(settings.validDays));
+
+  return {
+    lines: pricedLines.map((line, index) => ({ ...line, price: prices[index] })),
+    costs,
+    cost,
+    margin,
+    adjustments,
+    listPriced,
+    total,
+    issuedAt: issuedAt.toISOString(),
+    validUntil: validUntil.toISOString(),
+    ballpark: { min: Math.round(estimate.min), max: Math.round(estimate.max) }
+  };
+};
+
+// Display text for a line: { description, unit }, translated with t
+export const describeQuoteLine = (line, t = DEFAULT_I18N.t) => {
+  const count = line.quantity;
+
+  switch (line.kind) {
+    case 'labor':
+      return { description: t('quote.lines.labor'), unit: t('quote.units.hours', { count }) };
+    case 'paint':
+      return { description: t('quote.lines.paint', { tier: t(`tiers.${line.paintTier}`) }), unit: t('quote.units.gallons', { count }) };
+    case 'primer':
+      return { description: t('quote.lines.primer'), unit: t('quote.units.gallons', { count }) };
+    case 'sundry':
+      return { description: t(`materials.sundries.${line.itemId}`), unit: t(`materials.units.${line.unit}`, { count }) };
+    case 'addOn':
+      return { description: t(`addOns.services.${line.itemId}`), unit: t(`addOns.units.${line.itemId}`, { count }) };
+    case 'travel':
+      return { description: t('quote.lines.travel', { zone: t(`travelZones.${line.zone}`) }), unit: t('quote.units.trip', { count }) };
+    case 'promotion':
+      return { description: t('quote.lines.promotion', { label: line.label }), unit: '' };
+    case 'minimum':
+      return { description: t('quote.lines.minimum'), unit: '' };
+    default:
+      return { description: line.description, unit: line.unit };
+  }
+};
@@ -0,0 +1,146 @@
+import { buildQuote, describeQuoteLine, getQuoteNumber, QUOTE_DEFAULTS } from './quote';
+import { calculateLabor } from './labor';
+import { calculateMaterials } from './materials';
+import { calculateEstimate, DEFAULT_RATES } from './pricing';
+import { validateQuote } from './validation';
+
+const project = {
+  projectType: 'exterior',
+  squareFootage: 2400,
+  surfaces: ['vinyl_siding', 'trim'],
+  paintTier: 'premium',
+  difficultyLevel: 'standard',
+  coats: '2',
+  addOns: [],
+  zip: '80521'
+};
+
+const issuedAt = new Date('2026-10-19T17:00:00Z');
+
+const getLine = (quote, id) => quote.lines.find(line => line.id === id);
+
+test('returns null until the project can be priced', () => {
+  expect(buildQuote({ ...project, paintTier: '' })).toBeNull();
+});
+
+test('quantities come from the same labor and materials takeoff as the ballpark', () => {
+  const quote = buildQuote(project, undefined, { issuedAt });
+  const labor = calculateLabor(project);
+  const materials = calculateMaterials(project);
+  const estimate = calculateEstimate(project, undefined, issuedAt);
+
+  expect(getLine(quote, 'labor')).toMatchObject({
+    quantity: Math.ceil((labor.hours.min + labor.hours.max) / 2),
+    unitCost: QUOTE_DEFAULTS.laborRate
+  });
+  expect(getLine(quote, 'paint-premium')).toMatchObject({ quantity: materials.paint[0].finishGallons, unitCost: 55 });
+  expect(getLine(quote, 'primer').quantity).toBe(materials.paint[0].primerGallons);
+  expect(quote.lines.filter(line => line.kind === 'sundry')).toHaveLength(materials.sundries.length);
+  expect(quote.ballpark).toEqual({ min: Math.round(estimate.min), max: Math.round(estimate.max) });
+});
+
+test('the total is cost over one minus the margin, with line prices adding up to it', () => {
+  const quote = buildQuote(project, undefined, { issuedAt });
+  const lineCosts = quote.lines.reduce((sum, line) => sum + line.total, 0);
+  const linePrices = quote.lines.reduce((sum, line) => sum + line.price, 0);
+
+  expect(quote.cost).toBeCloseTo(lineCosts, 2);
+  expect(quote.cost).toBeCloseTo(quote.costs.labor + quote.costs.materials + quote.costs.other, 2);
+  expect(quote.total).toBe(Math.round(quote.cost / 0.6));
+  expect(linePrices).toBeCloseTo(quote.total, 2);
+  expect(buildQuote(project, undefined, { issuedAt, settings: { ...QUOTE_DEFAULTS, margin: '0' } }).total).toBe(Math.round(quote.cost));
+});
+
+test('is valid for the configured number of days', () => {
+  const quote = buildQuote(project, undefined, { issuedAt, settings: { ...QUOTE_DEFAULTS, validDays: '45' } });
+
+  expect(quote.issuedAt).toBe('2026-10-19T17:00:00.000Z');
+  expect(quote.validUntil.slice(0, 10)).toBe('2026-12-03');
+});
+
+test('staff overrides replace takeoff quantities and custom items add to the cost', () => {
+  const base = buildQuote(project, undefined, { issuedAt });
+  const quote = buildQuote(project, undefined, {
+    issuedAt,
+    quantityOverrides: { labor: '60', primer: '' },
+    customItems: [
+      { description: ' Pressure washing ', quantity: '1', unit: 'house', unitCost: '250' },
+      { description: 'Repeat customer', quantity: '1', unit: '', unitCost: '-100' }
+    ]
+  });
+
+  expect(getLine(quote, 'labor')).toMatchObject({ quantity: 60, takeoffQuantity: getLine(base, 'labor').quantity, total: 3900 });
+  expect(getLine(quote, 'primer').quantity).toBe(getLine(base, 'primer').quantity);
+  expect(getLine(quote, 'primer')).not.toHaveProperty('takeoffQuantity');
+  expect(getLine(quote, 'custom-1')).toMatchObject({ kind: 'custom', description: 'Pressure washing', total: 250 });
+  expect(quote.costs.other).toBe(150);
+  expect(quote.costs.labor).toBe(3900);
+});
+
+test('add-ons and travel are charged at their list price without margin', () => {
+  const base = buildQuote(project, undefined, { issuedAt });
+  const quote = buildQuote({ ...project, zip: '80634', addOns: [{ id: 'fence_staining', quantity: '120' }] }, undefined, { issuedAt });
+
+  expect(getLine(quote, 'addOn-fence_staining')).toMatchObject({ quantity: 120, unitPrice: 6, total: 720, price: 720 });
+  expect(getLine(quote, 'travel')).toMatchObject({ zone: 'extended', quantity: 1, total: 150, price: 150 });
+  expect(quote.cost).toBe(base.cost);
+  expect(quote.listPriced).toBe(870);
+  expect(quote.total).toBe(base.total + 870);
+  expect(quote.lines.reduce((sum, line) => sum + line.price, 0)).toBeCloseTo(quote.total, 2);
+  expect(getLine(base, 'travel')).toBeUndefined();
+});
+
+test('staff can set the price of add-ons and travel but not of costed lines', () => {
+  const withFence = { ...project, addOns: [{ id: 'fence_staining', quantity: '120' }] };
+  const quote = buildQuote(withFence, undefined, { issuedAt, priceOverrides: { 'addOn-fence_staining': '7.5', labor: '1' } });
+
+  expect(getLine(quote, 'addOn-fence_staining')).toMatchObject({ unitPrice: 7.5, listUnitPrice: 6, total: 900, price: 900 });
+  expect(getLine(quote, 'labor')).not.toHaveProperty('unitPrice');
+  expect(validateQuote({ settings: QUOTE_DEFAULTS, quantityOverrides: {}, priceOverrides: { 'addOn-fence_staining': '-1' }, customItems: [] }))
+    .toHaveProperty('priceOverrides');
+});
+
+test('keeps the ballpark\'s promotions and minimum job price', () => {
+  const promotion = { id: 'repeat', label: 'Repeat customer', type: 'flat', amount: 500 };
+  const rates = { ...DEFAULT_RATES, promotions: [promotion] };
+  const base = buildQuote(project, undefined, { issuedAt });
+  const promoted = buildQuote(project, rates, { issuedAt });
+
+  expect(getLine(promoted, 'promo-repeat')).toMatchObject({ kind: 'promotion', total: -500, price: -500 });
+  expect(promoted.total).toBe(base.total - 500);
+  expect(describeQuoteLine(getLine(promoted, 'promo-repeat')).description).toBe('Promotion: Repeat customer');
+
+  const small = buildQuote({ ...project, squareFootage: 300 }, undefined, { issuedAt });
+  expect(small.total).toBe(DEFAULT_RATES.minimumPricing.absoluteMin);
+  expect(getLine(small, 'minimum').price).toBeGreaterThan(0);
+  expect(small.lines.reduce((sum, line) => sum + line.price, 0)).toBeCloseTo(small.total, 2);
+  expect(getLine(base, 'minimum')).toBeUndefined();
+});
+
+test('lines are described in the chosen language', () => {
+  const quote = buildQuote(project, undefined, { issuedAt });
+
+  expect(describeQuoteLine(getLine(quote, 'paint-premium'))).toEqual({ description: 'Premium Paint, finish coats', unit: 'gallons' });
+  expect(describeQuoteLine({ kind: 'custom', description: 'Pressure washing', unit: 'house', quantity: 1 })).toEqual({ description: 'Pressure washing', unit: 'house' });
+  expect(getQuoteNumber('LP-20261019-K4Z7Q')).toBe('Q-20261019-K4Z7Q');
+});
+
+test('validates costs, margin, validity and custom items', () => {
+  const inputs = { settings: QUOTE_DEFAULTS, quantityOverrides: { labor: '40' }, customItems: [] };
+
+  expect(validateQuote(inputs)).toEqual({});
+  expect(Object.keys(validateQuote({
+    settings: { ...QUOTE_DEFAULTS, laborRate: '', margin: '100', validDays: '1.5' },
+    quantityOverrides: { labor: '-2' },
+    customItems: [{ description: '', quantity: '1', unit: '', unitCost: '10' }]
+  }))).toEqual(['quoteCosts', 'margin', 'validDays', 'quantityOverrides', 'customItem0']);
+});
+
+test('rejects a quote that discounts its cost down to nothing or less', () => {
+  const customItems = [{ description: 'Goodwill discount', quantity: '1', unit: '', unitCost: '-50000' }];
+  const quote = buildQuote(project, undefined, { issuedAt, customItems });
+
+  expect(quote.cost).toBeLessThan(0);
+  expect(Object.keys(validateQuote({ settings: QUOTE_DEFAULTS, quantityOverrides: {}, customItems, quote }))).toEqual(['quoteTotal']);
+  expect(validateQuote({ settings: QUOTE_DEFAULTS, quantityOverrides: {}, customItems: [], quote: buildQuote(project, undefined, { issuedAt }) })).toEqual({});
+});
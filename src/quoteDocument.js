@@ -0,0 +1,144 @@
+import { describeQuoteLine } from './quote';
+import { escapeHtml } from './estimateSummary';
+import { DEFAULT_I18N } from './i18n';
+
+// Exports of a formal quote: JSON with the full costing for the office, and a
+// printable HTML document for the customer that shows prices only. quote is
+// buildQuote's result; details are { quoteNumber, referenceNumber, client,
+// terms } where client is { name, email, phone, address }.
+
+// Adjustments (promotions, the minimum price) have only their price
+const getLineAmounts = (line) => {
+  if (line.adjustment) {
+    return {};
+  }
+
+  return {
+    quantity: line.quantity,
+    ...(line.takeoffQuantity !== undefined && { takeoffQuantity: line.takeoffQuantity }),
+    ...(line.listPrice ? { unitPrice: line.unitPrice } : { unitCost: line.unitCost, cost: line.total }),
+    ...(line.listUnitPrice !== undefined && { listUnitPrice: line.listUnitPrice })
+  };
+};
+
+export const buildQuoteJson = (quote, details, i18n = DEFAULT_I18N) => JSON.stringify({
+  quoteNumber: details.quoteNumber,
+  referenceNumber: details.referenceNumber || null,
+  issuedAt: quote.issuedAt,
+  validUntil: quote.validUntil,
+  client: details.client,
+  lines: quote.lines.map(line => ({
+    id: line.id,
+    kind: line.kind,
+    ...describeQuoteLine(line, i18n.t),
+    ...getLineAmounts(line),
+    price: line.price
+  })),
+  costs: quote.costs,
+  cost: quote.cost,
+  margin: quote.margin,
+  adjustments: quote.adjustments,
+  listPriced: quote.listPriced,
+  total: quote.total,
+  ballpark: quote.ballpark,
+  terms: details.terms
+}, null, 2);
+
+const row = (label, value) => (value
+  ? `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+  : '');
+
+const getLinesTable = (lines, { t, formatNumber, formatCurrency }) => {
+  const lineRows = lines.map(line => {
+    const { description, unit } = describeQuoteLine(line, t);
+    return `<tr>
+        <td>${escapeHtml(description)}</td>
+        <td>${line.adjustment ? '' : escapeHtml(`${formatNumber(line.quantity)} ${unit}`)}</td>
+        <td class="amount">${formatCurrency(line.price)}</td>
+      </tr>`;
+  }).join('');
+
+  return `<table class="list">
+      <thead><tr><th>${escapeHtml(t('quote.document.item'))}</th><th>${escapeHtml(t('quote.document.quantity'))}</th><th class="amount">${escapeHtml(t('quote.document.price'))}</th></tr></thead>
+      <tbody>${lineRows}</tbody>
+    </table>`;
+};
+
+// i18n comes from createI18n for the customer's language
+export const buildQuoteDocument = (quote, details, i18n = DEFAULT_I18N) => {
+  const { t, formatCurrency, formatDate } = i18n;
+  const { quoteNumber, referenceNumber, client, terms } = details;
+  const termLines = terms.split('\n').map(line => line.trim()).filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="${i18n.locale}">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(t('quote.document.title', { quoteNumber }))}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #1f2937; max-width: 760px; margin: 0 auto; padding: 32px; }
+    header { background: #166534; color: #fff; padding: 24px; border-radius: 12px; display: flex; justify-content: space-between; align-items: center; }
+    header .brand { font-size: 26px; font-weight: bold; }
+    header .region { opacity: 0.9; }
+    header .reference { text-align: right; font-size: 14px; }
+    h2 { color: #166534; border-bottom: 2px solid #84cc16; padding-bottom: 4px; margin-top: 28px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 6px 8px; vertical-align: top; }
+    table.details th { width: 35%; color: #4b5563; font-weight: normal; }
+    table.list thead th { background: #f3f4f6; }
+    table.list td { border-bottom: 1px solid #e5e7eb; }
+    .amount { text-align: right; }
+    .total { background: #ecfccb; border-left: 6px solid #84cc16; padding: 16px; border-radius: 8px; margin-top: 28px; }
+    .total .amount { font-size: 30px; font-weight: bold; color: #166534; text-align: left; }
+    .signatures { display: flex; gap: 32px; margin-top: 48px; }
+    .signatures div { flex: 1; border-top: 1px solid #1f2937; padding-top: 6px; font-size: 13px; color: #4b5563; }
+    footer { margin-top: 28px; font-size: 12px; color: #6b7280; text-align: center; }
+    @media print { body { padding: 0; } header, .total { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      <div class="brand">🎨 LIME PAINTING</div>
+      <div class="region">${escapeHtml(t('header.region'))}</div>
+    </div>
+    <div class="reference">
+      ${escapeHtml(t('quote.document.heading'))}<br />
+      <strong>${escapeHtml(quoteNumber)}</strong><br />
+      ${escapeHtml(t('quote.document.issued', { date: formatDate(new Date(quote.issuedAt)) }))}
+    </div>
+  </header>
+
+  <h2>${escapeHtml(t('summary.client'))}</h2>
+  <table class="details">
+    ${row(t('summary.name'), client.name)}
+    ${row(t('summary.email'), client.email)}
+    ${row(t('summary.phone'), client.phone)}
+    ${row(t('summary.address'), client.address)}
+    ${row(t('quote.document.leadReference'), referenceNumber)}
+  </table>
+
+  <h2>${escapeHtml(t('quote.document.scope'))}</h2>
+  ${getLinesTable(quote.lines, i18n)}
+
+  <div class="total">
+    <div>${escapeHtml(t('quote.document.total'))}</div>
+    <div class="amount">${formatCurrency(quote.total)}</div>
+    <div>${escapeHtml(t('quote.validUntil', { date: formatDate(new Date(quote.validUntil)) }))}</div>
+  </div>
+
+  ${termLines.length > 0 ? `<h2>${escapeHtml(t('quote.terms'))}</h2>
+  <ul>${termLines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` : ''}
+
+  <div class="signatures">
+    <div>${escapeHtml(t('quote.document.acceptedBy'))}</div>
+    <div>${escapeHtml(t('quote.document.date'))}</div>
+  </div>
+
+  <footer>
+    ${escapeHtml(t('quote.document.footer', { quoteNumber }))}
+  </footer>
+</body>
+</html>
+`;
+};
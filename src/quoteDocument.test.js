@@ -0,0 +1,60 @@
+import { buildQuoteDocument, buildQuoteJson } from './quoteDocument';
+import { buildQuote } from './quote';
+import { createI18n } from './i18n';
+
+const project = {
+  projectType: 'exterior',
+  squareFootage: 2400,
+  surfaces: ['vinyl_siding', 'trim'],
+  paintTier: 'premium',
+  difficultyLevel: 'standard',
+  coats: '2',
+  addOns: [],
+  zip: '80521'
+};
+
+const quote = buildQuote(project, undefined, {
+  issuedAt: new Date('2026-10-19T17:00:00Z'),
+  customItems: [{ description: 'Pressure washing', quantity: '1', unit: 'house', unitCost: '250' }]
+});
+
+const details = {
+  quoteNumber: 'Q-20261019-K4Z7Q',
+  referenceNumber: 'LP-20261019-K4Z7Q',
+  client: { name: 'Jo <Smith>', email: 'jo@example.com', phone: '', address: '12 Elm St, Fort Collins, CO 80521' },
+  terms: 'Deposit due on signing\n\nBalance due on completion'
+};
+
+test('the printable quote shows the fixed total, line prices, validity and terms', () => {
+  const html = buildQuoteDocument(quote, details);
+  const labor = quote.lines.find(line => line.id === 'labor');
+
+  expect(html).toContain('Q-20261019-K4Z7Q');
+  expect(html).toContain('LP-20261019-K4Z7Q');
+  expect(html).toContain(`$${quote.total.toLocaleString('en-US')}`);
+  expect(html).toContain('Valid until November 18, 2026');
+  expect(html).toContain(`${labor.quantity} hours`);
+  expect(html).toContain('Pressure washing');
+  expect(html).toContain('<li>Balance due on completion</li>');
+  expect(html).toContain('Jo &lt;Smith&gt;');
+  expect(html).not.toContain('<th>Phone</th>');
+});
+
+test('the printable quote follows the language', () => {
+  expect(buildQuoteDocument(quote, details, createI18n('es'))).toContain('Precio fijo');
+});
+
+test('the JSON export carries costs and prices for every line', () => {
+  const exported = JSON.parse(buildQuoteJson(quote, details));
+
+  expect(exported).toMatchObject({
+    quoteNumber: 'Q-20261019-K4Z7Q',
+    referenceNumber: 'LP-20261019-K4Z7Q',
+    validUntil: quote.validUntil,
+    total: quote.total,
+    margin: 40,
+    terms: details.terms
+  });
+  expect(exported.lines).toHaveLength(quote.lines.length);
+  expect(exported.lines[0]).toEqual(expect.objectContaining({ id: 'labor', description: 'Painting labor', unit: 'hours', cost: quote.lines[0].total, price: quote.lines[0].price }));
+});
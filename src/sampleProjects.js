@@ -0,0 +1,55 @@
+// Representative jobs used to preview how rate changes move real quotes.
+// Each project is in the shape calculateEstimate expects.
+
+const bedroom = { name: 'Bedroom', length: '12', width: '11', ceilingHeight: '8', doors: '1', windows: '1', surfaces: ['walls', 'trim'], paintTier: '' };
+const livingRoom = { name: 'Living Room', length: '20', width: '16', ceilingHeight: '9', doors: '2', windows: '3', surfaces: ['walls', 'ceilings', 'trim'], paintTier: '' };
+const kitchen = { name: 'Kitchen', length: '14', width: '12', ceilingHeight: '9', doors: '1', windows: '2', surfaces: ['walls', 'ceilings'], paintTier: '' };
+
+export const SAMPLE_PROJECTS = [
+  {
+    id: 'single-bedroom',
+    name: 'Single bedroom refresh',
+    project: { projectType: 'interior', paintTier: 'standard', difficultyLevel: 'basic', rooms: [bedroom] }
+  },
+  {
+    id: 'main-floor',
+    name: 'Main floor interior',
+    project: { projectType: 'interior', paintTier: 'premium', difficultyLevel: 'standard', rooms: [livingRoom, kitchen, bedroom, bedroom] }
+  },
+  {
+    id: 'kitchen-cabinets',
+    name: 'Kitchen with cabinet refinishing',
+    project: {
+      projectType: 'interior',
+      paintTier: 'standard',
+      difficultyLevel: 'standard',
+      rooms: [kitchen],
+      addOns: [{ id: 'cabinet_refinishing', quantity: '24' }, { id: 'drywall_repair', quantity: '3' }]
+    }
+  },
+  {
+    id: 'vinyl-ranch',
+    name: 'Vinyl ranch exterior',
+    project: { projectType: 'exterior', squareFootage: 1800, surfaces: ['vinyl_siding', 'trim'], paintTier: 'standard', difficultyLevel: 'basic' }
+  },
+  {
+    id: 'stucco-two-story',
+    name: 'Two-story stucco exterior',
+    project: { projectType: 'exterior', squareFootage: 3200, surfaces: ['stucco', 'trim'], paintTier: 'premium', difficultyLevel: 'moderate' }
+  },
+  {
+    id: 'historic-brick',
+    name: 'Historic brick restoration',
+    project: { projectType: 'exterior', squareFootage: 2600, surfaces: ['brick', 'wood_siding', 'trim'], surfaceShares: { brick: 75, wood_siding: 25 }, paintTier: 'designer', difficultyLevel: 'high_difficulty' }
+  },
+  {
+    id: 'whole-home',
+    name: 'Whole home, inside and out',
+    project: {
+      projectType: 'both',
+      difficultyLevel: 'standard',
+      interior: { paintTier: 'premium', rooms: [livingRoom, kitchen, bedroom] },
+      exterior: { squareFootage: 2400, surfaces: ['wood_siding', 'trim'], paintTier: 'premium' }
+    }
+  }
+];
@@ -0,0 +1,177 @@
+import { validateProjectInfo } from './validation';
+import { assessDifficulty, isAssessmentComplete, keepValidAnswers } from './difficultyAssessment';
+import { HOUSE_FIELDS } from './projectForm';
+
+// Shareable estimate links: the project inputs (never contact details) are
+// serialized into URL query parameters, and values coming back in from a link
+// go through the same validation as the form itself.
+
+const PARAMS = {
+  projectType: 'type',
+  squareFootage: 'sqft',
+  exteriorDimensions: 'house',
+  paintTier: 'paint',
+  exteriorPaintTier: 'extPaint',
+  surfaces: 'surfaces',
+  surfaceShares: 'shares',
+  coats: 'coats',
+  difficultyLevel: 'difficulty',
+  difficultyAnswers: 'home',
+  rooms: 'room',
+  addOns: 'addon'
+};
+
+const ROOM_SEPARATOR = '|';
+const LIST_SEPARATOR = ',';
+const ROOM_SURFACE_SEPARATOR = '.';
+const ADD_ON_SEPARATOR = ':';
+const ANSWER_SEPARATOR = ':';
+const SHARE_SEPARATOR = ':';
+
+const encodeRoom = (room) => [
+  room.name.split(ROOM_SEPARATOR).join(' '),
+  room.length,
+  room.width,
+  room.ceilingHeight,
+  room.doors,
+  room.windows,
+  room.surfaces.join(ROOM_SURFACE_SEPARATOR),
+  room.paintTier
+].join(ROOM_SEPARATOR);
+
+const toNumberString = (value) => (/^\d+(\.\d+)?$/.test(value || '') ? value : '');
+
+const decodeRoom = (value) => {
+  const [name = '', length, width, ceilingHeight, doors, windows, surfaces = '', paintTier = ''] = value.split(ROOM_SEPARATOR);
+  return {
+    name,
+    length: toNumberString(length),
+    width: toNumberString(width),
+    ceilingHeight: toNumberString(ceilingHeight),
+    doors: toNumberString(doors) || '0',
+    windows: toNumberString(windows) || '0',
+    surfaces: surfaces ? surfaces.split(ROOM_SURFACE_SEPARATOR) : [],
+    paintTier
+  };
+};
+
+export const buildShareParams = (formData) => {
+  const params = new URLSearchParams();
+  const { projectType } = formData;
+
+  params.set(PARAMS.projectType, projectType);
+  if (projectType !== 'interior') {
+    if (formData.exteriorMeasurement === 'footprint') {
+      params.set(PARAMS.exteriorDimensions, HOUSE_FIELDS.map(field => formData.exteriorDimensions[field]).join(LIST_SEPARATOR));
+    } else {
+      params.set(PARAMS.squareFootage, formData.squareFootage);
+    }
+    if (formData.surfaces.length > 0) {
+      params.set(PARAMS.surfaces, formData.surfaces.join(LIST_SEPARATOR));
+    }
+    const shares = Object.entries(formData.surfaceShares).filter(([siding, share]) => formData.surfaces.includes(siding) && share);
+    if (shares.length > 0) {
+      params.set(PARAMS.surfaceShares, shares.map(([siding, share]) => `${siding}${SHARE_SEPARATOR}${share}`).join(LIST_SEPARATOR));
+    }
+  }
+  if (projectType === 'interior' || projectType === 'both') {
+    formData.rooms.forEach(room => params.append(PARAMS.rooms, encodeRoom(room)));
+  }
+  if (formData.paintTier) {
+    params.set(PARAMS.paintTier, formData.paintTier);
+  }
+  if (projectType === 'both' && formData.exteriorPaintTier) {
+    params.set(PARAMS.exteriorPaintTier, formData.exteriorPaintTier);
+  }
+  formData.addOns.forEach(({ id, quantity }) => params.append(PARAMS.addOns, `${id}${ADD_ON_SEPARATOR}${quantity}`));
+  params.set(PARAMS.coats, formData.coats);
+  params.set(PARAMS.difficultyLevel, formData.difficultyLevel);
+  const answers = Object.entries(formData.difficultyAnswers).filter(([, value]) => value);
+  if (answers.length > 0) {
+    params.set(PARAMS.difficultyAnswers, answers.map(([id, value]) => `${id}${ANSWER_SEPARATOR}${value}`).join(LIST_SEPARATOR));
+  }
+
+  return params;
+};
+
+export const buildShareUrl = (formData, location = window.location) =>
+  `${location.origin}${location.pathname}?${buildShareParams(formData)}`;
+
+export const hasShareParams = (search) => new URLSearchParams(search).has(PARAMS.projectType);
+
+// Returns { fields, rejected } where fields holds only the values that pass
+// validation and rejected lists the names of the fields that were dropped.
+// Returns null when the URL isn't a share link.
+export const parseShareParams = (search, defaults) => {
+  if (!hasShareParams(search)) {
+    return null;
+  }
+
+  const params = new URLSearchParams(search);
+  const fields = {};
+
+  ['projectType', 'squareFootage', 'paintTier', 'exteriorPaintTier', 'coats', 'difficultyLevel'].forEach(field => {
+    if (params.has(PARAMS[field])) {
+      fields[field] = params.get(PARAMS[field]).trim();
+    }
+  });
+  // Links carry either the house measurements or a square footage
+  if (params.has(PARAMS.exteriorDimensions)) {
+    const values = params.get(PARAMS.exteriorDimensions).split(LIST_SEPARATOR);
+    fields.exteriorMeasurement = 'footprint';
+    fields.exteriorDimensions = Object.fromEntries(HOUSE_FIELDS.map((field, index) => [field, toNumberString(values[index])]));
+  } else if (params.has(PARAMS.squareFootage)) {
+    fields.exteriorMeasurement = 'area';
+  }
+  if (params.has(PARAMS.surfaces)) {
+    fields.surfaces = params.get(PARAMS.surfaces).split(LIST_SEPARATOR).filter(Boolean);
+  }
+  if (params.has(PARAMS.surfaceShares)) {
+    fields.surfaceShares = Object.fromEntries(params.get(PARAMS.surfaceShares).split(LIST_SEPARATOR).filter(Boolean).map(value => {
+      const [siding = '', share = ''] = value.split(SHARE_SEPARATOR);
+      return [siding, toNumberString(share)];
+    }));
+  }
+  if (params.has(PARAMS.rooms)) {
+    fields.rooms = params.getAll(PARAMS.rooms).map(decodeRoom);
+  }
+  if (params.has(PARAMS.addOns)) {
+    fields.addOns = params.getAll(PARAMS.addOns).map(value => {
+      const [id = '', quantity = ''] = value.split(ADD_ON_SEPARATOR);
+      return { id, quantity: toNumberString(quantity) };
+    });
+  }
+
+  const rejected = [];
+
+  // A partly answered questionnaire is fine; only unknown answers are dropped
+  if (params.has(PARAMS.difficultyAnswers)) {
+    const answers = Object.fromEntries(params.get(PARAMS.difficultyAnswers).split(LIST_SEPARATOR).filter(Boolean)
+      .map(value => value.split(ANSWER_SEPARATOR)));
+    fields.difficultyAnswers = keepValidAnswers(answers);
+    if (Object.keys(answers).some(id => fields.difficultyAnswers[id] !== answers[id])) {
+      rejected.push('difficultyAnswers');
+    }
+    // The answers decide the level, whatever the link says
+    if (isAssessmentComplete(fields.difficultyAnswers)) {
+      fields.difficultyLevel = assessDifficulty(fields.difficultyAnswers).level;
+    }
+  }
+
+  const errors = validateProjectInfo({ ...defaults, ...fields });
+
+  Object.keys(fields).forEach(field => {
+    if (field === 'rooms') {
+      const validRooms = fields.rooms.filter((room, index) => !errors[`room${index}`]);
+      if (validRooms.length < fields.rooms.length) {
+        rejected.push('rooms');
+      }
+      fields.rooms = validRooms;
+    } else if (errors[field] && field !== 'difficultyAnswers') {
+      rejected.push(field);
+      delete fields[field];
+    }
+  });
+
+  return { fields, rejected };
+};
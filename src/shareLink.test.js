@@ -0,0 +1,103 @@
+import { INITIAL_FORM_DATA } from './projectForm';
+import { buildShareParams, parseShareParams } from './shareLink';
+import { EMPTY_ANSWERS } from './difficultyAssessment';
+
+const formData = {
+  ...INITIAL_FORM_DATA,
+  clientName: 'Pat Lee',
+  email: 'pat@example.com',
+  phone: '(970) 555-1234',
+  street: '12 Elm St',
+  city: 'Fort Collins',
+  zip: '80521',
+  projectType: 'both',
+  exteriorMeasurement: 'area',
+  squareFootage: '2200',
+  surfaces: ['stucco', 'brick', 'trim'],
+  surfaceShares: { stucco: '80', brick: '20' },
+  paintTier: 'premium',
+  exteriorPaintTier: 'standard',
+  rooms: [{ id: 1, name: 'Den | Office', length: '12', width: '10', ceilingHeight: '8', doors: '1', windows: '2', surfaces: ['walls', 'trim'], paintTier: '' }],
+  addOns: [{ id: 'door_painting', quantity: '4' }],
+  coats: '3',
+  difficultyAnswers: { ...EMPTY_ANSWERS, yearBuilt: 'before1940', peeling: 'some' },
+  difficultyLevel: 'moderate'
+};
+
+test('round-trips project inputs through the query string', () => {
+  const { fields, rejected } = parseShareParams(`?${buildShareParams(formData)}`, INITIAL_FORM_DATA);
+
+  expect(rejected).toEqual([]);
+  expect(fields).toEqual({
+    projectType: 'both',
+    exteriorMeasurement: 'area',
+    squareFootage: '2200',
+    surfaces: ['stucco', 'brick', 'trim'],
+    surfaceShares: { stucco: '80', brick: '20' },
+    paintTier: 'premium',
+    exteriorPaintTier: 'standard',
+    coats: '3',
+    difficultyLevel: 'moderate',
+    difficultyAnswers: { ...EMPTY_ANSWERS, yearBuilt: 'before1940', peeling: 'some' },
+    addOns: [{ id: 'door_painting', quantity: '4' }],
+    rooms: [{ name: 'Den   Office', length: '12', width: '10', ceilingHeight: '8', doors: '1', windows: '2', surfaces: ['walls', 'trim'], paintTier: '' }]
+  });
+});
+
+test('never puts contact details in the link', () => {
+  const query = buildShareParams(formData).toString();
+
+  ['Pat', 'pat%40example.com', '555', 'Elm'].forEach(value => {
+    expect(query).not.toContain(value);
+  });
+});
+
+test('drops values that fail form validation', () => {
+  const { fields, rejected } = parseShareParams(
+    '?type=exterior&sqft=50&paint=gold&surfaces=brick,glass&difficulty=complex&coats=2&addon=moat_digging:3',
+    INITIAL_FORM_DATA
+  );
+
+  expect(fields).toEqual({ projectType: 'exterior', exteriorMeasurement: 'area', difficultyLevel: 'complex', coats: '2' });
+  expect(rejected).toEqual(['squareFootage', 'paintTier', 'surfaces', 'addOns']);
+});
+
+test('drops siding shares that do not add up to 100%', () => {
+  const { fields, rejected } = parseShareParams('?type=exterior&sqft=2000&surfaces=stucco,brick&shares=stucco:80,brick:30', INITIAL_FORM_DATA);
+
+  expect(fields.surfaces).toEqual(['stucco', 'brick']);
+  expect(fields).not.toHaveProperty('surfaceShares');
+  expect(rejected).toEqual(['surfaceShares']);
+});
+
+test('carries the house measurements instead of a square footage', () => {
+  const measured = {
+    ...formData,
+    projectType: 'exterior',
+    exteriorMeasurement: 'footprint',
+    exteriorDimensions: { perimeter: '160', stories: '2', gables: '2', garageDoors: '1', windows: '12', doors: '2' }
+  };
+  const params = buildShareParams(measured);
+
+  expect(params.has('sqft')).toBe(false);
+  expect(parseShareParams(`?${params}`, INITIAL_FORM_DATA).fields).toMatchObject({
+    exteriorMeasurement: 'footprint',
+    exteriorDimensions: measured.exteriorDimensions
+  });
+  expect(parseShareParams('?type=exterior&house=10,2', INITIAL_FORM_DATA).rejected).toEqual(['exteriorDimensions']);
+});
+
+test('a complete questionnaire decides the difficulty level', () => {
+  const { fields, rejected } = parseShareParams(
+    '?type=interior&difficulty=basic&home=yearBuilt:before1940,peeling:widespread,wallDamage:major,ceilingHeight:standard,colorChange:yes,occupancy:empty,pets:dog',
+    INITIAL_FORM_DATA
+  );
+
+  expect(fields.difficultyLevel).toBe('high_difficulty');
+  expect(fields.difficultyAnswers).not.toHaveProperty('pets');
+  expect(rejected).toEqual(['difficultyAnswers']);
+});
+
+test('ignores URLs that are not share links', () => {
+  expect(parseShareParams('?utm_source=newsletter', INITIAL_FORM_DATA)).toBeNull();
+});
@@ -0,0 +1,163 @@
+import { interceptFetch } from '../mock-api/fetchInterceptor';
+import { createEstimatesApi } from '../mock-api/estimatesApi';
+import { buildSubmissionData, INITIAL_FORM_DATA, leadToFormData } from './projectForm';
+import { fetchLead, getQueuedSubmissions, processSubmissionQueue, startStaffSession, submitEstimate, SUBMISSION_STATUS } from './submissionService';
+
+const formData = {
+  ...INITIAL_FORM_DATA,
+  clientName: 'Jo Smith',
+  email: 'jo@example.com',
+  street: '12 Elm St',
+  city: 'Fort Collins',
+  zip: '80521',
+  projectType: 'both',
+  exteriorMeasurement: 'area',
+  squareFootage: '2000',
+  surfaces: ['wood_siding', 'trim'],
+  paintTier: 'premium',
+  exteriorPaintTier: 'standard',
+  rooms: [{ id: 1, name: 'Den', length: '12', width: '10', ceilingHeight: '8', doors: '1', windows: '1', surfaces: ['walls'], paintTier: '' }]
+};
+
+const submission = { ...buildSubmissionData(formData), referenceNumber: 'LP-20240315-AB12C' };
+const url = 'https://estimates.example.com/api/estimates';
+const sessionsUrl = 'https://estimates.example.com/api/staff/sessions';
+const staffPassword = 'staff password';
+
+const logIn = async () => (await startStaffSession(staffPassword, { url: sessionsUrl })).token;
+
+let mock;
+
+beforeEach(() => {
+  mock = interceptFetch(createEstimatesApi({ staffPassword }));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  mock.restore();
+  console.error.mockRestore();
+  window.localStorage.clear();
+});
+
+test('the calculator payload is accepted and stored as a lead', async () => {
+  const result = await submitEstimate(submission, { url });
+
+  expect(result.status).toBe(SUBMISSION_STATUS.SENT);
+  expect(mock.api.leads).toEqual([expect.objectContaining({ referenceNumber: submission.referenceNumber, squareFootage: 2120 })]);
+});
+
+test('leads carry the structured address and are flagged when out of the service area', () => {
+  expect(submission).toEqual(expect.objectContaining({
+    address: '12 Elm St, Fort Collins, CO 80521',
+    addressParts: { street: '12 Elm St', city: 'Fort Collins', state: 'CO', zip: '80521' },
+    travelZone: 'local',
+    outOfServiceArea: false
+  }));
+  expect(buildSubmissionData({ ...formData, city: 'Denver', zip: '80202' })).toEqual(expect.objectContaining({
+    travelZone: null,
+    outOfServiceArea: true
+  }));
+});
+
+test('malformed payloads are rejected without queueing', async () => {
+  const result = await submitEstimate({ ...submission, email: 'not-an-email', coats: 5 }, { url });
+
+  expect(result.status).toBe(SUBMISSION_STATUS.FAILED);
+  expect(mock.api.leads).toEqual([]);
+  expect(getQueuedSubmissions()).toEqual([]);
+});
+
+test('server errors are queued and delivered on retry', async () => {
+  mock.api.simulate(503);
+
+  expect((await submitEstimate(submission, { url })).status).toBe(SUBMISSION_STATUS.PENDING);
+  expect(mock.api.leads).toEqual([]);
+
+  const [retried] = await processSubmissionQueue({ url, force: true });
+  expect(retried.status).toBe(SUBMISSION_STATUS.SENT);
+  expect(mock.api.leads).toHaveLength(1);
+});
+
+test('requests that never get an answer time out and are queued', async () => {
+  mock.api.simulate('timeout');
+
+  const result = await submitEstimate(submission, { url, timeout: 10 });
+
+  expect(result).toEqual(expect.objectContaining({ status: SUBMISSION_STATUS.PENDING, error: 'No response after 0.01s' }));
+  expect(getQueuedSubmissions()).toHaveLength(1);
+});
+
+test('client errors fail immediately', async () => {
+  mock.api.simulate(400);
+
+  expect((await submitEstimate(submission, { url })).status).toBe(SUBMISSION_STATUS.FAILED);
+});
+
+test('attached photos reach the lead and are kept for retries', async () => {
+  const photos = [{ id: 1, name: 'siding.jpg', blob: new Blob(['jpeg'], { type: 'image/jpeg' }) }];
+  mock.api.simulate(503);
+
+  await submitEstimate(submission, { url, photos });
+  await processSubmissionQueue({ url, force: true });
+
+  expect(mock.api.leads).toEqual([expect.objectContaining({
+    referenceNumber: submission.referenceNumber,
+    photos: [{ name: 'siding.jpg', type: 'image/jpeg', size: 4 }]
+  })]);
+});
+
+test('photos of the wrong type are rejected', async () => {
+  const photos = [{ id: 1, name: 'notes.txt', blob: new Blob(['text'], { type: 'text/plain' }) }];
+
+  expect((await submitEstimate(submission, { url, photos })).status).toBe(SUBMISSION_STATUS.FAILED);
+  expect(mock.api.leads).toEqual([]);
+});
+
+test('staff can look a lead up by reference and reopen it in the form', async () => {
+  await submitEstimate(submission, { url });
+  const result = await fetchLead(` ${submission.referenceNumber} `, { token: await logIn(), url });
+  const { submittedAt, ...reopened } = buildSubmissionData(leadToFormData(result.lead));
+  const { submittedAt: originalSubmittedAt, referenceNumber, ...original } = submission;
+
+  expect(result.ok).toBe(true);
+  expect(reopened).toEqual(original);
+});
+
+test('leads from before rooms, add-ons and the split address still reopen', async () => {
+  const { rooms, addOns, addressParts, ...olderLead } = { ...submission, projectType: 'exterior', squareFootage: 2000 };
+  mock.api.leads.push(olderLead);
+
+  const result = await fetchLead(submission.referenceNumber, { token: await logIn(), url });
+
+  expect(leadToFormData(result.lead)).toEqual(expect.objectContaining({
+    rooms: [],
+    addOns: [],
+    street: '12 Elm St',
+    city: 'Fort Collins',
+    zip: '80521',
+    squareFootage: '2000'
+  }));
+});
+
+test('looking up an unknown reference reports it as not found', async () => {
+  expect(await fetchLead('LP-20240315-NOPE0', { token: await logIn(), url })).toEqual({
+    ok: false,
+    notFound: true,
+    unauthorized: false,
+    error: 'HTTP 404 Not Found'
+  });
+});
+
+test('leads are only handed out to a staff session the server issued', async () => {
+  await submitEstimate(submission, { url });
+
+  expect(await fetchLead(submission.referenceNumber, { url })).toEqual({
+    ok: false,
+    notFound: false,
+    unauthorized: true,
+    error: 'HTTP 401 Unauthorized'
+  });
+  expect((await fetchLead(submission.referenceNumber, { token: staffPassword, url })).unauthorized).toBe(true);
+  expect(await startStaffSession('guess', { url: sessionsUrl })).toEqual({ ok: false, unauthorized: true, error: 'HTTP 401 Unauthorized' });
+  expect((await fetchLead(submission.referenceNumber, { token: await logIn(), url })).ok).toBe(true);
+});
@@ -0,0 +1,278 @@
+// Sends estimate requests to the estimates API. Submissions that can't be
+// delivered (offline, server errors) are kept in a localStorage queue and
+// retried with exponential backoff, so a lead is never lost to a bad
+// connection.
+//
+// Requests with photos are sent as multipart form data: the JSON payload in a
+// "submission" field and each photo as a "photos" file. Photos are too large
+// for localStorage, so queued ones are only kept in memory; a request retried
+// after a reload goes out without them.
+//
+// Staff mode logs in to the API for a session token (startStaffSession) and
+// reads submitted leads back by reference number with it (fetchLead).
+
+export const ESTIMATES_API_URL =
+  process.env.REACT_APP_ESTIMATES_API_URL || 'https://painting-calculator-back-end.onrender.com/api/estimates';
+
+export const STAFF_SESSIONS_URL =
+  process.env.REACT_APP_STAFF_SESSIONS_URL || ESTIMATES_API_URL.replace(/\/estimates$/, '/staff/sessions');
+
+export const SUBMISSION_QUEUE_KEY = 'limePaintingCalculatorSubmissionQueue';
+
+export const SUBMISSION_STATUS = {
+  SENDING: 'sending',
+  SENT: 'sent',
+  PENDING: 'pending',
+  FAILED: 'failed'
+};
+
+// A request that hasn't answered by then is abandoned and retried later
+export const SUBMISSION_TIMEOUT = 20000;
+
+// Retries wait 5s, 10s, 20s, ... capped at 5 minutes, and stop after MAX_ATTEMPTS
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+export const MAX_ATTEMPTS = 8;
+
+export const getRetryDelay = (attempts) =>
+  Math.min(RETRY_BASE_DELAY * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY);
+
+const getStorage = () => {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    // Storage can be disabled or blocked (e.g. private browsing)
+    return null;
+  }
+};
+
+export const getQueuedSubmissions = () => {
+  const storage = getStorage();
+
+  try {
+    const queue = JSON.parse(storage && storage.getItem(SUBMISSION_QUEUE_KEY));
+    return Array.isArray(queue) ? queue : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const saveQueue = (queue) => {
+  const storage = getStorage();
+  if (!storage) {
+    return;
+  }
+
+  try {
+    if (queue.length > 0) {
+      storage.setItem(SUBMISSION_QUEUE_KEY, JSON.stringify(queue));
+    } else {
+      storage.removeItem(SUBMISSION_QUEUE_KEY);
+    }
+  } catch (error) {
+    console.warn('Could not save submission queue:', error);
+  }
+};
+
+// Photos waiting in the retry queue, by reference number
+const queuedPhotos = new Map();
+
+const buildRequestBody = (submission, photos) => {
+  if (photos.length === 0) {
+    return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(submission) };
+  }
+
+  // The browser sets the multipart Content-Type with its boundary
+  const body = new FormData();
+  body.append('submission', JSON.stringify(submission));
+  photos.forEach(photo => body.append('photos', photo.blob, photo.name));
+  return { headers: {}, body };
+};
+
+// Network failures, timeouts, rate limiting and server errors are worth
+// retrying; any other 4xx means the server rejected the request itself
+const isRetryableStatus = (status) => status >= 500 || status === 408 || status === 429;
+
+// photos is a list of { name, blob } from compressPhoto.
+// Never rejects: resolves to { ok: true } or { ok: false, retryable, error }
+export const sendSubmission = async (submission, url = ESTIMATES_API_URL, timeout = SUBMISSION_TIMEOUT, photos = []) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      ...buildRequestBody(submission, photos),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      return {
+        ok: false,
+        retryable: isRetryableStatus(response.status),
+        error: `HTTP ${response.status} ${response.statusText}`
+      };
+    }
+
+    return { ok: true };
+  } catch (error) {
+    return {
+      ok: false,
+      retryable: true,
+      error: error.name === 'AbortError' ? `No response after ${timeout / 1000}s` : error.message
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const enqueue = (submission, photos, error, now) => {
+  const queue = getQueuedSubmissions().filter(item => item.referenceNumber !== submission.referenceNumber);
+  queue.push({
+    referenceNumber: submission.referenceNumber,
+    submission,
+    attempts: 1,
+    nextAttemptAt: now + getRetryDelay(1),
+    lastError: error
+  });
+  saveQueue(queue);
+  if (photos.length > 0) {
+    queuedPhotos.set(submission.referenceNumber, photos);
+  }
+};
+
+// Returns { status, referenceNumber, error? } where status is SENT, PENDING
+// (queued for retry) or FAILED (rejected by the server; retrying won't help)
+export const submitEstimate = async (submission, { url = ESTIMATES_API_URL, now = Date.now(), timeout, photos = [] } = {}) => {
+  const { referenceNumber } = submission;
+  const { ok, retryable, error } = await sendSubmission(submission, url, timeout, photos);
+
+  if (ok) {
+    return { status: SUBMISSION_STATUS.SENT, referenceNumber };
+  }
+
+  console.error('Submission failed:', error);
+
+  if (!retryable) {
+    return { status: SUBMISSION_STATUS.FAILED, referenceNumber, error };
+  }
+
+  enqueue(submission, photos, error, now);
+  return { status: SUBMISSION_STATUS.PENDING, referenceNumber, error };
+};
+
+let isProcessing = false;
+
+// Retries queued submissions whose backoff has elapsed (or all of them when
+// force is set, e.g. when the browser comes back online). Returns one result
+// per submission attempted, in the same shape as submitEstimate.
+export const processSubmissionQueue = async ({ url = ESTIMATES_API_URL, now = Date.now(), force = false, timeout } = {}) => {
+  if (isProcessing) {
+    return [];
+  }
+
+  isProcessing = true;
+  const results = [];
+
+  try {
+    for (const item of getQueuedSubmissions()) {
+      if (!force && item.nextAttemptAt > now) {
+        continue;
+      }
+
+      const { referenceNumber } = item;
+      const { ok, retryable, error } = await sendSubmission(item.submission, url, timeout, queuedPhotos.get(referenceNumber));
+      const attempts = item.attempts + 1;
+
+      // Re-read the queue each time so submissions added while this one was in flight are kept
+      const queue = getQueuedSubmissions();
+
+      if (ok) {
+        results.push({ status: SUBMISSION_STATUS.SENT, referenceNumber });
+        saveQueue(queue.filter(queued => queued.referenceNumber !== referenceNumber));
+        queuedPhotos.delete(referenceNumber);
+      } else if (!retryable || attempts >= MAX_ATTEMPTS) {
+        results.push({ status: SUBMISSION_STATUS.FAILED, referenceNumber, error });
+        saveQueue(queue.filter(queued => queued.referenceNumber !== referenceNumber));
+        queuedPhotos.delete(referenceNumber);
+      } else {
+        results.push({ status: SUBMISSION_STATUS.PENDING, referenceNumber, error });
+        saveQueue(queue.map(queued => (queued.referenceNumber === referenceNumber
+          ? { ...queued, attempts, nextAttemptAt: now + getRetryDelay(attempts), lastError: error }
+          : queued)));
+      }
+    }
+  } finally {
+    isProcessing = false;
+  }
+
+  return results;
+};
+
+// Logs staff in: the API checks the password and issues a session token for
+// fetchLead. The password is never checked in the browser.
+// Never rejects: resolves to { ok: true, token } or { ok: false, unauthorized, error }
+export const startStaffSession = async (password, { url = STAFF_SESSIONS_URL, timeout = SUBMISSION_TIMEOUT } = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password }),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      return { ok: false, unauthorized: response.status === 401, error: `HTTP ${response.status} ${response.statusText}` };
+    }
+
+    const { token } = await response.json();
+    return { ok: true, token };
+  } catch (error) {
+    return {
+      ok: false,
+      unauthorized: false,
+      error: error.name === 'AbortError' ? `No response after ${timeout / 1000}s` : error.message
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Looks up a submitted lead by reference number, for staff turning it into a quote.
+// Leads hold customers' contact details, so the API only answers requests
+// carrying a staff session token from startStaffSession.
+// Never rejects: resolves to { ok: true, lead } or { ok: false, notFound, unauthorized, error }
+export const fetchLead = async (referenceNumber, { token, url = ESTIMATES_API_URL, timeout = SUBMISSION_TIMEOUT } = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(`${url}/${encodeURIComponent(referenceNumber.trim())}`, {
+      headers: { Authorization: `Bearer ${token}` },
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      return {
+        ok: false,
+        notFound: response.status === 404,
+        unauthorized: response.status === 401,
+        error: `HTTP ${response.status} ${response.statusText}`
+      };
+    }
+
+    return { ok: true, lead: await response.json() };
+  } catch (error) {
+    return {
+      ok: false,
+      notFound: false,
+      unauthorized: false,
+      error: error.name === 'AbortError' ? `No response after ${timeout / 1000}s` : error.message
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+};
@@ -0,0 +1,116 @@
+import {
+  getQueuedSubmissions,
+  getRetryDelay,
+  MAX_ATTEMPTS,
+  processSubmissionQueue,
+  submitEstimate,
+  SUBMISSION_QUEUE_KEY,
+  SUBMISSION_STATUS
+} from './submissionService';
+
+const submission = { referenceNumber: 'LP-20240315-AB12C', clientName: 'Jo Smith' };
+const url = '/api/estimates';
+
+const mockFetchResponse = (response) => {
+  global.fetch = jest.fn(() => Promise.resolve(response));
+};
+
+const mockFetchOffline = () => {
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+  window.localStorage.clear();
+  delete global.fetch;
+});
+
+test('posts the submission to the configured endpoint', async () => {
+  mockFetchResponse({ ok: true, status: 201 });
+
+  const result = await submitEstimate(submission, { url });
+
+  expect(result).toEqual({ status: SUBMISSION_STATUS.SENT, referenceNumber: submission.referenceNumber });
+  expect(global.fetch).toHaveBeenCalledWith(url, expect.objectContaining({
+    method: 'POST',
+    body: JSON.stringify(submission)
+  }));
+  expect(getQueuedSubmissions()).toEqual([]);
+});
+
+test('photos are sent as multipart form data alongside the submission', async () => {
+  mockFetchResponse({ ok: true, status: 201 });
+  const photos = [{ id: 1, name: 'deck.jpg', blob: new Blob(['jpeg'], { type: 'image/jpeg' }) }];
+
+  await submitEstimate(submission, { url, photos });
+
+  const { body, headers } = global.fetch.mock.calls[0][1];
+  expect(headers).not.toHaveProperty('Content-Type');
+  expect(JSON.parse(body.get('submission'))).toEqual(submission);
+  expect(body.getAll('photos')).toHaveLength(1);
+  expect(body.get('photos').name).toBe('deck.jpg');
+});
+
+test('queues submissions that fail from network or server errors', async () => {
+  mockFetchOffline();
+
+  const result = await submitEstimate(submission, { url, now: 1000 });
+
+  expect(result.status).toBe(SUBMISSION_STATUS.PENDING);
+  expect(getQueuedSubmissions()).toEqual([expect.objectContaining({
+    referenceNumber: submission.referenceNumber,
+    submission,
+    attempts: 1,
+    nextAttemptAt: 1000 + getRetryDelay(1)
+  })]);
+});
+
+test('does not queue submissions the server rejects', async () => {
+  mockFetchResponse({ ok: false, status: 422, statusText: 'Unprocessable Entity' });
+
+  const result = await submitEstimate(submission, { url });
+
+  expect(result).toEqual(expect.objectContaining({ status: SUBMISSION_STATUS.FAILED, error: 'HTTP 422 Unprocessable Entity' }));
+  expect(getQueuedSubmissions()).toEqual([]);
+});
+
+test('backs off exponentially up to a cap', () => {
+  expect([1, 2, 3].map(getRetryDelay)).toEqual([5000, 10000, 20000]);
+  expect(getRetryDelay(20)).toBe(5 * 60 * 1000);
+});
+
+test('retries queued submissions once their backoff has elapsed', async () => {
+  mockFetchOffline();
+  await submitEstimate(submission, { url, now: 0 });
+
+  expect(await processSubmissionQueue({ url, now: 1000 })).toEqual([]);
+
+  const retried = await processSubmissionQueue({ url, now: getRetryDelay(1) });
+  expect(retried).toEqual([expect.objectContaining({ status: SUBMISSION_STATUS.PENDING })]);
+  expect(getQueuedSubmissions()[0]).toEqual(expect.objectContaining({
+    attempts: 2,
+    nextAttemptAt: getRetryDelay(1) + getRetryDelay(2)
+  }));
+
+  mockFetchResponse({ ok: true, status: 201 });
+  const sent = await processSubmissionQueue({ url, now: getRetryDelay(1), force: true });
+  expect(sent).toEqual([{ status: SUBMISSION_STATUS.SENT, referenceNumber: submission.referenceNumber }]);
+  expect(window.localStorage.getItem(SUBMISSION_QUEUE_KEY)).toBeNull();
+});
+
+test('gives up after the maximum number of attempts', async () => {
+  mockFetchResponse({ ok: false, status: 503, statusText: 'Service Unavailable' });
+  await submitEstimate(submission, { url });
+
+  let results = [];
+  for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt += 1) {
+    results = await processSubmissionQueue({ url, force: true });
+  }
+
+  expect(results).toEqual([expect.objectContaining({ status: SUBMISSION_STATUS.FAILED })]);
+  expect(getQueuedSubmissions()).toEqual([]);
+});
@@ -0,0 +1,222 @@
+import { getExteriorAreas, isRoomComplete, ADD_ONS, EXTERIOR_SIDING, DIFFICULTY_MULTIPLIERS, SURFACE_MULTIPLIERS, TIER_NAMES } from './pricing';
+import { isMeasuredExterior, usesRooms } from './projectForm';
+import { isValidZip, STATE_PATTERN } from './address';
+import { isAssessmentComplete } from './difficultyAssessment';
+import { DEFAULT_I18N } from './i18n';
+
+// Validation rules shared by the calculator form and anything else that
+// accepts form values (e.g. shared links). Each validator returns an errors
+// map keyed by form field; an empty map means the values are valid. Messages
+// come from the catalogs through `t`, English unless the caller passes one.
+
+export const PROJECT_TYPES = ['interior', 'exterior', 'both'];
+
+export const EXTERIOR_MEASUREMENTS = ['footprint', 'area'];
+
+const isWholeNumber = (value) => /^\d+$/.test(String(value).trim());
+
+// Returns the message for the first problem with the house measurements, or null
+const getExteriorDimensionsError = (house, t) => {
+  if (!(parseFloat(house.perimeter) >= 40)) {
+    return t('validation.perimeterRequired');
+  }
+  if (!isWholeNumber(house.stories) || !(parseInt(house.stories) >= 1 && parseInt(house.stories) <= 4)) {
+    return t('validation.storiesInvalid');
+  }
+  if (!['gables', 'garageDoors', 'windows', 'doors'].every(field => isWholeNumber(house[field]))) {
+    return t('validation.exteriorCountsInvalid');
+  }
+  if (getExteriorAreas(house).wallArea < 100) {
+    return t('validation.wallAreaTooSmall');
+  }
+  return null;
+};
+
+const hasKey = (table, key) => Object.prototype.hasOwnProperty.call(table, key);
+
+export const validateEmail = (email) => {
+  const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+  return emailRegex.test(email);
+};
+
+export const validatePhoneNumber = (phone) => {
+  if (!phone) return true;
+  const phoneRegex = /^(\+1[-.\s]?)?\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})$/;
+  return phoneRegex.test(phone);
+};
+
+// Checks run while the customer is still typing: only fields with content are flagged
+export const getClientInfoErrors = (formData, t = DEFAULT_I18N.t) => {
+  const newErrors = {};
+
+  if (formData.clientName.trim().length > 0 && formData.clientName.trim().length < 2) {
+    newErrors.clientName = t('validation.nameTooShort');
+  } else if (formData.clientName.trim().length > 100) {
+    newErrors.clientName = t('validation.nameTooLong');
+  }
+
+  if (formData.email.trim().length > 0 && !validateEmail(formData.email)) {
+    newErrors.email = t('validation.emailInvalid');
+  }
+
+  if (formData.phone.trim().length > 0 && !validatePhoneNumber(formData.phone)) {
+    newErrors.phone = t('validation.phoneInvalidExample');
+  }
+
+  if (formData.zip.trim().length >= 5 && !isValidZip(formData.zip)) {
+    newErrors.zip = t('validation.zipInvalid');
+  }
+
+  return newErrors;
+};
+
+export const validateContactInfo = (formData, t = DEFAULT_I18N.t) => {
+  const newErrors = {};
+
+  if (!formData.clientName.trim()) {
+    newErrors.clientName = t('validation.nameRequired');
+  } else if (formData.clientName.trim().length < 2) {
+    newErrors.clientName = t('validation.nameTooShort');
+  } else if (formData.clientName.trim().length > 100) {
+    newErrors.clientName = t('validation.nameTooLong');
+  }
+
+  if (!formData.email.trim()) {
+    newErrors.email = t('validation.emailRequired');
+  } else if (!validateEmail(formData.email)) {
+    newErrors.email = t('validation.emailInvalid');
+  }
+
+  if (!formData.street.trim()) {
+    newErrors.street = t('validation.streetRequired');
+  }
+  if (!formData.city.trim()) {
+    newErrors.city = t('validation.cityRequired');
+  }
+  if (!STATE_PATTERN.test(formData.state.trim())) {
+    newErrors.state = t('validation.stateInvalid');
+  }
+  if (!formData.zip.trim()) {
+    newErrors.zip = t('validation.zipRequired');
+  } else if (!isValidZip(formData.zip)) {
+    newErrors.zip = t('validation.zipInvalid');
+  }
+
+  if (formData.phone.trim().length > 0 && !validatePhoneNumber(formData.phone)) {
+    newErrors.phone = t('validation.phoneInvalid');
+  }
+
+  return newErrors;
+};
+
+export const validateProjectInfo = (formData, t = DEFAULT_I18N.t) => {
+  const newErrors = {};
+
+  if (!PROJECT_TYPES.includes(formData.projectType)) {
+    newErrors.projectType = t('validation.projectTypeRequired');
+  }
+  if (usesRooms(formData.projectType)) {
+    if (formData.rooms.length === 0) {
+      newErrors.rooms = t('validation.roomsRequired');
+    }
+    formData.rooms.forEach((room, index) => {
+      if (!isRoomComplete(room)) {
+        newErrors[`room${index}`] = t('validation.roomIncomplete', { number: index + 1 });
+      } else if (room.surfaces.length === 0) {
+        newErrors[`room${index}`] = t('validation.roomNoSurfaces', { number: index + 1 });
+      } else if (room.surfaces.some(surface => !hasKey(SURFACE_MULTIPLIERS.interior, surface))
+        || (room.paintTier && !hasKey(TIER_NAMES, room.paintTier))) {
+        newErrors[`room${index}`] = t('validation.roomInvalid', { number: index + 1 });
+      }
+    });
+  }
+  if (formData.projectType !== 'interior') {
+    if (!EXTERIOR_MEASUREMENTS.includes(formData.exteriorMeasurement)) {
+      newErrors.exteriorMeasurement = t('validation.exteriorMeasurementRequired');
+    } else if (isMeasuredExterior(formData)) {
+      const dimensionsError = getExteriorDimensionsError(formData.exteriorDimensions, t);
+      if (dimensionsError) {
+        newErrors.exteriorDimensions = dimensionsError;
+      }
+    } else if (!formData.squareFootage.trim()) {
+      newErrors.squareFootage = t('validation.squareFootageRequired');
+    } else if (!(parseInt(formData.squareFootage) >= 100)) {
+      newErrors.squareFootage = t('validation.squareFootageTooSmall');
+    }
+    const sidings = formData.surfaces.filter(surface => EXTERIOR_SIDING.includes(surface));
+    if (formData.surfaces.some(surface => !hasKey(SURFACE_MULTIPLIERS.exterior, surface))) {
+      newErrors.surfaces = t('validation.surfacesInvalid');
+    } else if (sidings.length > 1) {
+      // A single siding covers all of the siding area; a mix needs its shares
+      const shares = sidings.map(siding => formData.surfaceShares[siding]);
+      const total = shares.reduce((sum, share) => sum + (parseInt(share) || 0), 0);
+      if (!shares.every(share => share !== undefined && isWholeNumber(share) && parseInt(share) > 0)) {
+        newErrors.surfaceShares = t('validation.surfaceSharesInvalid');
+      } else if (total !== 100) {
+        newErrors.surfaceShares = t('validation.surfaceSharesTotal', { total });
+      }
+    }
+  }
+  if (!hasKey(TIER_NAMES, formData.paintTier)) {
+    newErrors.paintTier = t('validation.paintTierRequired');
+  }
+  if (formData.projectType === 'both' && !hasKey(TIER_NAMES, formData.exteriorPaintTier)) {
+    newErrors.exteriorPaintTier = t('validation.exteriorPaintTierRequired');
+  }
+  if (!hasKey(DIFFICULTY_MULTIPLIERS, formData.difficultyLevel)) {
+    newErrors.difficultyLevel = t('validation.difficultyRequired');
+  }
+  // Staff can price a job without the questionnaire by overriding the level
+  if (!formData.difficultyOverride && !isAssessmentComplete(formData.difficultyAnswers)) {
+    newErrors.difficultyAnswers = t('validation.difficultyAnswersRequired');
+  } else if (formData.difficultyOverride && !hasKey(DIFFICULTY_MULTIPLIERS, formData.difficultyOverride)) {
+    newErrors.difficultyOverride = t('validation.difficultyRequired');
+  }
+  if (!['1', '2', '3'].includes(formData.coats)) {
+    newErrors.coats = t('validation.coatsRequired');
+  }
+  if (formData.addOns.some(addOn => !hasKey(ADD_ONS, addOn.id))) {
+    newErrors.addOns = t('validation.addOnsInvalid');
+  } else if (formData.addOns.some(addOn => !(parseFloat(addOn.quantity) > 0))) {
+    newErrors.addOns = t('validation.addOnsQuantity');
+  }
+
+  return newErrors;
+};
+
+const isNonNegativeNumber = (value) => String(value).trim() !== '' && Number(value) >= 0;
+
+// Checks the staff inputs of a formal quote: the settings (QUOTE_DEFAULTS
+// fields), quantity and list price overrides by line id and custom line
+// items, and that the priced quote (buildQuote's result, when given) still
+// costs and totals more than nothing once discounts are taken off
+export const validateQuote = ({ settings, quantityOverrides, priceOverrides = {}, customItems, quote }, t = DEFAULT_I18N.t) => {
+  const newErrors = {};
+  const costs = [settings.laborRate, settings.primerCost, ...Object.values(settings.paintCosts), ...Object.values(settings.sundryCosts)];
+
+  if (!costs.every(isNonNegativeNumber)) {
+    newErrors.quoteCosts = t('validation.quoteCostsInvalid');
+  }
+  if (!(isNonNegativeNumber(settings.margin) && Number(settings.margin) < 100)) {
+    newErrors.margin = t('validation.quoteMarginInvalid');
+  }
+  if (!isWholeNumber(settings.validDays) || !(parseInt(settings.validDays) >= 1)) {
+    newErrors.validDays = t('validation.quoteValidDaysInvalid');
+  }
+  if (!Object.values(quantityOverrides).every(quantity => String(quantity).trim() === '' || isNonNegativeNumber(quantity))) {
+    newErrors.quantityOverrides = t('validation.quoteQuantityInvalid');
+  }
+  if (!Object.values(priceOverrides).every(price => String(price).trim() === '' || isNonNegativeNumber(price))) {
+    newErrors.priceOverrides = t('validation.quotePriceInvalid');
+  }
+  customItems.forEach((item, index) => {
+    if (!item.description.trim() || !(Number(item.quantity) > 0) || String(item.unitCost).trim() === '' || Number.isNaN(Number(item.unitCost))) {
+      newErrors[`customItem${index}`] = t('validation.customItemIncomplete', { number: index + 1 });
+    }
+  });
+  if (quote && !(quote.cost > 0 && quote.total > 0)) {
+    newErrors.quoteTotal = t('validation.quoteTotalInvalid');
+  }
+
+  return newErrors;
+};
@@ -0,0 +1,47 @@
+import { calculateEstimate, DEFAULT_RATES } from './pricing';
+
+// "What if" comparisons: the current project priced with every paint tier,
+// optionally alongside the neighbouring difficulty levels.
+
+// Applies a paint tier the way the calculator's tier picker does: to the whole
+// project, or to both scopes of a "both" project. Per-room overrides are kept.
+export const withPaintTier = (project, paintTier) => (project.projectType === 'both'
+  ? {
+    ...project,
+    interior: { ...project.interior, paintTier },
+    exterior: { ...project.exterior, paintTier }
+  }
+  : { ...project, paintTier });
+
+// The project's tier, or null when a "both" project uses different tiers per scope
+export const getProjectPaintTier = (project) => {
+  if (project.projectType !== 'both') {
+    return project.paintTier;
+  }
+  return project.interior.paintTier === project.exterior.paintTier ? project.interior.paintTier : null;
+};
+
+// The level itself plus the ones either side of it, in rate-table order
+const getNeighbouringLevels = (level, levels) => {
+  const index = levels.indexOf(level);
+  return index === -1 ? [level] : levels.slice(Math.max(index - 1, 0), index + 2);
+};
+
+// Returns { paintTiers, rows: [{ difficultyLevel, cells: [{ paintTier, min, max }] }] },
+// or null while the project is missing what the estimate needs (other than a tier)
+export const compareScenarios = (project, rates = DEFAULT_RATES, { includeDifficulty = false } = {}) => {
+  const paintTiers = Object.keys(rates.paintMultipliers);
+  const difficultyLevels = includeDifficulty
+    ? getNeighbouringLevels(project.difficultyLevel, Object.keys(rates.difficultyMultipliers))
+    : [project.difficultyLevel];
+
+  const rows = difficultyLevels.map(difficultyLevel => ({
+    difficultyLevel,
+    cells: paintTiers.map(paintTier => {
+      const estimate = calculateEstimate(withPaintTier({ ...project, difficultyLevel }, paintTier), rates);
+      return estimate && { paintTier, min: estimate.min, max: estimate.max };
+    })
+  }));
+
+  return rows[0].cells.every(Boolean) ? { paintTiers, rows } : null;
+};
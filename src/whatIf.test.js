@@ -0,0 +1,56 @@
+import { calculateEstimate, DEFAULT_RATES } from './pricing';
+import { compareScenarios, getProjectPaintTier, withPaintTier } from './whatIf';
+
+const exteriorProject = {
+  projectType: 'exterior',
+  squareFootage: '2000',
+  surfaces: ['wood_siding'],
+  paintTier: 'standard',
+  difficultyLevel: 'standard',
+  coats: '2'
+};
+
+const bothProject = {
+  projectType: 'both',
+  difficultyLevel: 'basic',
+  coats: '2',
+  interior: {
+    rooms: [{ name: 'Den', length: '12', width: '10', ceilingHeight: '8', doors: '1', windows: '1', surfaces: ['walls'], paintTier: '' }],
+    paintTier: 'premium'
+  },
+  exterior: { squareFootage: '1500', surfaces: ['stucco'], paintTier: 'standard' }
+};
+
+test('prices the project with every paint tier', () => {
+  const comparison = compareScenarios(exteriorProject);
+
+  expect(comparison.paintTiers).toEqual(Object.keys(DEFAULT_RATES.paintMultipliers));
+  expect(comparison.rows).toHaveLength(1);
+  comparison.rows[0].cells.forEach(cell => {
+    const estimate = calculateEstimate({ ...exteriorProject, paintTier: cell.paintTier });
+    expect(cell).toEqual({ paintTier: cell.paintTier, min: estimate.min, max: estimate.max });
+  });
+});
+
+test('optionally adds the neighbouring difficulty levels', () => {
+  const levels = (project) => compareScenarios(project, DEFAULT_RATES, { includeDifficulty: true })
+    .rows.map(row => row.difficultyLevel);
+
+  expect(levels(exteriorProject)).toEqual(['basic', 'standard', 'moderate']);
+  expect(levels({ ...exteriorProject, difficultyLevel: 'basic' })).toEqual(['basic', 'standard']);
+  expect(levels({ ...exteriorProject, difficultyLevel: 'high_difficulty' })).toEqual(['complex', 'high_difficulty']);
+});
+
+test('applies a tier to both scopes of a combined project', () => {
+  const designer = withPaintTier(bothProject, 'designer');
+
+  expect(designer.interior.paintTier).toBe('designer');
+  expect(designer.exterior.paintTier).toBe('designer');
+  expect(getProjectPaintTier(bothProject)).toBeNull();
+  expect(getProjectPaintTier(designer)).toBe('designer');
+});
+
+test('returns null until the project has an area to price', () => {
+  expect(compareScenarios({ ...exteriorProject, squareFootage: '' })).toBeNull();
+  expect(compareScenarios({ ...exteriorProject, paintTier: '' })).not.toBeNull();
+});
@@ -0,0 +1,39 @@
+import { validateContactInfo, validateProjectInfo } from './validation';
+
+// The calculator is filled in as a wizard. Each step owns a set of form
+// fields, and a step is complete when the shared validators report no errors
+// for the fields it owns. Step titles live in the message catalogs under
+// steps.<id>.
+
+export const WIZARD_STEPS = [
+  { id: 'contact', fields: ['clientName', 'email', 'phone', 'street', 'city', 'state', 'zip'] },
+  { id: 'project', fields: ['projectType', 'exteriorMeasurement', 'exteriorDimensions', 'squareFootage', 'coats'] },
+  { id: 'paint', fields: ['paintTier', 'exteriorPaintTier'] },
+  { id: 'surfaces', fields: ['rooms', 'surfaces', 'surfaceShares'] },
+  { id: 'addOns', fields: ['addOns'] },
+  { id: 'difficulty', fields: ['difficultyAnswers', 'difficultyOverride', 'difficultyLevel', 'additionalNotes'] },
+  { id: 'review', fields: ['promoCode'] }
+];
+
+// Per-room errors are keyed room0, room1, ... and belong with the rooms list
+const getErrorField = (key) => (/^room\d+$/.test(key) ? 'rooms' : key);
+
+export const getFormErrors = (formData, t) => ({
+  ...validateContactInfo(formData, t),
+  ...validateProjectInfo(formData, t)
+});
+
+export const getStepErrors = (stepIndex, formData, t) => {
+  const { fields } = WIZARD_STEPS[stepIndex];
+  return Object.fromEntries(
+    Object.entries(getFormErrors(formData, t)).filter(([key]) => fields.includes(getErrorField(key)))
+  );
+};
+
+// Index of the first step with errors, or the review step when everything is valid
+export const getFirstIncompleteStep = (formData) => {
+  const index = WIZARD_STEPS.findIndex((step, stepIndex) =>
+    Object.keys(getStepErrors(stepIndex, formData)).length > 0
+  );
+  return index === -1 ? WIZARD_STEPS.length - 1 : index;
+};
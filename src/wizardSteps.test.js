@@ -0,0 +1,49 @@
+import { INITIAL_FORM_DATA } from './projectForm';
+import { ASSESSMENT_QUESTIONS, EMPTY_ANSWERS } from './difficultyAssessment';
+import { getFirstIncompleteStep, getStepErrors, WIZARD_STEPS } from './wizardSteps';
+
+const stepIndex = (id) => WIZARD_STEPS.findIndex(step => step.id === id);
+
+const contact = {
+  clientName: 'Jo Smith',
+  email: 'jo@example.com',
+  street: '12 Elm St',
+  city: 'Fort Collins',
+  zip: '80521'
+};
+
+const completeForm = {
+  ...INITIAL_FORM_DATA,
+  ...contact,
+  projectType: 'interior',
+  paintTier: 'standard',
+  difficultyAnswers: Object.fromEntries(ASSESSMENT_QUESTIONS.map(question => [question.id, question.options[0].value])),
+  rooms: [{ id: 1, name: 'Den', length: '12', width: '10', ceilingHeight: '8', doors: '1', windows: '1', surfaces: ['walls'], paintTier: '' }]
+};
+
+test('each step only reports errors for its own fields', () => {
+  expect(Object.keys(getStepErrors(stepIndex('contact'), INITIAL_FORM_DATA))).toEqual(['clientName', 'email', 'street', 'city', 'zip']);
+  expect(Object.keys(getStepErrors(stepIndex('project'), INITIAL_FORM_DATA))).toEqual(['projectType', 'exteriorDimensions']);
+  expect(Object.keys(getStepErrors(stepIndex('paint'), INITIAL_FORM_DATA))).toEqual(['paintTier']);
+  expect(Object.keys(getStepErrors(stepIndex('difficulty'), INITIAL_FORM_DATA))).toEqual(['difficultyAnswers']);
+});
+
+test('a staff override stands in for the difficulty questionnaire', () => {
+  const form = { ...completeForm, difficultyAnswers: EMPTY_ANSWERS };
+
+  expect(getFirstIncompleteStep(form)).toBe(stepIndex('difficulty'));
+  expect(getFirstIncompleteStep({ ...form, difficultyOverride: 'complex', difficultyLevel: 'complex' })).toBe(stepIndex('review'));
+});
+
+test('per-room errors belong to the surfaces step', () => {
+  const form = { ...completeForm, rooms: [{ ...completeForm.rooms[0], length: '' }] };
+
+  expect(Object.keys(getStepErrors(stepIndex('surfaces'), form))).toEqual(['room0']);
+  expect(getStepErrors(stepIndex('project'), form)).toEqual({});
+});
+
+test('finds the first step that still needs input', () => {
+  expect(getFirstIncompleteStep(INITIAL_FORM_DATA)).toBe(stepIndex('contact'));
+  expect(getFirstIncompleteStep({ ...completeForm, paintTier: '' })).toBe(stepIndex('paint'));
+  expect(getFirstIncompleteStep(completeForm)).toBe(stepIndex('review'));
+});